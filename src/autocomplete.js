@@ -0,0 +1,183 @@
+/**
+ * Autocomplete module: turns a text input into an ARIA 1.2 combobox with a listbox popup.
+ */
+
+import { ce, debounce, generateId } from './utils.js';
+
+/**
+ * Wires suggestions into `input`. `search(query, { signal })` resolves to the options to
+ * show; `describe(option)` returns `{ label, meta, icon }` for rendering; `onSelect(option)`
+ * runs when an option is picked with Enter or the pointer. A newer keystroke aborts the
+ * previous search so stale suggestions never replace fresh ones.
+ */
+export function attachAutocomplete(
+  input,
+  { search, describe, onSelect, minLength = 2, delay = 250 } = {}
+) {
+  if (!input || typeof search !== 'function') {
+    return null;
+  }
+  const listId = generateId('listbox');
+  const wrapper = ce('span', { className: 'autocomplete' });
+  const list = ce('ul', { id: listId, className: 'autocomplete__list', hidden: true });
+  list.setAttribute('role', 'listbox');
+  input.replaceWith(wrapper);
+  wrapper.append(input, list);
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listId);
+  input.setAttribute('autocomplete', 'off');
+
+  let options = [];
+  let activeIndex = -1;
+  let pendingController = null;
+
+  function close() {
+    list.hidden = true;
+    list.replaceChildren();
+    options = [];
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function cancel() {
+    runSearch.cancel();
+    if (pendingController) {
+      pendingController.abort();
+      pendingController = null;
+    }
+  }
+
+  function setActive(index) {
+    activeIndex = options.length ? (index + options.length) % options.length : -1;
+    Array.from(list.children).forEach((option, optionIndex) => {
+      option.setAttribute('aria-selected', String(optionIndex === activeIndex));
+    });
+    const active = list.children[activeIndex];
+    if (active) {
+      input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function pick(index) {
+    const option = options[index];
+    if (!option) {
+      return;
+    }
+    cancel();
+    close();
+    onSelect?.(option);
+  }
+
+  function render(results) {
+    options = results;
+    list.replaceChildren(
+      ...results.map((option, index) => {
+        const { label, meta = '', icon = '' } = describe ? describe(option) : { label: String(option) };
+        const item = ce('li', { id: `${listId}-${index}`, className: 'autocomplete__option' });
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        if (icon) {
+          const iconEl = ce('span', { className: 'autocomplete__icon', textContent: icon });
+          iconEl.setAttribute('aria-hidden', 'true');
+          item.append(iconEl);
+        }
+        const text = ce('span', { className: 'autocomplete__text' });
+        text.append(ce('span', { className: 'autocomplete__label', textContent: label }));
+        if (meta) {
+          text.append(ce('span', { className: 'autocomplete__meta', textContent: meta }));
+        }
+        item.append(text);
+        // Keep focus in the input so the combobox stays open while the pointer picks.
+        item.addEventListener('mousedown', event => event.preventDefault());
+        item.addEventListener('click', () => pick(index));
+        return item;
+      })
+    );
+    list.hidden = !results.length;
+    input.setAttribute('aria-expanded', String(Boolean(results.length)));
+    activeIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  const runSearch = debounce(async query => {
+    if (pendingController) {
+      pendingController.abort();
+    }
+    const controller = new AbortController();
+    pendingController = controller;
+    try {
+      const results = await search(query, { signal: controller.signal });
+      if (pendingController !== controller || document.activeElement !== input) {
+        return;
+      }
+      render(Array.isArray(results) ? results : []);
+    } catch (err) {
+      if (err.name !== 'AbortError' && pendingController === controller) {
+        close();
+      }
+    } finally {
+      if (pendingController === controller) {
+        pendingController = null;
+      }
+    }
+  }, delay);
+
+  input.addEventListener('input', () => {
+    const query = input.value.trim();
+    if (query.length < minLength) {
+      cancel();
+      close();
+      return;
+    }
+    runSearch(query);
+  });
+
+  input.addEventListener('keydown', event => {
+    const open = !list.hidden && options.length > 0;
+    switch (event.key) {
+      case 'ArrowDown':
+        if (open) {
+          event.preventDefault();
+          setActive(activeIndex + 1);
+        } else if (input.value.trim().length >= minLength) {
+          event.preventDefault();
+          runSearch(input.value.trim());
+        }
+        break;
+      case 'ArrowUp':
+        if (open) {
+          event.preventDefault();
+          setActive(activeIndex - 1);
+        }
+        break;
+      case 'Enter':
+        if (open && activeIndex >= 0) {
+          event.preventDefault();
+          pick(activeIndex);
+        }
+        break;
+      case 'Escape':
+        if (open) {
+          event.preventDefault();
+          cancel();
+          close();
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  input.addEventListener('blur', () => {
+    cancel();
+    close();
+  });
+
+  return { close, cancel };
+}
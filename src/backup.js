@@ -0,0 +1,241 @@
+/**
+ * Backup module: everything the app keeps in this browser (trips, templates, rule sets and
+ * preferences) as one versioned JSON file, and the restore that reads such a file back.
+ *
+ * File shape: `{ format, version, exportedAt, trips: { activeId, trips }, templates:
+ * { schemaVersion, templates }, rules: [ruleSet], preferences: { units } }`. Trip states
+ * and templates carry their storage schema version, so backups from older versions of the
+ * app are upgraded by the same migrations as stored data (see `schema.js`). Only the rule
+ * sets saved in this browser are backed up: configured rule files are fetched again anyway.
+ */
+
+import { loadTemplates, saveTemplates, toISODate } from './utils.js';
+import { loadTripLibrary, restoreTrips } from './trips.js';
+import { loadSavedRuleSets, saveRuleSets, validateRuleSet } from './rules.js';
+import { UNITS, getPreferredUnits, setUnits } from './units.js';
+import { migratePayload, stampSchemaVersion } from './schema.js';
+
+export const BACKUP_FORMAT = 'business-trip-checklist-backup';
+export const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ['merge', 'overwrite'];
+
+export class BackupError extends Error {
+  constructor(message, code, problems = [], cause) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+    this.problems = problems;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+export function createBackup({ now = new Date() } = {}) {
+  const library = loadTripLibrary();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    trips: {
+      activeId: library.activeId,
+      trips: library.trips.map(trip => ({
+        ...trip,
+        state: trip.state ? stampSchemaVersion('state', trip.state) : null
+      }))
+    },
+    templates: stampSchemaVersion('templates', { templates: loadTemplates() }),
+    rules: loadSavedRuleSets(),
+    preferences: { units: getPreferredUnits() }
+  };
+}
+
+export function serializeBackup(backup) {
+  return JSON.stringify(backup, null, 2);
+}
+
+export function getBackupFileName(now = new Date()) {
+  return `trip-checklist-backup-${toISODate(now)}.json`;
+}
+
+/**
+ * Reads and validates a backup file's text. Returns `{ exportedAt, trips, templates, rules,
+ * preferences }` with everything upgraded to the current schema; throws a `BackupError`
+ * listing every problem found, so nothing is restored from a damaged file.
+ */
+export function parseBackup(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new BackupError('The backup file is not valid JSON.', 'parse-error', [], err);
+  }
+  if (!raw || typeof raw !== 'object' || raw.format !== BACKUP_FORMAT) {
+    throw new BackupError('This file is not a checklist backup.', 'invalid-backup', ['unknown file format']);
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    throw new BackupError('The backup file has no valid version.', 'invalid-backup', ['missing version']);
+  }
+  if (raw.version > BACKUP_VERSION) {
+    throw new BackupError('The backup comes from a newer version of the app.', 'future-version');
+  }
+  const problems = [];
+  const trips = readTrips(raw.trips, problems);
+  const templates = readTemplates(raw.templates, problems);
+  const rules = readRules(raw.rules, problems);
+  const preferences = readPreferences(raw.preferences, problems);
+  if (problems.length) {
+    throw new BackupError(
+      `The backup file is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}).`,
+      'invalid-backup',
+      problems
+    );
+  }
+  return { exportedAt: typeof raw.exportedAt === 'string' ? raw.exportedAt : '', trips, templates, rules, preferences };
+}
+
+/**
+ * What restoring `backup` in `mode` would change, by name:
+ * `{ trips: { added, replaced, removed }, templates: { added, replaced, removed },
+ *    rules: { added, replaced, removed }, units }` (`units` is null when unchanged).
+ */
+export function previewRestore(backup, mode = 'merge') {
+  assertMode(mode);
+  const library = loadTripLibrary();
+  return {
+    trips: diffById(library.trips, backup.trips.trips, mode, describeTrip),
+    templates: diffById(loadTemplates(), backup.templates, mode, template => template.name),
+    rules: diffById(loadSavedRuleSets(), backup.rules, mode, ruleSet => ruleSet.id),
+    units: backup.preferences.units && backup.preferences.units !== getPreferredUnits() ? backup.preferences.units : null
+  };
+}
+
+/**
+ * Restores a parsed backup. "merge" adds what the backup holds and replaces entries with the
+ * same id; "overwrite" replaces trips, templates and saved rule sets with the backup's.
+ * Returns the active trip's id afterwards.
+ */
+export function restoreBackup(backup, mode = 'merge') {
+  assertMode(mode);
+  const activeId = restoreTrips(backup.trips, mode);
+  saveTemplates(mergeById(loadTemplates(), backup.templates, mode));
+  saveRuleSets(mergeById(loadSavedRuleSets(), backup.rules, mode));
+  if (backup.preferences.units) {
+    setUnits(backup.preferences.units);
+  }
+  return activeId;
+}
+
+function readTrips(raw, problems) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.trips) || !raw.trips.length) {
+    problems.push('trips: at least one trip is required');
+    return { activeId: null, trips: [] };
+  }
+  const trips = raw.trips.flatMap((trip, index) => {
+    const label = trip?.name ? `trip "${trip.name}"` : `trip #${index + 1}`;
+    if (!trip || typeof trip !== 'object' || typeof trip.id !== 'string' || !trip.id) {
+      problems.push(`${label}: "id" is required`);
+      return [];
+    }
+    if (trip.state !== null && trip.state !== undefined && typeof trip.state !== 'object') {
+      problems.push(`${label}: "state" must be an object`);
+      return [];
+    }
+    if (!trip.state) {
+      return [{ ...trip, state: null }];
+    }
+    try {
+      return [{ ...trip, state: migratePayload('state', trip.state).data }];
+    } catch (err) {
+      problems.push(`${label}: ${err.message}`);
+      return [];
+    }
+  });
+  const activeId = trips.some(trip => trip.id === raw.activeId) ? raw.activeId : trips[0]?.id ?? null;
+  return { activeId, trips };
+}
+
+function readTemplates(raw, problems) {
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  let templates;
+  try {
+    templates = migratePayload('templates', raw).data.templates;
+  } catch (err) {
+    problems.push(`templates: ${err.message}`);
+    return [];
+  }
+  if (!Array.isArray(templates)) {
+    problems.push('templates: must be a list');
+    return [];
+  }
+  return templates.filter((template, index) => {
+    const label = template?.name ? `template "${template.name}"` : `template #${index + 1}`;
+    if (!template || typeof template.id !== 'string' || typeof template.name !== 'string' || !template.name.trim()) {
+      problems.push(`${label}: "id" and "name" are required`);
+      return false;
+    }
+    if (!Array.isArray(template.items)) {
+      problems.push(`${label}: "items" must be a list`);
+      return false;
+    }
+    return true;
+  });
+}
+
+function readRules(raw, problems) {
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    problems.push('rules: must be a list of rule sets');
+    return [];
+  }
+  return raw.flatMap((ruleSet, index) => {
+    try {
+      return [validateRuleSet(ruleSet)];
+    } catch (err) {
+      const label = ruleSet?.id ? `rule set "${ruleSet.id}"` : `rule set #${index + 1}`;
+      problems.push(...(err.problems?.length ? err.problems : [err.message]).map(problem => `${label}: ${problem}`));
+      return [];
+    }
+  });
+}
+
+function readPreferences(raw, problems) {
+  const units = raw?.units ?? null;
+  if (units !== null && !UNITS.includes(units)) {
+    problems.push(`preferences: unknown units "${units}"`);
+    return { units: null };
+  }
+  return { units };
+}
+
+function diffById(current, incoming, mode, describe) {
+  const currentIds = new Set(current.map(entry => entry.id));
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+  return {
+    added: incoming.filter(entry => !currentIds.has(entry.id)).map(describe),
+    replaced: incoming.filter(entry => currentIds.has(entry.id)).map(describe),
+    removed: mode === 'overwrite' ? current.filter(entry => !incomingIds.has(entry.id)).map(describe) : []
+  };
+}
+
+function mergeById(current, incoming, mode) {
+  if (mode === 'overwrite') {
+    return incoming;
+  }
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+  return [...current.filter(entry => !incomingIds.has(entry.id)), ...incoming];
+}
+
+function describeTrip(trip) {
+  return trip.name || trip.state?.trip?.city || 'Untitled trip';
+}
+
+function assertMode(mode) {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new BackupError(`Unknown restore mode "${mode}".`, 'invalid-mode');
+  }
+}
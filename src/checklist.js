@@ -7,17 +7,25 @@ import {
   qs,
   CHECKLIST_TEMPLATE,
   slugify,
-  mapDurationToItems,
-  saveAppState,
-  loadAppState,
   formatDateTime,
+  formatDateRange,
+  calculateTripDays,
+  parseISODate,
   splitItemsByChecked,
   groupItemsByGroup,
   showToast,
   migrateItemsAddBag,
   normalizeBagValue,
-  makeItemKey
+  makeItemKey,
+  normalizeLabel,
+  generateId
 } from './utils.js';
+import { buildRuleContext, evaluateRules, getActiveRules } from './rules.js';
+import { loadActiveTripState, saveActiveTripState } from './trips.js';
+import { formatTemperature, formatPrecipitation, formatWind } from './units.js';
+import { describeTimeZone, formatTimeZoneSummary } from './services/timezone.js';
+import { assessPower, formatPowerFacts } from './services/power.js';
+import { findCountry, getCountry } from './services/countries.js';
 
 const BAGS = ['carryOn', 'checked', 'personal', 'work'];
 
@@ -37,6 +45,9 @@ const CATEGORY_ICONS = {
   other: '✨'
 };
 
+// Worn items are counted and exported apart from the bags they would otherwise go in.
+const WORN_LABEL = 'Wear on travel day';
+
 const BAG_LABELS = {
   carryOn: 'Carry-on',
   checked: 'Checked Bag',
@@ -52,20 +63,6 @@ const ACTIVITY_LABELS = {
   networking: 'Networking'
 };
 
-const ACTIVITY_ADD_ONS = {
-  pitching: [
-    { group: 'tech', label: 'Presentation Clicker', source: 'activity:pitching' },
-    { group: 'clothing', label: 'Formal Outfit', source: 'activity:pitching' }
-  ],
-  clientmeeting: [
-    { group: 'documents', label: 'Client Briefs', source: 'activity:clientmeeting' },
-    { group: 'documents', label: 'Business Cards', source: 'activity:clientmeeting' }
-  ],
-  projectwork: [{ group: 'tech', label: 'Notebook & Pens', source: 'activity:projectwork' }],
-  workshop: [{ group: 'other', label: 'Facilitation Kit', source: 'activity:workshop' }],
-  networking: [{ group: 'documents', label: 'Extra Business Cards', source: 'activity:networking' }]
-};
-
 const BUILT_IN_TEMPLATES = [
   {
     id: 'builtin:overnight-pitch',
@@ -106,6 +103,14 @@ const BUILT_IN_TEMPLATES = [
 ];
 
 const MAX_TEMPLATE_ITEMS = 500;
+const FORECAST_HISTORY_LIMIT = 20;
+
+export const PRIMARY_LEG_ID = 'leg-1';
+
+const CHECKLIST_CONFIG = {
+  homeCountry: '',
+  defaultBag: 'carryOn'
+};
 
 const selectors = {
   toPack: '#checklistOutput',
@@ -116,6 +121,9 @@ const selectors = {
 };
 
 let appState = createDefaultState();
+// The state this tab last loaded or merged; other tabs' saves merge against it when the
+// state they started from is not known.
+let syncBase = null;
 let highlightTimer;
 
 function createDefaultState() {
@@ -123,12 +131,22 @@ function createDefaultState() {
     trip: {
       city: '',
       country: '',
+      countryCode: '',
+      latitude: null,
+      longitude: null,
       durationDays: 3,
+      startDate: '',
+      endDate: '',
       activities: [],
+      legs: [createLeg({ id: PRIMARY_LEG_ID })],
+      origin: createOrigin(),
       generatedAt: new Date().toISOString()
     },
     items: [],
     weather: null,
+    legWeather: [],
+    travelWeather: [],
+    forecastHistory: [],
     meta: {
       lastTemplate: null
     }
@@ -137,45 +155,178 @@ function createDefaultState() {
 
 function cloneState(state) {
   return {
-    trip: { ...state.trip },
-    items: (state.items || []).map(item => ({ ...item })),
+    trip: {
+      ...state.trip,
+      legs: (state.trip?.legs || []).map(leg => ({ ...leg, activities: [...(leg.activities || [])] })),
+      origin: { ...(state.trip?.origin ?? createOrigin()) }
+    },
+    items: (state.items || []).map(item => ({ ...item, legs: [...(item.legs || [])] })),
     weather: state.weather ? { ...state.weather } : null,
+    legWeather: (state.legWeather || []).map(entry => ({ ...entry })),
+    travelWeather: (state.travelWeather || []).map(entry => ({ ...entry, wear: [...(entry.wear || [])] })),
+    forecastHistory: (state.forecastHistory || []).map(cloneForecastSnapshot),
     meta: state.meta ? { ...state.meta } : { lastTemplate: null }
   };
 }
 
+function createLeg({ id, city, country, countryCode, latitude, longitude, startDate, endDate, activities } = {}) {
+  const countryName = (country ?? '').toString().trim();
+  const resolved = findCountry(countryName) || getCountry(countryCode);
+  const pinned = toCoordinate(latitude) !== null && toCoordinate(longitude) !== null;
+  return {
+    id: (id || generateId('leg')).toString(),
+    city: (city ?? '').toString().trim(),
+    country: countryName || resolved?.name || '',
+    countryCode: resolved?.iso2 ?? '',
+    latitude: pinned ? toCoordinate(latitude) : null,
+    longitude: pinned ? toCoordinate(longitude) : null,
+    startDate: parseISODate(startDate) ? startDate : '',
+    endDate: parseISODate(endDate) ? endDate : '',
+    activities: Array.isArray(activities) ? activities.filter(Boolean) : []
+  };
+}
+
+/**
+ * Where the traveller sets off from and returns to; only its weather on those days matters.
+ */
+function createOrigin({ city, country, latitude, longitude } = {}) {
+  const pinned = toCoordinate(latitude) !== null && toCoordinate(longitude) !== null;
+  return {
+    city: (city ?? '').toString().trim(),
+    country: (country ?? '').toString().trim(),
+    latitude: pinned ? toCoordinate(latitude) : null,
+    longitude: pinned ? toCoordinate(longitude) : null
+  };
+}
+
+function toCoordinate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function isSamePlace(a, b) {
+  return (
+    normalizeLabel(a.city) === normalizeLabel(b.city) && normalizeLabel(a.country) === normalizeLabel(b.country)
+  );
+}
+
+/**
+ * Keeps the trip-level fields (city, country, dates, activities) in sync with the ordered legs.
+ * The first leg mirrors the destination fields; dates span the whole itinerary and
+ * activities are the union across legs.
+ */
+function syncTripLegs(trip, partial = {}) {
+  if (Array.isArray(partial.legs) && partial.legs.length) {
+    trip.legs = partial.legs.map((leg, index) =>
+      createLeg({ ...leg, id: leg.id || (index === 0 ? PRIMARY_LEG_ID : undefined) })
+    );
+  } else {
+    const [primary = createLeg({ id: PRIMARY_LEG_ID }), ...onward] = trip.legs || [];
+    const single = onward.length === 0;
+    // A pinned location only survives while the destination it was picked for is unchanged.
+    const pinned = 'latitude' in partial || !primary.city ? trip : isSamePlace(primary, trip) ? primary : {};
+    trip.legs = [
+      createLeg({
+        ...primary,
+        city: trip.city,
+        country: trip.country,
+        countryCode: trip.country === primary.country ? primary.countryCode : '',
+        latitude: pinned.latitude,
+        longitude: pinned.longitude,
+        startDate: trip.startDate,
+        endDate: single ? trip.endDate : primary.endDate,
+        activities: Array.isArray(partial.activities) || single ? trip.activities : primary.activities
+      }),
+      ...onward
+    ];
+  }
+  const [first] = trip.legs;
+  const starts = trip.legs.map(leg => leg.startDate).filter(Boolean).sort();
+  const ends = trip.legs.map(leg => leg.endDate || leg.startDate).filter(Boolean).sort();
+  trip.city = first.city;
+  trip.country = first.country;
+  trip.countryCode = first.countryCode;
+  trip.latitude = first.latitude;
+  trip.longitude = first.longitude;
+  trip.startDate = starts[0] || '';
+  trip.endDate = trip.startDate ? ends[ends.length - 1] || trip.startDate : '';
+  trip.activities = Array.from(new Set(trip.legs.flatMap(leg => leg.activities)));
+  return trip;
+}
+
+export function getTripLegs(trip = appState.trip) {
+  return (trip?.legs || []).map(leg => ({ ...leg, activities: [...leg.activities] }));
+}
+
 function applyState(nextState, { persist = true } = {}) {
   appState = cloneState(nextState);
   renderLists();
   updatePackingProgress();
   if (persist) {
-    saveAppState(appState);
+    saveActiveTripState(appState);
   }
 }
 
 function buildBaseItems(trip) {
   const base = Object.entries(CHECKLIST_TEMPLATE).flatMap(([group, labels]) =>
     labels
-      .map(label => createItem({ group, label, source: 'base', bag: 'carryOn' }))
+      .map(label => createItem({ group, label, source: 'base', bag: CHECKLIST_CONFIG.defaultBag }))
       .filter(Boolean)
   );
-  const durationItems = mapDurationToItems(trip.durationDays)
+  const rules = getActiveRules();
+  const tripItems = evaluateRules(rules, buildRuleContext({ trip }), { scope: 'trip' })
     .map(descriptor => createItem(descriptor))
     .filter(Boolean);
-  const activityItems = (trip.activities ?? [])
-    .flatMap(key => ACTIVITY_ADD_ONS[key] ?? [])
+  const legs = trip.legs?.length ? trip.legs : [createLeg({ id: PRIMARY_LEG_ID, activities: trip.activities })];
+  const legItems = legs
+    .flatMap(leg =>
+      evaluateRules(rules, buildRuleContext({ trip, leg }), { scope: 'leg' }).map(descriptor => ({
+        ...descriptor,
+        legs: [leg.id]
+      }))
+    )
     .map(descriptor => createItem(descriptor))
     .filter(Boolean);
-  return dedupeItems([...base, ...durationItems, ...activityItems]);
+  const powerItems = legs
+    .map(leg => {
+      const power = assessPower(CHECKLIST_CONFIG.homeCountry, leg.country);
+      return power?.adapterLabel
+        ? createItem({
+            group: 'tech',
+            label: power.adapterLabel,
+            source: 'power',
+            bag: CHECKLIST_CONFIG.defaultBag,
+            legs: [leg.id]
+          })
+        : null;
+    })
+    .filter(Boolean);
+  return dedupeItems([...base, ...tripItems, ...legItems, ...powerItems]);
 }
 
-function createItem({ group, label, source, checked = false, id, bag, qty, quantity }) {
+function createItem({
+  group,
+  label,
+  source,
+  checked = false,
+  id,
+  bag,
+  qty,
+  quantity,
+  legs,
+  rule,
+  singleVoltage,
+  worn
+}) {
   const trimmedLabel = (label ?? '').toString().trim();
   if (!trimmedLabel) {
     return null;
   }
   const normalizedGroup = group || 'other';
-  const normalizedBag = normalizeBagValue(bag) || 'carryOn';
+  const normalizedBag = normalizeBagValue(bag) || CHECKLIST_CONFIG.defaultBag;
   const quantityValue = quantity ?? qty;
   const normalizedQuantity = Number.isFinite(quantityValue) && quantityValue > 0
     ? Math.min(99, Math.ceil(quantityValue))
@@ -192,7 +343,11 @@ function createItem({ group, label, source, checked = false, id, bag, qty, quant
     source: source || 'base',
     checked: Boolean(checked),
     bag: normalizedBag,
-    quantity: normalizedQuantity
+    quantity: normalizedQuantity,
+    legs: Array.isArray(legs) ? Array.from(new Set(legs.filter(Boolean).map(String))) : [],
+    rule: rule || null,
+    ...(typeof singleVoltage === 'boolean' ? { singleVoltage } : {}),
+    ...(worn ? { worn: true } : {})
   };
 }
 
@@ -229,6 +384,12 @@ function dedupeItems(items = []) {
       if (item.bag && !existing.bag) {
         merged.bag = item.bag;
       }
+      merged.legs = Array.from(new Set([...(existing.legs || []), ...(item.legs || [])]));
+      merged.rule = existing.rule || item.rule || null;
+      // Something worn on the way there does not need packing as well.
+      if (item.worn) {
+        merged.worn = true;
+      }
       const existingQty = Number.isFinite(existing.quantity) ? existing.quantity : null;
       const itemQty = Number.isFinite(item.quantity) ? item.quantity : null;
       if (existingQty !== null && itemQty !== null) {
@@ -275,24 +436,43 @@ function normalizeState(state) {
     next.trip = {
       city: state.trip.city ?? '',
       country: state.trip.country ?? '',
+      countryCode: state.trip.countryCode ?? '',
+      latitude: state.trip.latitude ?? null,
+      longitude: state.trip.longitude ?? null,
       durationDays: Number.isFinite(state.trip.durationDays) ? state.trip.durationDays : 3,
+      startDate: parseISODate(state.trip.startDate) ? state.trip.startDate : '',
+      endDate: parseISODate(state.trip.endDate) ? state.trip.endDate : '',
       activities: Array.isArray(state.trip.activities) ? state.trip.activities : [],
+      legs: Array.isArray(state.trip.legs) ? state.trip.legs : [],
+      origin: createOrigin(state.trip.origin),
       generatedAt: state.trip.generatedAt ?? new Date().toISOString()
     };
+    syncTripLegs(next.trip, { legs: next.trip.legs });
+    const days = calculateTripDays(next.trip.startDate, next.trip.endDate);
+    if (days) {
+      next.trip.durationDays = days;
+    }
   }
   if (Array.isArray(state.items)) {
-    next.items = dedupeItems(
-      migrateItemsAddBag(
-        state.items
-          .map(item => createItem(item))
-          .filter(Boolean),
-        'carryOn'
-      )
-    );
+    next.items = dedupeItems(state.items.map(item => createItem(item)).filter(Boolean));
   }
   if (state.weather) {
     next.weather = { ...state.weather };
   }
+  if (Array.isArray(state.legWeather)) {
+    next.legWeather = state.legWeather.filter(entry => entry?.legId).map(entry => ({ ...entry }));
+  }
+  if (Array.isArray(state.travelWeather)) {
+    next.travelWeather = state.travelWeather
+      .filter(entry => entry?.day && entry.weather)
+      .map(entry => ({ ...entry, wear: Array.isArray(entry.wear) ? [...entry.wear] : [] }));
+  }
+  if (Array.isArray(state.forecastHistory)) {
+    next.forecastHistory = state.forecastHistory
+      .filter(snapshot => snapshot?.takenAt && Array.isArray(snapshot.legs))
+      .slice(-FORECAST_HISTORY_LIMIT)
+      .map(cloneForecastSnapshot);
+  }
   if (state.meta?.lastTemplate) {
     next.meta.lastTemplate = { ...state.meta.lastTemplate };
   }
@@ -371,7 +551,12 @@ function createChecklistRow(item, isPacked) {
   checkbox.addEventListener('change', () => toggleItem(item.id, !isPacked));
 
   const label = ce('label', { htmlFor: item.id, textContent: formatChecklistLabel(item) });
-  const bagSwitcher = renderBagSwitcher(item);
+  if (item.rule) {
+    label.title = `Added by rule ${item.rule}`;
+  }
+  const bagSwitcher = item.worn
+    ? ce('span', { className: 'item-worn-tag', textContent: WORN_LABEL })
+    : renderBagSwitcher(item);
 
   const remove = ce('button', {
     type: 'button',
@@ -399,7 +584,7 @@ function renderBagSwitcher(item) {
     });
     select.append(option);
   });
-  select.value = item.bag || 'carryOn';
+  select.value = item.bag || CHECKLIST_CONFIG.defaultBag;
   select.addEventListener('change', event => {
     label.textContent = BAG_LABELS[event.target.value] ?? BAG_LABELS.carryOn;
     moveItemToBag(item.id, event.target.value);
@@ -425,24 +610,150 @@ function renderBagSummary() {
     cell.append(title, counts);
     container.append(cell);
   });
+  if (summary.worn.count) {
+    const cell = ce('div', { className: 'bag-summary__cell bag-summary__cell--worn' });
+    cell.append(
+      ce('span', { className: 'bag-summary__label', textContent: WORN_LABEL }),
+      ce('span', { className: 'bag-summary__count', textContent: `${summary.worn.checked}/${summary.worn.count}` })
+    );
+    container.append(cell);
+  }
+}
+
+export function configureChecklist(options = {}) {
+  Object.assign(CHECKLIST_CONFIG, options);
+}
+
+/**
+ * Plug and voltage facts for every leg whose country is known, including adapter and
+ * single-voltage warnings relative to the configured home country.
+ */
+export function getPowerAdvice(state = appState) {
+  const legs = state.trip?.legs?.length ? state.trip.legs : [state.trip ?? {}];
+  return legs
+    .map(leg => {
+      const power = assessPower(CHECKLIST_CONFIG.homeCountry, leg.country, state.items ?? []);
+      return power ? { legId: leg.id ?? null, ...power } : null;
+    })
+    .filter(Boolean);
 }
 
 export function initChecklist(initialState) {
-  const stored = initialState || loadAppState();
+  const stored = initialState || loadActiveTripState();
   const normalized = normalizeState(stored);
   if (!normalized.items.length) {
     normalized.items = buildBaseItems(normalized.trip);
   }
+  syncBase = cloneState(normalized);
   applyState(normalized, { persist: false });
 }
 
+/**
+ * Folds a state saved by another tab into this one. Each item field and each other part
+ * of the state is compared with `base`, the state that save started from: a side that left
+ * it alone takes the other side's change, an edit beats a deletion, and when both changed
+ * the same field the newer save (`remoteWins`) decides. When the result holds changes
+ * the other tab lacks, it is saved so the other tab picks them up in turn.
+ * Returns `{ changed, conflicts }` with the labels of items edited on both sides.
+ */
+export function mergeRemoteState(remoteState, { base: baseState = null, remoteWins = true } = {}) {
+  const remote = normalizeState(remoteState);
+  const base = baseState ? normalizeState(baseState) : syncBase ?? remote;
+  const conflicts = [];
+  const items = mergeItemLists(base.items, appState.items, remote.items, remoteWins, conflicts);
+  const merged = Object.fromEntries(
+    Object.keys(remote).map(key => [key, pickChange(base[key], appState[key], remote[key], remoteWins)])
+  );
+  merged.items = items;
+  const changed = !sameValue(merged, appState);
+  const needsSave = !sameValue(merged, remote);
+  if (changed || needsSave) {
+    applyState(merged, { persist: needsSave });
+  }
+  syncBase = cloneState(appState);
+  return { changed, conflicts };
+}
+
+function mergeItemLists(baseItems, localItems, remoteItems, remoteWins, conflicts) {
+  const byId = list => new Map(list.map(item => [item.id, item]));
+  const baseMap = byId(baseItems);
+  const localMap = byId(localItems);
+  const remoteMap = byId(remoteItems);
+  // The winning side's order, then what only the other side has, so both tabs list alike.
+  const [first, second] = remoteWins ? [remoteItems, localItems] : [localItems, remoteItems];
+  const ids = Array.from(new Set([...first, ...second].map(item => item.id)));
+  return ids
+    .map(id => {
+      const base = baseMap.get(id);
+      const local = localMap.get(id);
+      const remote = remoteMap.get(id);
+      if (sameValue(local, base) || sameValue(local, remote)) {
+        return remote;
+      }
+      if (sameValue(remote, base)) {
+        return local;
+      }
+      if (!local || !remote) {
+        conflicts.push((local ?? remote).label);
+        return local ?? remote;
+      }
+      const keys = Array.from(new Set([...Object.keys(local), ...Object.keys(remote)]));
+      if (keys.some(key => isClash(base?.[key], local[key], remote[key]))) {
+        conflicts.push(local.label);
+      }
+      return Object.fromEntries(
+        keys
+          .map(key => [key, pickChange(base?.[key], local[key], remote[key], remoteWins)])
+          .filter(([, value]) => value !== undefined)
+      );
+    })
+    .filter(Boolean);
+}
+
+function pickChange(base, local, remote, remoteWins) {
+  if (sameValue(local, base)) {
+    return remote;
+  }
+  if (sameValue(remote, base)) {
+    return local;
+  }
+  return remoteWins ? remote : local;
+}
+
+function isClash(base, local, remote) {
+  return !sameValue(local, base) && !sameValue(remote, base) && !sameValue(local, remote);
+}
+
+function sameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => sameValue(a[key], b[key]));
+}
+
 export function updateTrip(partial) {
   const next = cloneState(appState);
   next.trip = {
     ...next.trip,
     ...partial,
-    activities: Array.isArray(partial?.activities) ? partial.activities : next.trip.activities
+    activities: Array.isArray(partial?.activities) ? partial.activities : next.trip.activities,
+    legs: next.trip.legs,
+    origin: partial?.origin
+      ? createOrigin(
+          // Coordinates from a shared link stay while the origin is the same place.
+          isSamePlace(partial.origin, next.trip.origin) ? { ...next.trip.origin, ...partial.origin } : partial.origin
+        )
+      : next.trip.origin
   };
+  syncTripLegs(next.trip, partial ?? {});
+  const days = calculateTripDays(next.trip.startDate, next.trip.endDate);
+  if (days) {
+    next.trip.durationDays = days;
+  }
   next.trip.generatedAt = new Date().toISOString();
   applyState(next, { persist: false });
 }
@@ -452,7 +763,7 @@ export function generateChecklist({ weatherItems = null } = {}) {
   const baseItems = buildBaseItems(appState.trip).map(item => {
     const key = getConflictKeyFromItem(item);
     const existing = previous.get(key);
-    return existing ? { ...existing, checked: existing.checked } : item;
+    return existing ? { ...existing, checked: existing.checked, legs: item.legs } : item;
   });
   const customItems = appState.items.filter(item => item.source === 'custom');
   const weatherSource = weatherItems
@@ -461,7 +772,9 @@ export function generateChecklist({ weatherItems = null } = {}) {
   const weatherMerged = weatherSource.map(item => {
     const key = getConflictKeyFromItem(item);
     const existing = previous.get(key);
-    return existing ? { ...existing, source: 'weather' } : { ...item, checked: false };
+    return existing
+      ? withWorn({ ...existing, source: 'weather', legs: item.legs }, item.worn)
+      : { ...item, checked: false };
   });
   const combined = dedupeItems([...baseItems, ...customItems, ...weatherMerged]);
   applyState({ ...appState, items: combined });
@@ -479,7 +792,7 @@ export function reconcileWeatherItems(weatherDescriptors = []) {
         }
         const key = getConflictKeyFromItem(item);
         const existing = previousMap.get(key);
-        return existing ? { ...existing, checked: existing.checked } : item;
+        return existing ? withWorn({ ...existing, checked: existing.checked, legs: item.legs }, item.worn) : item;
       })
       .filter(Boolean)
   );
@@ -487,6 +800,75 @@ export function reconcileWeatherItems(weatherDescriptors = []) {
   applyState({ ...appState, items: dedupeItems([...retained, ...refreshed]) });
 }
 
+/**
+ * What `reconcileWeatherItems(weatherDescriptors)` would change, without applying it:
+ * weather items that would be added and weather items that would disappear.
+ */
+export function diffWeatherItems(weatherDescriptors = []) {
+  const currentKeys = new Set(appState.items.map(getConflictKeyFromItem));
+  const refreshed = dedupeItems(weatherDescriptors.map(createWeatherItem).filter(Boolean));
+  const refreshedKeys = new Set(refreshed.map(getConflictKeyFromItem));
+  return {
+    added: refreshed.filter(item => !currentKeys.has(getConflictKeyFromItem(item))),
+    removed: appState.items.filter(
+      item => item.source === 'weather' && !refreshedKeys.has(getConflictKeyFromItem(item))
+    )
+  };
+}
+
+/**
+ * Appends a snapshot of the trip's forecast to its history. Returns the snapshot, or null
+ * when the forecast and its packing items are unchanged since the last one.
+ */
+export function recordForecastSnapshot(legWeather = [], weatherDescriptors = [], takenAt = new Date()) {
+  const legs = legWeather
+    .filter(entry => entry?.weather)
+    .map(({ legId, weather }) => ({
+      legId,
+      location: weather.location?.name ?? '',
+      summary: weather.summary ?? '',
+      minC: weather.minC ?? null,
+      maxC: weather.maxC ?? null,
+      precipitation: weather.precipitation ?? null
+    }));
+  if (!legs.length) {
+    return null;
+  }
+  const items = Array.from(new Set(weatherDescriptors.map(item => item.label))).sort();
+  const last = appState.forecastHistory[appState.forecastHistory.length - 1];
+  if (last && JSON.stringify([last.legs, last.items]) === JSON.stringify([legs, items])) {
+    return null;
+  }
+  const snapshot = { takenAt: takenAt.toISOString(), legs, items };
+  applyState({
+    ...appState,
+    forecastHistory: [...appState.forecastHistory, snapshot].slice(-FORECAST_HISTORY_LIMIT)
+  });
+  return snapshot;
+}
+
+export function getForecastHistory() {
+  return appState.forecastHistory.map(cloneForecastSnapshot);
+}
+
+function cloneForecastSnapshot(snapshot) {
+  return {
+    takenAt: snapshot.takenAt,
+    legs: (snapshot.legs || []).map(leg => ({ ...leg })),
+    items: [...(snapshot.items || [])]
+  };
+}
+
+function withWorn(item, worn) {
+  const next = { ...item };
+  if (worn) {
+    next.worn = true;
+  } else {
+    delete next.worn;
+  }
+  return next;
+}
+
 function createWeatherItem(descriptor) {
   return createItem({
     ...descriptor,
@@ -494,8 +876,20 @@ function createWeatherItem(descriptor) {
   });
 }
 
-export function setWeatherData(weather) {
-  applyState({ ...appState, weather }, { persist: false });
+/**
+ * Stores the destination forecast, each leg's forecast and the origin's forecast for the
+ * travel days (`{ day: 'departure' | 'return', date, weather, wear }`).
+ */
+export function setWeatherData(weather, legWeather = null, travelWeather = null) {
+  const entries = Array.isArray(legWeather)
+    ? legWeather.filter(entry => entry?.legId && entry.weather).map(entry => ({ ...entry }))
+    : [];
+  const travel = Array.isArray(travelWeather)
+    ? travelWeather
+        .filter(entry => entry?.day && entry.weather)
+        .map(({ day, date, weather: dayWeather, wear }) => ({ day, date, weather: dayWeather, wear: wear ?? [] }))
+    : [];
+  applyState({ ...appState, weather, legWeather: entries, travelWeather: travel }, { persist: false });
 }
 
 export function ensureUniqueOrMerge(newItem) {
@@ -580,7 +974,7 @@ export function updatePackingProgress() {
 }
 
 function collectExportItems(state) {
-  const items = Array.isArray(state.items) ? migrateItemsAddBag(state.items, 'carryOn') : [];
+  const items = Array.isArray(state.items) ? migrateItemsAddBag(state.items, CHECKLIST_CONFIG.defaultBag) : [];
   if (!items.length) {
     return buildBaseItems(state.trip);
   }
@@ -591,11 +985,6 @@ function collectExportItems(state) {
   return dedupeItems(items);
 }
 
-const exportNumberFormatter = new Intl.NumberFormat(undefined, {
-  maximumFractionDigits: 1,
-  minimumFractionDigits: 0
-});
-
 const WEATHER_GLYPHS = {
   sunny: '☀',
   cloudy: '☁',
@@ -614,22 +1003,23 @@ export function renderChecklistForExport(state = appState) {
   const doc = ce('article', { className: 'export-document' });
 
   doc.append(renderExportHero(exportState.trip));
-  doc.append(renderExportOverview(exportState.trip, exportState.weather));
+  doc.append(renderExportOverview(exportState, exportItems));
+  const legNames = collectLegNames(exportState.trip);
 
   const itemsSection = ce('section', { className: 'export-section export-section--items' });
   itemsSection.append(ce('h2', { textContent: 'Checklist Inventory' }));
   const bagGroups = groupItemsByBag(exportItems);
-  BAGS.forEach(bag => {
+  ['worn', ...BAGS].forEach(bag => {
     const list = bagGroups[bag];
     if (!list || !list.length) {
       return;
     }
-    itemsSection.append(renderExportBagSection(bag, list));
+    itemsSection.append(renderExportBagSection(bag, list, legNames));
     delete bagGroups[bag];
   });
   Object.entries(bagGroups).forEach(([bag, list]) => {
     if (list && list.length) {
-      itemsSection.append(renderExportBagSection(bag, list));
+      itemsSection.append(renderExportBagSection(bag, list, legNames));
     }
   });
   doc.append(itemsSection);
@@ -651,6 +1041,9 @@ function renderExportHero(trip = {}) {
       textContent: `Generated ${formatDateTime(new Date(trip.generatedAt || Date.now()))}`
     })
   );
+  if (trip.startDate) {
+    meta.append(ce('span', { textContent: formatDateRange(trip.startDate, trip.endDate) }));
+  }
   if (isFinite(trip.durationDays)) {
     meta.append(
       ce('span', {
@@ -681,11 +1074,23 @@ function renderExportHero(trip = {}) {
   return hero;
 }
 
-function renderExportOverview(trip, weather) {
+function collectLegNames(trip = {}) {
+  const legs = Array.isArray(trip.legs) ? trip.legs : [];
+  if (legs.length < 2) {
+    return new Map();
+  }
+  return new Map(legs.map((leg, index) => [leg.id, leg.city || `Leg ${index + 1}`]));
+}
+
+function renderExportOverview(state, items) {
   const overview = ce('section', { className: 'export-section export-overview' });
   const grid = ce('div', { className: 'export-overview__grid' });
-  grid.append(renderExportTripCard(trip));
-  grid.append(renderExportWeatherCard(weather));
+  grid.append(renderExportTripCard(state.trip));
+  grid.append(renderExportWeatherCard(state.weather, state.trip, state.legWeather, items, state.travelWeather));
+  const power = getPowerAdvice({ ...state, items });
+  if (power.length) {
+    grid.append(renderExportPowerCard(power, state.trip));
+  }
   overview.append(grid);
   return overview;
 }
@@ -696,12 +1101,39 @@ function renderExportTripCard(trip = {}) {
 
   const details = ce('dl', { className: 'export-passport__details' });
   appendDetail(details, 'Destination', [trip.city, trip.country].filter(Boolean).join(', ') || 'To be decided');
+  if (trip.startDate) {
+    appendDetail(details, 'Dates', formatDateRange(trip.startDate, trip.endDate));
+  }
   if (isFinite(trip.durationDays)) {
     appendDetail(details, 'Duration', `${trip.durationDays} day${trip.durationDays === 1 ? '' : 's'}`);
   }
   appendDetail(details, 'Generated', formatDateTime(new Date(trip.generatedAt || Date.now())));
   card.append(details);
 
+  const legs = Array.isArray(trip.legs) ? trip.legs : [];
+  if (legs.length > 1) {
+    const itinerary = ce('ol', { className: 'export-itinerary' });
+    legs.forEach(leg => {
+      const entry = ce('li', { className: 'export-itinerary__leg' });
+      entry.append(
+        ce('span', {
+          className: 'export-itinerary__place',
+          textContent: [leg.city, leg.country].filter(Boolean).join(', ') || 'To be decided'
+        })
+      );
+      if (leg.startDate) {
+        entry.append(
+          ce('span', {
+            className: 'export-itinerary__dates',
+            textContent: formatDateRange(leg.startDate, leg.endDate)
+          })
+        );
+      }
+      itinerary.append(entry);
+    });
+    card.append(itinerary);
+  }
+
   const activities = Array.isArray(trip.activities) ? trip.activities : [];
   const tags = ce('div', { className: 'export-passport__tags' });
   if (activities.length) {
@@ -717,7 +1149,7 @@ function renderExportTripCard(trip = {}) {
   return card;
 }
 
-function renderExportWeatherCard(weather) {
+function renderExportWeatherCard(weather, trip = {}, legWeather = [], items = [], travelWeather = []) {
   const card = ce('article', { className: 'export-card export-card--weather' });
   card.append(ce('h2', { textContent: 'Weather Snapshot' }));
   if (!weather) {
@@ -743,17 +1175,32 @@ function renderExportWeatherCard(weather) {
   const tempBlock = ce('div', { className: 'export-weather__primary' });
   tempBlock.append(ce('span', { className: 'export-weather__temp', textContent: formatTemperature(weather.tempC) }));
   tempBlock.append(ce('span', { className: 'export-weather__summary', textContent: summary }));
-  const updated = formatUpdatedTime(weather.lastUpdated);
+  const updated = weather.climate ? '' : formatUpdatedTime(weather.lastUpdated);
   if (updated) {
     tempBlock.append(ce('span', { className: 'export-weather__updated', textContent: `Updated ${updated}` }));
   }
+  if (weather.climate) {
+    tempBlock.append(
+      ce('span', { className: 'export-weather__updated', textContent: 'Climate average, not a forecast' })
+    );
+  }
   header.append(tempBlock);
   card.append(header);
 
   const metrics = ce('dl', { className: 'export-weather__metrics' });
-  appendDetail(metrics, 'Tomorrow', `${formatTemperature(weather.minC)} / ${formatTemperature(weather.maxC)}`);
-  appendDetail(metrics, 'Wind', formatWind(weather.windKph));
-  appendDetail(metrics, 'Precipitation', formatPrecipitation(weather.precipitation));
+  const rangeLabel = weather.startDate ? formatDateRange(weather.startDate, weather.endDate) : 'Tomorrow';
+  appendDetail(metrics, rangeLabel, `${formatTemperature(weather.minC)} / ${formatTemperature(weather.maxC)}`);
+  if (!weather.climate) {
+    appendDetail(metrics, 'Wind', formatWind(weather.windKph));
+  }
+  appendDetail(metrics, 'Precipitation', formatPrecipitation(weather.precipitationTotal ?? weather.precipitation));
+  const zone = describeTimeZone(weather.timeZone);
+  if (zone) {
+    appendDetail(metrics, 'Time zone', formatTimeZoneSummary(zone));
+  }
+  if (weather.sunrise && weather.sunset) {
+    appendDetail(metrics, 'Sunrise / sunset', `${weather.sunrise} / ${weather.sunset}`);
+  }
   card.append(metrics);
 
   const precip = ce('div', { className: 'export-weather__precip' });
@@ -768,6 +1215,102 @@ function renderExportWeatherCard(weather) {
   precip.append(precipBar);
   card.append(precip);
 
+  const legs = Array.isArray(trip.legs) ? trip.legs : [];
+  if (legs.length > 1 && legWeather.length) {
+    card.append(renderExportLegWeather(legs, legWeather, items));
+  }
+  if (travelWeather.length) {
+    card.append(renderExportTravelWeather(trip.origin, travelWeather));
+  }
+
+  return card;
+}
+
+function renderExportTravelWeather(origin = {}, travelWeather = []) {
+  const list = ce('ul', { className: 'export-weather__legs export-weather__travel' });
+  travelWeather.forEach(entry => {
+    const row = ce('li', { className: 'export-weather__leg' });
+    const place = origin?.city || entry.weather.location?.name || 'Home';
+    const day = entry.day === 'return' ? `Return to ${place}` : `Departure from ${place}`;
+    row.append(
+      ce('span', {
+        className: 'export-weather__leg-name',
+        textContent: entry.date ? `${day} · ${formatDateRange(entry.date)}` : day
+      }),
+      ce('span', {
+        className: 'export-weather__leg-range',
+        textContent: `${formatTemperature(entry.weather.minC)} / ${formatTemperature(entry.weather.maxC)}, ${formatPrecipitation(entry.weather.precipitation)}`
+      })
+    );
+    if (entry.wear?.length) {
+      row.append(ce('span', { className: 'export-weather__leg-items', textContent: `Wear ${entry.wear.join(', ')}` }));
+    }
+    list.append(row);
+  });
+  return list;
+}
+
+function renderExportLegWeather(legs, legWeather, items) {
+  const list = ce('ul', { className: 'export-weather__legs' });
+  legs.forEach((leg, index) => {
+    const entry = legWeather.find(candidate => candidate.legId === leg.id);
+    const row = ce('li', { className: 'export-weather__leg' });
+    row.append(
+      ce('span', {
+        className: 'export-weather__leg-name',
+        textContent: leg.city || `Leg ${index + 1}`
+      })
+    );
+    row.append(
+      ce('span', {
+        className: 'export-weather__leg-range',
+        textContent: entry?.weather
+          ? `${formatTemperature(entry.weather.minC)} / ${formatTemperature(entry.weather.maxC)}, ${formatPrecipitation(
+              entry.weather.precipitationTotal ?? entry.weather.precipitation
+            )}`
+          : 'No forecast'
+      })
+    );
+    const zone = describeTimeZone(entry?.weather?.timeZone);
+    if (zone) {
+      row.append(ce('span', { className: 'export-weather__leg-zone', textContent: formatTimeZoneSummary(zone) }));
+    }
+    const reasons = items
+      .filter(item => item.source === 'weather' && (item.legs || []).includes(leg.id))
+      .map(item => item.label);
+    if (reasons.length) {
+      row.append(
+        ce('span', {
+          className: 'export-weather__leg-items',
+          textContent: `Adds ${reasons.join(', ')}`
+        })
+      );
+    }
+    list.append(row);
+  });
+  return list;
+}
+
+function renderExportPowerCard(power, trip = {}) {
+  const card = ce('article', { className: 'export-card export-card--power' });
+  card.append(ce('h2', { textContent: 'Power & Plugs' }));
+  const details = ce('dl', { className: 'export-passport__details' });
+  const legs = Array.isArray(trip.legs) ? trip.legs : [];
+  power.forEach(entry => {
+    const leg = legs.find(candidate => candidate.id === entry.legId);
+    const label = legs.length > 1 && leg?.city ? `${leg.city} (${entry.name})` : entry.name;
+    appendDetail(details, label, formatPowerFacts(entry));
+    if (entry.adapterLabel) {
+      appendDetail(details, 'Adapter', entry.adapterLabel);
+    }
+  });
+  card.append(details);
+  const warnings = Array.from(new Set(power.flatMap(entry => entry.warnings)));
+  if (warnings.length) {
+    const list = ce('ul', { className: 'export-power__warnings' });
+    warnings.forEach(warning => list.append(ce('li', { textContent: warning })));
+    card.append(list);
+  }
   return card;
 }
 
@@ -794,7 +1337,7 @@ function renderExportFooter(trip = {}) {
   return footer;
 }
 
-function renderExportGroup(groupKey, items) {
+function renderExportGroup(groupKey, items, legNames = new Map()) {
   const section = ce('section', { className: 'export-group' });
   const label = CATEGORY_LABELS[groupKey] ?? capitalise(groupKey);
   const icon = CATEGORY_ICONS[groupKey] || '•';
@@ -822,6 +1365,10 @@ function renderExportGroup(groupKey, items) {
         labelStack.append(ce('span', { className: 'export-item__qty', textContent: `${item.quantity}×` }));
       }
       labelStack.append(ce('span', { className: 'export-item__name', textContent: item.label }));
+      const legLabels = (item.legs || []).map(legId => legNames.get(legId)).filter(Boolean);
+      if (legLabels.length) {
+        labelStack.append(ce('span', { className: 'export-item__legs', textContent: legLabels.join(' · ') }));
+      }
       labelCell.append(labelStack);
       row.append(labelCell);
       tbody.append(row);
@@ -868,27 +1415,6 @@ function pickWeatherGlyph(theme) {
   return WEATHER_GLYPHS[theme] || WEATHER_GLYPHS.default;
 }
 
-function formatTemperature(value) {
-  if (value === null || value === undefined || Number.isNaN(value)) {
-    return '—';
-  }
-  return `${exportNumberFormatter.format(value)}°C`;
-}
-
-function formatPrecipitation(value) {
-  if (value === null || value === undefined || Number.isNaN(value)) {
-    return '—';
-  }
-  return `${exportNumberFormatter.format(value)} mm`;
-}
-
-function formatWind(value) {
-  if (value === null || value === undefined || Number.isNaN(value)) {
-    return '—';
-  }
-  return `${exportNumberFormatter.format(value)} km/h`;
-}
-
 function formatUpdatedTime(timestamp) {
   if (!timestamp) {
     return '';
@@ -908,21 +1434,22 @@ function calculatePrecipPercent(value) {
   return Math.round(ratio * 100);
 }
 
-function renderExportBagSection(bagKey, items) {
-  const normalizedBag = normalizeBagValue(bagKey) || bagKey || 'carryOn';
-  const section = ce('section', { className: 'export-bag-section' });
+function renderExportBagSection(bagKey, items, legNames) {
+  const worn = bagKey === 'worn';
+  const normalizedBag = worn ? bagKey : normalizeBagValue(bagKey) || bagKey || CHECKLIST_CONFIG.defaultBag;
+  const section = ce('section', { className: `export-bag-section${worn ? ' export-bag-section--worn' : ''}` });
   const summary = summarizeBagItems(items);
   const heading = ce('header', { className: 'export-bag-section__header' });
   heading.append(
     ce('h3', {
       className: 'export-bag-section__title',
-      textContent: BAG_LABELS[normalizedBag] ?? capitalise(normalizedBag)
+      textContent: worn ? WORN_LABEL : BAG_LABELS[normalizedBag] ?? capitalise(normalizedBag)
     })
   );
   heading.append(
     ce('span', {
       className: 'export-bag-section__badge',
-      textContent: `${summary.checked}/${summary.count} packed`
+      textContent: `${summary.checked}/${summary.count} ${worn ? 'ready' : 'packed'}`
     })
   );
   section.append(heading);
@@ -931,18 +1458,18 @@ function renderExportBagSection(bagKey, items) {
     if (!grouped[groupKey]) {
       return;
     }
-    section.append(renderExportGroup(groupKey, grouped[groupKey]));
+    section.append(renderExportGroup(groupKey, grouped[groupKey], legNames));
     delete grouped[groupKey];
   });
   Object.entries(grouped).forEach(([groupKey, list]) => {
-    section.append(renderExportGroup(groupKey, list));
+    section.append(renderExportGroup(groupKey, list, legNames));
   });
   return section;
 }
 
 function groupItemsByBag(items = []) {
   return items.reduce((acc, item) => {
-    const bag = normalizeBagValue(item.bag) || 'carryOn';
+    const bag = item.worn ? 'worn' : normalizeBagValue(item.bag) || CHECKLIST_CONFIG.defaultBag;
     if (!acc[bag]) {
       acc[bag] = [];
     }
@@ -1088,7 +1615,7 @@ export function getBuiltInTemplates() {
 }
 
 export function moveItemToBag(itemId, bag) {
-  const normalizedBag = normalizeBagValue(bag) || 'carryOn';
+  const normalizedBag = normalizeBagValue(bag) || CHECKLIST_CONFIG.defaultBag;
   const target = appState.items.find(item => item.id === itemId);
   if (!target) {
     return;
@@ -1126,10 +1653,11 @@ export function getBagSummary() {
     carryOn: { count: 0, checked: 0 },
     checked: { count: 0, checked: 0 },
     personal: { count: 0, checked: 0 },
-    work: { count: 0, checked: 0 }
+    work: { count: 0, checked: 0 },
+    worn: { count: 0, checked: 0 }
   };
   appState.items.forEach(item => {
-    const bag = normalizeBagValue(item.bag) || 'carryOn';
+    const bag = item.worn ? 'worn' : normalizeBagValue(item.bag) || CHECKLIST_CONFIG.defaultBag;
     summary[bag].count += 1;
     if (item.checked) {
       summary[bag].checked += 1;
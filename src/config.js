@@ -0,0 +1,253 @@
+/**
+ * Configuration module: merges defaults, an optional `config.json` and `<meta>` tags into
+ * one validated settings object that `main.js` hands to the weather, checklist and export
+ * modules at startup. Meta tags win over the file so a page can override shared settings.
+ */
+
+import { normalizeBagValue } from './utils.js';
+import { resolveCountryCode } from './services/countries.js';
+import { DEFAULT_WEATHER_THRESHOLDS } from './rules.js';
+import { UNITS } from './units.js';
+
+export { UNITS };
+
+export const FEATURES = ['autocomplete', 'share', 'export'];
+
+const DEFAULT_CONFIG_URL = 'config.json';
+
+export function getDefaultConfig() {
+  return {
+    providers: ['open-meteo'],
+    apiKey: '',
+    units: 'metric',
+    homeCountry: '',
+    defaultBag: 'carryOn',
+    rules: [],
+    weatherThresholds: {},
+    features: Object.fromEntries(FEATURES.map(feature => [feature, true]))
+  };
+}
+
+/**
+ * Loads and validates the configuration. Invalid values are reported in `problems` and
+ * replaced by their defaults, so a typo never keeps the app from starting.
+ */
+export async function loadConfig({ doc = document, signal } = {}) {
+  const meta = readMetaConfig(doc);
+  const url = readMeta(doc, 'app-config') || DEFAULT_CONFIG_URL;
+  const problems = [];
+  let file = {};
+  try {
+    file = (await loadConfigFile(url, { signal })) ?? {};
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    problems.push(err.message);
+  }
+  const result = normalizeConfig({
+    ...file,
+    ...meta,
+    features: { ...file.features, ...meta.features },
+    weatherThresholds: { ...file.weatherThresholds, ...meta.weatherThresholds }
+  });
+  return { config: result.config, problems: [...problems, ...result.problems] };
+}
+
+/**
+ * Fetches a JSON config file. A missing file (404) is not an error and resolves to null.
+ */
+export async function loadConfigFile(url, { signal } = {}) {
+  let res;
+  try {
+    res = await fetch(url, { signal, cache: 'no-cache' });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw new ConfigError(`Unable to load configuration from ${url}.`, 'load-error', [], err);
+  }
+  if (res.status === 404) {
+    return null;
+  }
+  if (!res.ok) {
+    throw new ConfigError(`Unable to load configuration from ${url}.`, 'load-error');
+  }
+  try {
+    const json = await res.json();
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new TypeError('Configuration must be a JSON object.');
+    }
+    return json;
+  } catch (err) {
+    throw new ConfigError(`Configuration file ${url} is not a valid JSON object.`, 'parse-error', [], err);
+  }
+}
+
+/**
+ * Reads the supported meta tags. Only tags that are present appear in the result.
+ */
+export function readMetaConfig(doc = document) {
+  const config = {};
+  const providers = readMetaList(doc, 'weather-providers').concat(readMetaList(doc, 'weather-provider'));
+  if (providers.length) {
+    config.providers = providers;
+  }
+  const simple = {
+    apiKey: 'weather-api-key',
+    units: 'units',
+    homeCountry: 'home-country',
+    defaultBag: 'default-bag'
+  };
+  Object.entries(simple).forEach(([key, name]) => {
+    const value = readMeta(doc, name);
+    if (value) {
+      config[key] = value;
+    }
+  });
+  const rules = readMetaList(doc, 'packing-rules');
+  if (rules.length) {
+    config.rules = rules;
+  }
+  // <meta name="weather-thresholds" content="uvIndex=8, windGustKph=60" />
+  const thresholds = readMetaList(doc, 'weather-thresholds').map(entry =>
+    entry.split('=').map(part => part.trim())
+  );
+  if (thresholds.length) {
+    config.weatherThresholds = Object.fromEntries(thresholds.map(([name, value = '']) => [name, value]));
+  }
+  // <meta name="features" content="autocomplete=off, share=on" />
+  config.features = Object.fromEntries(
+    readMetaList(doc, 'features').map(entry => {
+      const [name, value = 'on'] = entry.split('=').map(part => part.trim());
+      return [name, !['off', 'false', '0', 'no'].includes(value.toLowerCase())];
+    })
+  );
+  return config;
+}
+
+export function normalizeConfig(raw = {}) {
+  const config = getDefaultConfig();
+  const problems = [];
+  const input = raw && typeof raw === 'object' ? raw : {};
+
+  if (input.providers !== undefined || input.provider !== undefined) {
+    const value = input.providers ?? input.provider;
+    const providers = (Array.isArray(value) ? value : [value]).map(id => `${id ?? ''}`.trim()).filter(Boolean);
+    if (providers.length) {
+      config.providers = Array.from(new Set(providers));
+    } else {
+      problems.push('"providers" must name at least one weather provider');
+    }
+  }
+  if (input.apiKey !== undefined) {
+    if (typeof input.apiKey === 'string') {
+      config.apiKey = input.apiKey.trim();
+    } else {
+      problems.push('"apiKey" must be a string');
+    }
+  }
+  if (input.units !== undefined) {
+    const units = `${input.units}`.trim().toLowerCase();
+    if (UNITS.includes(units)) {
+      config.units = units;
+    } else {
+      problems.push(`"units" must be one of ${UNITS.join(', ')}`);
+    }
+  }
+  if (input.homeCountry) {
+    const code = resolveCountryCode(input.homeCountry);
+    if (code) {
+      config.homeCountry = code;
+    } else {
+      problems.push(`"homeCountry" "${input.homeCountry}" is not a known country`);
+    }
+  }
+  if (input.defaultBag !== undefined) {
+    const bag = normalizeBagValue(input.defaultBag);
+    if (bag) {
+      config.defaultBag = bag;
+    } else {
+      problems.push(`"defaultBag" "${input.defaultBag}" is not a known bag`);
+    }
+  }
+  if (input.rules !== undefined) {
+    const rules = Array.isArray(input.rules) ? input.rules : [input.rules];
+    if (rules.every(url => typeof url === 'string' && url.trim())) {
+      config.rules = rules.map(url => url.trim());
+    } else {
+      problems.push('"rules" must be a list of rule file URLs');
+    }
+  }
+  if (input.weatherThresholds !== undefined) {
+    const thresholds = input.weatherThresholds;
+    if (thresholds && typeof thresholds === 'object' && !Array.isArray(thresholds)) {
+      Object.entries(thresholds).forEach(([name, raw]) => {
+        const value = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+        if (!(name in DEFAULT_WEATHER_THRESHOLDS)) {
+          problems.push(`unknown weather threshold "${name}"`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          problems.push(`weather threshold "${name}" must be a number`);
+        } else {
+          config.weatherThresholds[name] = value;
+        }
+      });
+    } else {
+      problems.push('"weatherThresholds" must be an object of numbers');
+    }
+  }
+  if (input.features !== undefined) {
+    if (input.features && typeof input.features === 'object' && !Array.isArray(input.features)) {
+      Object.entries(input.features).forEach(([name, enabled]) => {
+        if (!FEATURES.includes(name)) {
+          problems.push(`unknown feature "${name}"`);
+        } else if (typeof enabled !== 'boolean') {
+          problems.push(`feature "${name}" must be true or false`);
+        } else {
+          config.features[name] = enabled;
+        }
+      });
+    } else {
+      problems.push('"features" must be an object of on/off switches');
+    }
+  }
+  return { config, problems };
+}
+
+/**
+ * Strict variant of `normalizeConfig` for tooling and tests: throws on any problem.
+ */
+export function validateConfig(raw) {
+  const { config, problems } = normalizeConfig(raw);
+  if (problems.length) {
+    throw new ConfigError(
+      `Configuration is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}).`,
+      'invalid-config',
+      problems
+    );
+  }
+  return config;
+}
+
+function readMeta(doc, name) {
+  return doc?.querySelector(`meta[name="${name}"]`)?.getAttribute('content')?.trim() ?? '';
+}
+
+function readMetaList(doc, name) {
+  return readMeta(doc, name)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+export class ConfigError extends Error {
+  constructor(message, code, problems = [], cause) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+    this.problems = problems;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
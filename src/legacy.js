@@ -0,0 +1,163 @@
+/**
+ * Legacy import: the first version of the app (`js/checklist.js`) kept two arrays under
+ * `trip_toPack` and `trip_packed`. Entries are `{ name, checked }`, with `{ isHeader, name }`
+ * section rows mixed into the to-pack list; the category of an item was only known from
+ * the `modules` table it was generated from, so that table's names are mirrored here.
+ */
+
+import { normalizeLabel } from './utils.js';
+
+const LEGACY_TO_PACK_KEY = 'trip_toPack';
+const LEGACY_PACKED_KEY = 'trip_packed';
+// Remembers data that was imported but kept, so it is not offered again until it changes.
+const LEGACY_IMPORT_STORAGE_KEY = 'legacy-import.v1';
+
+export const LEGACY_CATEGORY_GROUPS = {
+  'Clothing and Essentials': 'clothing',
+  Electronics: 'tech',
+  'Work Essentials': 'documents',
+  documents: 'documents',
+  Other: 'other'
+};
+
+// Section headings the old app wrote into the to-pack list.
+const LEGACY_SECTION_GROUPS = {
+  'Documents & Work Essentials': 'documents',
+  Electronics: 'tech',
+  Clothing: 'clothing',
+  Other: 'other'
+};
+
+const LEGACY_MODULE_ITEMS = {
+  'Clothing and Essentials': [
+    'Hygiene products',
+    'Toothbrush',
+    'Medicine',
+    'Headache tablet',
+    'Socks and underwear',
+    'Shirt',
+    'T-shirt',
+    'Sweater',
+    'Jacket',
+    'Shoes',
+    'Pants',
+    'Formal Outfit'
+  ],
+  documents: [
+    'Work ID',
+    'Passport/Personal ID',
+    'Travel Ticket',
+    'Meeting Agenda',
+    'Business Cards',
+    'NDA Forms or Legal Paperwork'
+  ],
+  'Work Essentials': ['Client Contact Info (Name, Phone, Email)', 'Credit Cards'],
+  Electronics: [
+    'Phone and Charger',
+    'Laptop and Charger',
+    'Tablet and Charger',
+    'Headphones',
+    'Presentation Clicker',
+    'Moderation Material',
+    'Notebook & Pen',
+    'Power Bank and Cables',
+    'Portable Wi-Fi Hotspot'
+  ],
+  Other: ['Keys', 'Wallet']
+};
+
+const LEGACY_ITEM_CATEGORIES = new Map(
+  Object.entries(LEGACY_MODULE_ITEMS).flatMap(([category, names]) =>
+    names.map(name => [normalizeLabel(name), category])
+  )
+);
+
+/**
+ * Returns the legacy checklist as `{ items, packed, total }` with items ready for the
+ * checklist state, or null when there is nothing (new) to import.
+ */
+export function readLegacyChecklist() {
+  const raw = readRawLegacyLists();
+  if (!raw || localStorage.getItem(LEGACY_IMPORT_STORAGE_KEY) === raw.fingerprint) {
+    return null;
+  }
+  const items = convertLegacyLists(raw.toPack, raw.packed);
+  if (!items.length) {
+    return null;
+  }
+  const packed = items.filter(item => item.checked).length;
+  return { items, packed, total: items.length };
+}
+
+/**
+ * Maps both legacy lists to checklist items. Items are imported as custom entries so a
+ * regenerated checklist keeps them; an item in both lists counts as packed.
+ */
+export function convertLegacyLists(toPack = [], packed = []) {
+  const items = new Map();
+  const addEntries = (entries, checked) => {
+    let sectionGroup = null;
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+      const name = (entry?.name ?? '').toString().trim();
+      if (!name) {
+        return;
+      }
+      if (entry.isHeader) {
+        sectionGroup = LEGACY_SECTION_GROUPS[name] ?? null;
+        return;
+      }
+      const key = normalizeLabel(name);
+      const previous = items.get(key);
+      if (previous) {
+        previous.checked = previous.checked || checked;
+        return;
+      }
+      items.set(key, { label: name, group: mapLegacyGroup(name, sectionGroup), source: 'custom', checked });
+    });
+  };
+  addEntries(toPack, false);
+  addEntries(packed, true);
+  return Array.from(items.values());
+}
+
+export function mapLegacyGroup(name, sectionGroup = null) {
+  const category = LEGACY_ITEM_CATEGORIES.get(normalizeLabel(name));
+  return LEGACY_CATEGORY_GROUPS[category] ?? sectionGroup ?? 'other';
+}
+
+/**
+ * Keeps the legacy keys but stops offering the same data again.
+ */
+export function markLegacyChecklistImported() {
+  const raw = readRawLegacyLists();
+  if (!raw) {
+    return;
+  }
+  try {
+    localStorage.setItem(LEGACY_IMPORT_STORAGE_KEY, raw.fingerprint);
+  } catch (err) {
+    console.warn('Unable to remember the legacy import.', err);
+  }
+}
+
+export function clearLegacyChecklist() {
+  [LEGACY_TO_PACK_KEY, LEGACY_PACKED_KEY, LEGACY_IMPORT_STORAGE_KEY].forEach(key => localStorage.removeItem(key));
+}
+
+function readRawLegacyLists() {
+  const toPackRaw = localStorage.getItem(LEGACY_TO_PACK_KEY);
+  const packedRaw = localStorage.getItem(LEGACY_PACKED_KEY);
+  if (toPackRaw === null && packedRaw === null) {
+    return null;
+  }
+  try {
+    return {
+      toPack: JSON.parse(toPackRaw || '[]'),
+      packed: JSON.parse(packedRaw || '[]'),
+      fingerprint: `${toPackRaw ?? ''}\n${packedRaw ?? ''}`
+    };
+  } catch (err) {
+    console.warn('Ignoring unreadable legacy checklist data.', err);
+    return null;
+  }
+}
@@ -10,26 +10,105 @@ import {
   showToast,
   loadTemplates,
   saveTemplates,
+  onTemplatesChange,
   generateId,
-  normalizeBagValue
+  normalizeBagValue,
+  calculateTripDays,
+  formatDateRange,
+  formatDateTime,
+  toISODate,
+  parseISODate,
+  ce
 } from './utils.js';
 import {
   initChecklist,
   updateTrip,
   generateChecklist,
   reconcileWeatherItems,
+  diffWeatherItems,
+  recordForecastSnapshot,
+  getForecastHistory,
   setWeatherData,
   addCustomItem,
   getAppState,
   renderChecklistForExport,
   applyTemplate,
   diffTemplate,
-  getBuiltInTemplates
+  getBuiltInTemplates,
+  getPowerAdvice,
+  configureChecklist,
+  mergeRemoteState,
+  PRIMARY_LEG_ID
 } from './checklist.js';
 import {
-  fetchWeather,
+  loadRuleSet,
+  loadDefaultRules,
+  useRuleSets,
+  loadSavedRuleSets,
+  configureWeatherThresholds
+} from './rules.js';
+import {
+  listTrips,
+  createTrip,
+  duplicateTrip,
+  renameTrip,
+  archiveTrip,
+  deleteTrip,
+  switchTrip,
+  saveActiveTripState,
+  onTripLibraryChange,
+  TripError
+} from './trips.js';
+import { readLegacyChecklist, markLegacyChecklistImported, clearLegacyChecklist } from './legacy.js';
+import { initStorage, onStorageError, getStorageUsage, formatBytes } from './storage.js';
+import {
+  createBackup,
+  serializeBackup,
+  getBackupFileName,
+  parseBackup,
+  previewRestore,
+  restoreBackup,
+  BackupError
+} from './backup.js';
+import {
+  TEMPLATE_ITEM_LIMIT,
+  normalizeTemplateItems,
+  createTemplateFile,
+  serializeTemplateFile,
+  getTemplateFileName,
+  parseTemplateFile,
+  planTemplateImport,
+  serializeTemplateToURL,
+  deserializeTemplateFromURL,
+  TEMPLATE_SHARE_PARAM,
+  TemplateError
+} from './templates.js';
+import { loadConfig, getDefaultConfig } from './config.js';
+import { countryFlag, findCountry, listCountries, loadCountries } from './services/countries.js';
+import { attachAutocomplete } from './autocomplete.js';
+import {
+  UNITS,
+  configureUnits,
+  loadUnitsPreference,
+  setUnits,
+  formatTemperature,
+  formatPrecipitation
+} from './units.js';
+import {
+  fetchItineraryWeather,
+  fetchTravelDayWeather,
+  searchLocations,
+  configureWeather,
+  inspectWeatherCache,
+  removeWeatherCacheEntry,
+  clearWeatherCache,
   renderWeatherStatus,
+  renderForecastChangeNotice,
+  formatForecastChange,
   extractWeatherChecklistItems,
+  extractTravelDayItems,
+  isTransientError,
+  computeBackoffDelay,
   WeatherError
 } from './weather.js';
 
@@ -37,21 +116,58 @@ const formSelectors = {
   city: '#city',
   country: '#country',
   duration: '#duration',
-  activities: '.activity'
+  startDate: '#startDate',
+  endDate: '#endDate',
+  activities: '.activity',
+  originCity: '#originCity',
+  originCountry: '#originCountry',
+  legsList: '#legsList',
+  legTemplate: '#legTemplate',
+  addLegBtn: '#addLegBtn'
 };
 
 const clipboard = navigator.clipboard;
 let pendingWeatherController = null;
 let lastWeatherItems = [];
 let userTemplates = [];
+let appConfig = getDefaultConfig();
+let configuredRuleSets = [];
+let pendingBackup = null;
+let pendingTemplateImport = null;
+const locationCandidates = new Map();
+let autoRetryTimer = null;
+let autoRetryAttempt = 0;
+const AUTO_RETRY_LIMIT = 4;
+let forecastRecheckTimer = null;
+let pendingForecastChange = null;
+let dismissedForecastChange = '';
+const FORECAST_RECHECK_INTERVAL = 3 * 60 * 60 * 1000;
+const FORECAST_RECHECK_WINDOW_DAYS = 7;
+// Refreshes the user did not ask for; a forecast change they bring waits for consent.
+const BACKGROUND_WEATHER_REASONS = new Set(['recheck', 'revalidated']);
+
+const populationFormatter = new Intl.NumberFormat(undefined, {
+  notation: 'compact',
+  maximumFractionDigits: 1
+});
 const builtInTemplates = getBuiltInTemplates();
-const TEMPLATE_ITEM_LIMIT = 500;
 
 const templateSelectors = {
   picker: '#templatePicker',
   applyBtn: '#applyTemplateBtn',
   saveBtn: '#saveTemplateBtn',
   deleteBtn: '#deleteTemplateBtn',
+  exportBtn: '#exportTemplatesBtn',
+  importBtn: '#importTemplatesBtn',
+  importInput: '#importTemplatesInput',
+  exportModal: '#exportTemplatesModal',
+  exportList: '#exportTemplatesList',
+  importModal: '#importTemplatesModal',
+  importPreview: '#importTemplatesPreview',
+  shareBtn: '#shareTemplateBtn',
+  sharedModal: '#sharedTemplateModal',
+  sharedName: '#sharedTemplateName',
+  sharedPreview: '#sharedTemplatePreview',
   badge: '#templateBadge',
   applyModal: '#applyTemplateModal',
   diffAdd: '#templateDiffAdd',
@@ -66,18 +182,327 @@ const templateSelectors = {
 function readTripFromForm() {
   const city = qs(formSelectors.city)?.value.trim() ?? '';
   const country = qs(formSelectors.country)?.value.trim() ?? '';
-  const duration = Number.parseInt(qs(formSelectors.duration)?.value ?? '3', 10) || 3;
+  const startDate = qs(formSelectors.startDate)?.value ?? '';
+  const endDate = qs(formSelectors.endDate)?.value || startDate;
   const activities = Array.from(document.querySelectorAll(formSelectors.activities))
     .filter(input => input.checked)
     .map(input => input.value);
+  const legs = [
+    {
+      id: PRIMARY_LEG_ID,
+      city,
+      country,
+      ...readPinnedLocation(qs(formSelectors.city)),
+      startDate,
+      endDate: startDate ? endDate : '',
+      activities
+    },
+    ...readLegRows()
+  ];
+  const starts = legs.map(leg => leg.startDate).filter(Boolean).sort();
+  const ends = legs.map(leg => leg.endDate || leg.startDate).filter(Boolean).sort();
+  const tripStart = starts[0] || '';
+  const tripEnd = tripStart ? ends[ends.length - 1] || tripStart : '';
+  const duration =
+    calculateTripDays(tripStart, tripEnd) ||
+    Number.parseInt(qs(formSelectors.duration)?.value ?? '3', 10) ||
+    3;
   return {
     city,
     country,
     durationDays: duration,
-    activities
+    startDate: tripStart,
+    endDate: tripEnd,
+    activities: Array.from(new Set(legs.flatMap(leg => leg.activities))),
+    legs,
+    origin: {
+      city: qs(formSelectors.originCity)?.value.trim() ?? '',
+      country: qs(formSelectors.originCountry)?.value.trim() ?? ''
+    }
   };
 }
 
+function readLegRows() {
+  const list = qs(formSelectors.legsList);
+  if (!list) {
+    return [];
+  }
+  return Array.from(list.querySelectorAll('.leg-row')).map(row => {
+    const startDate = qs('.leg-start', row)?.value ?? '';
+    return {
+      id: row.dataset.legId,
+      city: qs('.leg-city', row)?.value.trim() ?? '',
+      country: qs('.leg-country', row)?.value.trim() ?? '',
+      ...readPinnedLocation(qs('.leg-city', row)),
+      startDate,
+      endDate: startDate ? qs('.leg-end', row)?.value || startDate : '',
+      activities: Array.from(row.querySelectorAll('.leg-activity'))
+        .filter(input => input.checked)
+        .map(input => input.value)
+    };
+  });
+}
+
+function addLegRow(leg = {}) {
+  const list = qs(formSelectors.legsList);
+  const template = qs(formSelectors.legTemplate);
+  if (!list || !template) {
+    return null;
+  }
+  const row = template.content.firstElementChild.cloneNode(true);
+  row.dataset.legId = leg.id || generateId('leg');
+  qs('.leg-city', row).value = leg.city || '';
+  attachCityAutocomplete(qs('.leg-city', row), () => row.dataset.legId);
+  pinLocation(qs('.leg-city', row), leg);
+  qs('.leg-country', row).value = leg.country || '';
+  qs('.leg-start', row).value = leg.startDate || '';
+  qs('.leg-end', row).value = leg.endDate || '';
+  row.querySelectorAll('.leg-activity').forEach(input => {
+    input.checked = Array.isArray(leg.activities) && leg.activities.includes(input.value);
+  });
+  qs('.leg-row__remove', row)?.addEventListener('click', () => {
+    row.remove();
+    renumberLegRows();
+    syncDurationWithDates();
+    requestWeatherUpdate({ reason: 'leg-removed' }).catch(err => console.error(err));
+  });
+  list.append(row);
+  renumberLegRows();
+  return row;
+}
+
+function getLegRow(legId) {
+  return qs(formSelectors.legsList)?.querySelector(`.leg-row[data-leg-id="${legId}"]`) ?? null;
+}
+
+function getLegInput(legId, field) {
+  if (legId === PRIMARY_LEG_ID) {
+    return qs(formSelectors[field]);
+  }
+  const row = getLegRow(legId);
+  return row ? qs(`.leg-${field}`, row) : null;
+}
+
+function readPinnedLocation(input) {
+  const latitude = Number.parseFloat(input?.dataset.latitude ?? '');
+  const longitude = Number.parseFloat(input?.dataset.longitude ?? '');
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Stores the coordinates of the place picked for a city field on the input itself, so
+ * they travel with the leg until the city or country is edited.
+ */
+function pinLocation(input, place) {
+  if (!input) {
+    return;
+  }
+  if (Number.isFinite(place?.latitude) && Number.isFinite(place?.longitude)) {
+    input.dataset.latitude = String(place.latitude);
+    input.dataset.longitude = String(place.longitude);
+  } else {
+    delete input.dataset.latitude;
+    delete input.dataset.longitude;
+  }
+}
+
+function unpinLocation(legId) {
+  pinLocation(getLegInput(legId, 'city'), null);
+  locationCandidates.delete(legId);
+  renderLocationPicker(legId);
+}
+
+function formatLocationMeta(candidate) {
+  const parts = [candidate.admin1, candidate.country].filter(
+    (part, index, list) => part && list.indexOf(part) === index
+  );
+  const meta = parts.join(', ');
+  if (!Number.isFinite(candidate.population) || candidate.population <= 0) {
+    return meta;
+  }
+  const population = `pop. ${populationFormatter.format(candidate.population)}`;
+  return meta ? `${meta} · ${population}` : population;
+}
+
+/**
+ * Shows the geocoding matches for an ambiguous city under its field as a radio group,
+ * so the choice is reachable with Tab and the arrow keys. Picking a match pins its
+ * coordinates and refreshes the forecast.
+ */
+function renderLocationPicker(legId) {
+  const input = getLegInput(legId, 'city');
+  const anchor = legId === PRIMARY_LEG_ID ? input : qs('.leg-row__fields', getLegRow(legId) ?? document);
+  const candidates = locationCandidates.get(legId) ?? [];
+  const existing = anchor?.parentElement?.querySelector(`.location-picker[data-leg-id="${legId}"]`);
+  if (!input || !anchor || candidates.length < 2) {
+    existing?.remove();
+    return;
+  }
+  const pinned = readPinnedLocation(input);
+  const selectedIndex = Math.max(
+    candidates.findIndex(
+      candidate => candidate.latitude === pinned.latitude && candidate.longitude === pinned.longitude
+    ),
+    0
+  );
+  const picker = ce('fieldset', { className: 'location-picker' });
+  picker.dataset.legId = legId;
+  picker.append(ce('legend', { textContent: `Which ${candidates[0].name}?` }));
+  candidates.forEach((candidate, index) => {
+    const option = ce('label', { className: 'location-picker__option' });
+    const radio = ce('input', {
+      type: 'radio',
+      name: `location-${legId}`,
+      value: String(index),
+      checked: index === selectedIndex
+    });
+    radio.addEventListener('change', () => {
+      pinLocation(input, candidate);
+      const countryInput = getLegInput(legId, 'country');
+      const country = findCountry(candidate.countryCode);
+      if (countryInput && country && !findCountry(countryInput.value)) {
+        countryInput.value = country.name;
+      }
+      requestWeatherUpdate({ reason: 'location-picked' }).catch(err => console.error(err));
+    });
+    const text = ce('span', { className: 'location-picker__text' });
+    text.append(
+      ce('span', { className: 'location-picker__name', textContent: candidate.name }),
+      ce('span', { className: 'location-picker__meta', textContent: formatLocationMeta(candidate) })
+    );
+    option.append(radio, text);
+    picker.append(option);
+  });
+  if (existing) {
+    existing.replaceWith(picker);
+  } else {
+    anchor.after(picker);
+  }
+}
+
+/**
+ * Suggests geocoded places while a city is typed. Picking one fills the city and country
+ * and pins its coordinates, exactly like choosing it from the disambiguation picker.
+ */
+function attachCityAutocomplete(input, getLegId) {
+  if (!appConfig.features.autocomplete) {
+    return;
+  }
+  attachAutocomplete(input, {
+    search: (query, { signal }) => {
+      const country = getLegInput(getLegId(), 'country')?.value.trim() ?? '';
+      return searchLocations(query, country, { signal, retries: 0, breaker: false });
+    },
+    describe: candidate => ({
+      label: candidate.name,
+      meta: formatLocationMeta(candidate),
+      icon: countryFlag(candidate.countryCode)
+    }),
+    onSelect: candidate => {
+      const legId = getLegId();
+      const countryInput = getLegInput(legId, 'country');
+      input.value = candidate.name;
+      if (countryInput) {
+        countryInput.value = findCountry(candidate.countryCode)?.name ?? candidate.country;
+      }
+      locationCandidates.delete(legId);
+      renderLocationPicker(legId);
+      pinLocation(input, candidate);
+      requestWeatherUpdate({ reason: 'suggestion-picked' }).catch(err => console.error(err));
+    }
+  });
+}
+
+function renderLocationPickers(legs) {
+  document.querySelectorAll('.location-picker').forEach(picker => {
+    if (!legs.some(leg => leg.id === picker.dataset.legId)) {
+      picker.remove();
+    }
+  });
+  legs.forEach(leg => renderLocationPicker(leg.id));
+}
+
+/**
+ * Rewrites a typed country ("deutschland", "uk") to its registry name so the
+ * trip, share links and exports always carry one spelling.
+ */
+function normalizeCountryInput(input) {
+  const country = findCountry(input?.value);
+  if (country && input.value !== country.name) {
+    input.value = country.name;
+  }
+}
+
+/**
+ * Fills country fields that were left blank or not recognised with the country the
+ * geocoder matched. Returns true when any field changed.
+ */
+function applyGeocodedCountries(results) {
+  let changed = false;
+  results.forEach(({ leg, weather }) => {
+    const country = findCountry(weather?.location?.countryCode);
+    const input = getLegInput(leg.id, 'country');
+    if (!country || !input || findCountry(input.value)) {
+      return;
+    }
+    input.value = country.name;
+    changed = true;
+  });
+  return changed;
+}
+
+function renderCountryOptions() {
+  const datalist = qs('#countryOptions');
+  if (!datalist) {
+    return;
+  }
+  datalist.replaceChildren(
+    ...listCountries().map(country => {
+      const option = document.createElement('option');
+      option.value = country.name;
+      return option;
+    })
+  );
+}
+
+function renumberLegRows() {
+  const list = qs(formSelectors.legsList);
+  list?.querySelectorAll('.leg-row').forEach((row, index) => {
+    const title = qs('.leg-row__title', row);
+    if (title) {
+      title.textContent = `Leg ${index + 2}`;
+    }
+  });
+}
+
+function renderLegRows(legs = []) {
+  const list = qs(formSelectors.legsList);
+  if (!list) {
+    return;
+  }
+  list.innerHTML = '';
+  legs.forEach(leg => addLegRow(leg));
+}
+
+function syncDurationWithDates() {
+  const durationInput = qs(formSelectors.duration);
+  const startInput = qs(formSelectors.startDate);
+  const endInput = qs(formSelectors.endDate);
+  if (!durationInput || !startInput || !endInput) {
+    return;
+  }
+  endInput.min = startInput.value || '';
+  const trip = readTripFromForm();
+  const days = calculateTripDays(trip.startDate, trip.endDate);
+  durationInput.readOnly = Boolean(days);
+  if (days) {
+    durationInput.value = days;
+  }
+}
+
 function populateFormFromState(trip) {
   if (!trip) {
     return;
@@ -94,9 +519,32 @@ function populateFormFromState(trip) {
   if (durationInput) {
     durationInput.value = trip.durationDays ?? 3;
   }
+  const originCityInput = qs(formSelectors.originCity);
+  if (originCityInput) {
+    originCityInput.value = trip.origin?.city || '';
+  }
+  const originCountryInput = qs(formSelectors.originCountry);
+  if (originCountryInput) {
+    originCountryInput.value = trip.origin?.country || '';
+  }
+  const [primaryLeg, ...onwardLegs] = Array.isArray(trip.legs) && trip.legs.length ? trip.legs : [trip];
+  pinLocation(cityInput, primaryLeg);
+  locationCandidates.clear();
+  renderLocationPickers([]);
+  const startInput = qs(formSelectors.startDate);
+  if (startInput) {
+    startInput.value = primaryLeg.startDate || '';
+  }
+  const endInput = qs(formSelectors.endDate);
+  if (endInput) {
+    endInput.value = primaryLeg.endDate || '';
+  }
+  renderLegRows(onwardLegs);
+  syncDurationWithDates();
+  const primaryActivities = Array.isArray(trip.legs) && trip.legs.length ? trip.legs[0].activities : trip.activities;
   document.querySelectorAll(formSelectors.activities).forEach(input => {
-    input.checked = Array.isArray(trip.activities)
-      ? trip.activities.includes(input.value)
+    input.checked = Array.isArray(primaryActivities)
+      ? primaryActivities.includes(input.value)
       : false;
   });
 }
@@ -180,39 +628,6 @@ function openCustomItemDialog() {
   }
 }
 
-function normalizeTemplateItems(template) {
-  if (!template || !Array.isArray(template.items)) {
-    return [];
-  }
-  const map = new Map();
-  const result = [];
-  template.items.forEach(item => {
-    if (!item || !item.label) {
-      return;
-    }
-    const label = item.label.toString().trim();
-    if (!label) {
-      return;
-    }
-    const normalizedBag = normalizeBagValue(item.bag);
-    const key = `${label.toLowerCase()}|${normalizedBag || 'none'}`;
-    if (map.has(key)) {
-      return;
-    }
-    map.set(key, true);
-    result.push({
-      label,
-      group: item.group || 'other',
-      bag: normalizedBag || 'carryOn',
-      qty: Number.isFinite(item.qty) ? item.qty : Number.isFinite(item.quantity) ? item.quantity : undefined
-    });
-  });
-  if (result.length > TEMPLATE_ITEM_LIMIT) {
-    result.length = TEMPLATE_ITEM_LIMIT;
-  }
-  return result;
-}
-
 function refreshTemplatePicker() {
   const picker = qs(templateSelectors.picker);
   if (!picker) {
@@ -287,7 +702,7 @@ function openApplyTemplateModal(template) {
     onApplyTemplate(template.id, 'merge');
     return;
   }
-  const normalizedItems = normalizeTemplateItems(template);
+  const normalizedItems = normalizeTemplateItems(template, { defaultBag: appConfig.defaultBag });
   const diff = diffTemplate(template);
   const skipCount = Math.max(normalizedItems.length - diff.willAdd, 0);
   const nameEl = qs(templateSelectors.modalTitle, modal);
@@ -417,6 +832,210 @@ function handleTemplateDeleteClick() {
   showToast('Template deleted.', 'success');
 }
 
+function openExportTemplatesDialog() {
+  const templates = [...userTemplates, ...builtInTemplates];
+  const pickedId = qs(templateSelectors.picker)?.value ?? '';
+  const modal = qs(templateSelectors.exportModal);
+  if (!modal || typeof modal.showModal !== 'function') {
+    const picked = findTemplateById(pickedId);
+    exportTemplates(picked ? [picked] : userTemplates);
+    return;
+  }
+  const list = qs(templateSelectors.exportList, modal);
+  list?.replaceChildren(
+    ...templates.map(template => {
+      const checkbox = ce('input', {
+        type: 'checkbox',
+        value: template.id,
+        checked: pickedId ? template.id === pickedId : !template.id.startsWith('builtin:')
+      });
+      const label = ce('label', { className: 'checkbox-inline' });
+      label.append(checkbox, ` ${template.name} (${template.items.length} items)`);
+      const row = ce('li');
+      row.append(label);
+      return row;
+    })
+  );
+  modal.returnValue = 'cancel';
+  modal.showModal();
+}
+
+function exportTemplates(templates) {
+  if (!templates.length) {
+    showToast('Select at least one template to export.', 'error');
+    return;
+  }
+  const now = new Date();
+  downloadJson(getTemplateFileName(templates, now), serializeTemplateFile(createTemplateFile(templates, { now })));
+  showToast(templates.length === 1 ? 'Template exported.' : `${templates.length} templates exported.`, 'success');
+}
+
+async function openImportTemplates(file) {
+  let parsed;
+  try {
+    parsed = parseTemplateFile(await file.text(), { defaultBag: appConfig.defaultBag });
+  } catch (err) {
+    if (!(err instanceof TemplateError)) {
+      throw err;
+    }
+    console.warn(err.message, err.problems);
+    showToast(err.problems.length ? `${err.message} ${err.problems[0]}` : err.message, 'error');
+    return;
+  }
+  const modal = qs(templateSelectors.importModal);
+  if (!modal || typeof modal.showModal !== 'function') {
+    if (window.confirm(`Import ${parsed.templates.length} template(s)? Templates with a name already in use are kept as copies.`)) {
+      completeTemplateImport(parsed.templates, 'rename');
+    }
+    return;
+  }
+  renderImportPreview(qs(templateSelectors.importPreview, modal), parsed);
+  pendingTemplateImport = parsed.templates;
+  modal.returnValue = 'cancel';
+  modal.showModal();
+}
+
+function renderImportPreview(list, { templates, problems }) {
+  if (!list) {
+    return;
+  }
+  const renamed = new Map(
+    planTemplateImport(templates, userTemplates, { onDuplicate: 'rename' }).renamed.map(({ from, to }) => [from, to])
+  );
+  const rows = templates.map(template => {
+    const notes = [];
+    if (renamed.has(template.name)) {
+      notes.push(`A template with this name exists: Keep both saves it as "${renamed.get(template.name)}".`);
+    }
+    if (template.skipped) {
+      notes.push(`${template.skipped} item${template.skipped === 1 ? '' : 's'} without a label or repeated left out.`);
+    }
+    return createPreviewRow(template.name, `${template.items.length} items`, notes.join(' '));
+  });
+  problems.forEach(problem => rows.push(createPreviewRow('Not imported', '', problem)));
+  list.replaceChildren(...rows);
+}
+
+function completeTemplateImport(templates, onDuplicate) {
+  const plan = planTemplateImport(templates, userTemplates, { onDuplicate });
+  userTemplates = plan.templates;
+  saveTemplates(userTemplates);
+  refreshTemplatePicker();
+  const count = plan.added.length + plan.replaced.length + plan.renamed.length;
+  showToast(count === 1 ? 'Template imported.' : `${count} templates imported.`, 'success');
+}
+
+async function handleTemplateShareClick() {
+  const template = findTemplateById(qs(templateSelectors.picker)?.value ?? '');
+  if (!template) {
+    showToast('Select a template to share.', 'error');
+    return;
+  }
+  const url = serializeTemplateToURL(template, undefined, { defaultBag: appConfig.defaultBag });
+  try {
+    if (clipboard?.writeText) {
+      await clipboard.writeText(url);
+      showToast('Template link copied to clipboard.', 'success');
+    } else {
+      throw new Error('Clipboard unavailable.');
+    }
+  } catch (err) {
+    showToast('Copy failed. Your browser blocked clipboard access.', 'error');
+  }
+}
+
+// A shared template is only offered for "My templates"; the receiver's checklist stays as it is.
+function offerSharedTemplate() {
+  let template;
+  try {
+    template = deserializeTemplateFromURL(window.location.search, { defaultBag: appConfig.defaultBag });
+  } catch (err) {
+    if (!(err instanceof TemplateError)) {
+      throw err;
+    }
+    console.warn(err.message, err.problems);
+    showToast(err.message, 'error');
+  }
+  const url = new URL(window.location.href);
+  if (url.searchParams.has(TEMPLATE_SHARE_PARAM)) {
+    url.searchParams.delete(TEMPLATE_SHARE_PARAM);
+    window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+  }
+  if (!template) {
+    return;
+  }
+  const modal = qs(templateSelectors.sharedModal);
+  if (!modal || typeof modal.showModal !== 'function') {
+    if (window.confirm(`Save the shared template "${template.name}" to My templates?`)) {
+      saveSharedTemplate(template);
+    }
+    return;
+  }
+  qs(templateSelectors.sharedName, modal).textContent = template.name;
+  const shown = template.items.slice(0, 8).map(item => item.label).join(', ');
+  const more = template.items.length > 8 ? ` and ${template.items.length - 8} more` : '';
+  qs(templateSelectors.sharedPreview, modal)?.replaceChildren(
+    createPreviewRow('Items', String(template.items.length), `${shown}${more}.`)
+  );
+  const handler = () => {
+    modal.removeEventListener('close', handler);
+    if (modal.returnValue === 'save') {
+      saveSharedTemplate(template);
+    }
+  };
+  modal.addEventListener('close', handler);
+  modal.returnValue = 'cancel';
+  modal.showModal();
+}
+
+function saveSharedTemplate(template) {
+  const plan = planTemplateImport([{ ...template, meta: { sharedViaLink: true } }], userTemplates);
+  userTemplates = plan.templates;
+  saveTemplates(userTemplates);
+  refreshTemplatePicker();
+  const saved = userTemplates[userTemplates.length - 1];
+  const picker = qs(templateSelectors.picker);
+  if (picker) {
+    picker.value = saved.id;
+  }
+  showToast(
+    plan.renamed.length ? `Template saved as "${saved.name}".` : 'Template saved to My templates.',
+    'success'
+  );
+}
+
+function bindTemplateFiles() {
+  qs(templateSelectors.exportBtn)?.addEventListener('click', openExportTemplatesDialog);
+  qs(templateSelectors.shareBtn)?.addEventListener('click', () => {
+    handleTemplateShareClick().catch(err => console.error(err));
+  });
+  const exportModal = qs(templateSelectors.exportModal);
+  exportModal?.addEventListener('close', () => {
+    if (exportModal.returnValue !== 'export') {
+      return;
+    }
+    const ids = Array.from(exportModal.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+    exportTemplates(ids.map(findTemplateById).filter(Boolean));
+  });
+  const input = qs(templateSelectors.importInput);
+  qs(templateSelectors.importBtn)?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', async () => {
+    const [file] = input.files ?? [];
+    input.value = '';
+    if (file) {
+      await openImportTemplates(file);
+    }
+  });
+  const importModal = qs(templateSelectors.importModal);
+  importModal?.addEventListener('close', () => {
+    const templates = pendingTemplateImport;
+    pendingTemplateImport = null;
+    if (templates && (importModal.returnValue === 'rename' || importModal.returnValue === 'replace')) {
+      completeTemplateImport(templates, importModal.returnValue);
+    }
+  });
+}
+
 function bindFormEvents() {
   qs('#generateBtn')?.addEventListener('click', () => {
     handleGenerate().catch(err => console.error(err));
@@ -425,11 +1044,18 @@ function bindFormEvents() {
     handleShare().catch(err => console.error(err));
   });
   qs('#exportBtn')?.addEventListener('click', handleExportPDF);
+  qs('#weatherCachePanel')?.addEventListener('toggle', renderWeatherCachePanel);
+  qs('#clearWeatherCacheBtn')?.addEventListener('click', () => {
+    clearWeatherCache();
+    renderWeatherCachePanel();
+    showToast('Saved forecasts cleared.', 'success');
+  });
   qs('#addItemBtn')?.addEventListener('click', openCustomItemDialog);
   qs(templateSelectors.applyBtn)?.addEventListener('click', handleTemplateApplyClick);
   qs(templateSelectors.saveBtn)?.addEventListener('click', openSaveTemplateDialog);
   qs(templateSelectors.deleteBtn)?.addEventListener('click', handleTemplateDeleteClick);
   attachTemplateModalHandlers();
+  bindTemplateFiles();
 
   const debouncedWeather = debounce(() => {
     requestWeatherUpdate({ reason: 'input-change' }).catch(err => console.error(err));
@@ -437,21 +1063,73 @@ function bindFormEvents() {
 
   const cityInput = qs(formSelectors.city);
   const countryInput = qs(formSelectors.country);
-  cityInput?.addEventListener('input', debouncedWeather);
-  countryInput?.addEventListener('input', debouncedWeather);
+  attachCityAutocomplete(cityInput, () => PRIMARY_LEG_ID);
+  [cityInput, countryInput].forEach(input => {
+    input?.addEventListener('input', () => {
+      unpinLocation(PRIMARY_LEG_ID);
+      debouncedWeather();
+    });
+  });
+  countryInput?.addEventListener('change', () => normalizeCountryInput(countryInput));
+  [formSelectors.originCity, formSelectors.originCountry].forEach(selector => {
+    qs(selector)?.addEventListener('input', debouncedWeather);
+  });
+  const originCountryInput = qs(formSelectors.originCountry);
+  originCountryInput?.addEventListener('change', () => normalizeCountryInput(originCountryInput));
+  [formSelectors.startDate, formSelectors.endDate].forEach(selector => {
+    qs(selector)?.addEventListener('change', () => {
+      syncDurationWithDates();
+      debouncedWeather();
+    });
+  });
+
+  qs(formSelectors.addLegBtn)?.addEventListener('click', () => {
+    const row = addLegRow();
+    qs('.leg-city', row)?.focus();
+  });
+  const legsList = qs(formSelectors.legsList);
+  legsList?.addEventListener('input', event => {
+    if (event.target.matches('.leg-city, .leg-country')) {
+      unpinLocation(event.target.closest('.leg-row').dataset.legId);
+      debouncedWeather();
+    }
+  });
+  legsList?.addEventListener('change', event => {
+    if (event.target.matches('.leg-country')) {
+      normalizeCountryInput(event.target);
+    }
+    if (event.target.matches('.leg-start, .leg-end')) {
+      syncDurationWithDates();
+      debouncedWeather();
+    }
+  });
 }
 
 async function requestWeatherUpdate({ reason = 'manual', silent = false } = {}) {
+  cancelAutoRetry();
+  if (reason !== 'auto-retry') {
+    autoRetryAttempt = 0;
+  }
   const trip = readTripFromForm();
   if (!trip.city) {
     renderWeatherStatus({ status: 'idle' });
     lastWeatherItems = [];
+    clearForecastChange();
     reconcileWeatherItems([]);
     setWeatherData(null);
+    scheduleForecastRecheck();
     return;
   }
 
-  updateTrip({ city: trip.city, country: trip.country });
+  updateTrip({
+    city: trip.city,
+    country: trip.country,
+    startDate: trip.startDate,
+    endDate: trip.endDate,
+    legs: trip.legs,
+    origin: trip.origin
+  });
+  const legs = trip.legs.filter(leg => leg.city);
 
   if (pendingWeatherController) {
     pendingWeatherController.abort();
@@ -462,17 +1140,59 @@ async function requestWeatherUpdate({ reason = 'manual', silent = false } = {})
   renderWeatherStatus({ status: 'loading' });
 
   try {
-    const weather = await fetchWeather(trip.city, {
-      country: trip.country,
-      signal: controller.signal
-    });
+    const [results, travelDays] = await Promise.all([
+      fetchItineraryWeather(legs, { signal: controller.signal, onRevalidated: refreshAfterRevalidation }),
+      fetchTravelDayWeather(getAppState().trip.origin, {
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        signal: controller.signal,
+        onRevalidated: refreshAfterRevalidation
+      })
+    ]);
     if (pendingWeatherController !== controller) {
       return;
     }
-    lastWeatherItems = extractWeatherChecklistItems(weather);
-    setWeatherData(weather);
-    renderWeatherStatus({ status: 'success', data: weather });
-    reconcileWeatherItems(lastWeatherItems);
+    const successful = results.filter(result => result.weather);
+    if (!successful.length) {
+      throw results[0].error;
+    }
+    const weather = successful[0].weather;
+    results.forEach(({ leg, candidates }) => {
+      if (candidates.length > 1) {
+        locationCandidates.set(leg.id, candidates);
+      } else if (!Number.isFinite(leg.latitude)) {
+        locationCandidates.delete(leg.id);
+      }
+    });
+    renderLocationPickers(trip.legs);
+    if (applyGeocodedCountries(successful)) {
+      const { country, legs: formLegs } = readTripFromForm();
+      updateTrip({ country, legs: formLegs });
+    }
+    const travelWeather = travelDays.map(entry => ({
+      ...entry,
+      wear: extractTravelDayItems(entry.weather, entry.day).map(item => item.label)
+    }));
+    lastWeatherItems = [
+      ...successful.flatMap(result => extractWeatherChecklistItems(result.weather, { legId: result.leg.id })),
+      ...travelWeather.flatMap(entry => extractTravelDayItems(entry.weather, entry.day))
+    ];
+    const legWeather = successful.map(result => ({ legId: result.leg.id, weather: result.weather }));
+    setWeatherData(weather, legWeather, travelWeather);
+    renderWeatherStatus({
+      status: 'success',
+      data: weather,
+      legs: results,
+      travel: travelWeather,
+      items: lastWeatherItems,
+      power: getPowerAdvice()
+    });
+    applyForecastItems(lastWeatherItems, reason);
+    recordForecastSnapshot(legWeather, lastWeatherItems);
+    renderWeatherCachePanel();
+    renderForecastHistoryPanel();
+    scheduleForecastRecheck();
+    autoRetryAttempt = 0;
   } catch (err) {
     if (err.name === 'AbortError') {
       return;
@@ -484,6 +1204,7 @@ async function requestWeatherUpdate({ reason = 'manual', silent = false } = {})
     renderWeatherStatus({
       status: 'error',
       error,
+      nextAttemptAt: scheduleAutoRetry(error),
       onRetry: () => {
         requestWeatherUpdate({ reason: 'retry', silent: true }).catch(e => console.error(e));
       }
@@ -498,22 +1219,206 @@ async function requestWeatherUpdate({ reason = 'manual', silent = false } = {})
   }
 }
 
+function cancelAutoRetry() {
+  if (autoRetryTimer) {
+    clearTimeout(autoRetryTimer);
+    autoRetryTimer = null;
+  }
+}
+
+/**
+ * Schedules a silent refresh after a transient failure and returns when it will run, or
+ * null when the error will not go away by itself or the attempts are used up.
+ */
+function scheduleAutoRetry(error) {
+  const transient = isTransientError(error) || error.code === 'circuit-open';
+  if (!transient || autoRetryAttempt >= AUTO_RETRY_LIMIT) {
+    return null;
+  }
+  const backoff = computeBackoffDelay(autoRetryAttempt, { baseDelay: 5000, maxDelay: 120000 });
+  const delay = Math.max(backoff, (error.retryAt ?? 0) - Date.now());
+  autoRetryAttempt += 1;
+  autoRetryTimer = setTimeout(() => {
+    autoRetryTimer = null;
+    requestWeatherUpdate({ reason: 'auto-retry', silent: true }).catch(err => console.error(err));
+  }, delay);
+  return Date.now() + delay;
+}
+
+/**
+ * Applies the weather items of a new forecast. When a background refresh would change the
+ * checklist, the user is asked first; a change they already turned down is not offered again.
+ */
+function applyForecastItems(descriptors, reason) {
+  const change = diffWeatherItems(descriptors);
+  const summary = formatForecastChange(change);
+  if (!summary || !BACKGROUND_WEATHER_REASONS.has(reason)) {
+    clearForecastChange();
+    reconcileWeatherItems(descriptors);
+    return;
+  }
+  if (summary === dismissedForecastChange) {
+    return;
+  }
+  pendingForecastChange = { descriptors, change };
+  renderForecastChangeNotice(change, {
+    onAccept: acceptForecastChange,
+    onDismiss: dismissForecastChange
+  });
+}
+
+function acceptForecastChange() {
+  if (!pendingForecastChange) {
+    return;
+  }
+  reconcileWeatherItems(pendingForecastChange.descriptors);
+  clearForecastChange();
+  showToast('Checklist updated for the new forecast.', 'success');
+}
+
+function dismissForecastChange() {
+  dismissedForecastChange = formatForecastChange(pendingForecastChange?.change);
+  pendingForecastChange = null;
+  renderForecastChangeNotice(null);
+}
+
+function clearForecastChange() {
+  pendingForecastChange = null;
+  dismissedForecastChange = '';
+  renderForecastChangeNotice(null);
+}
+
+/**
+ * Re-checks the forecast every few hours from a week before the trip until it ends. The
+ * next check is due relative to the last snapshot, so reloading the page keeps the rhythm.
+ */
+function scheduleForecastRecheck() {
+  clearTimeout(forecastRecheckTimer);
+  forecastRecheckTimer = null;
+  const { city, startDate, endDate } = getAppState().trip;
+  const today = parseISODate(toISODate());
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate) ?? start;
+  if (!city || !start || end < today || (start - today) / 86400000 > FORECAST_RECHECK_WINDOW_DAYS) {
+    return;
+  }
+  const history = getForecastHistory();
+  const lastCheck = Date.parse(history[history.length - 1]?.takenAt ?? '') || Date.now();
+  const delay = Math.max(0, lastCheck + FORECAST_RECHECK_INTERVAL - Date.now());
+  forecastRecheckTimer = setTimeout(() => {
+    forecastRecheckTimer = null;
+    requestWeatherUpdate({ reason: 'recheck', silent: true }).catch(err => console.error(err));
+  }, delay);
+}
+
+function renderForecastHistoryPanel() {
+  const list = qs('#forecastHistoryList');
+  if (!list) {
+    return;
+  }
+  const history = getForecastHistory();
+  const count = qs('#forecastHistoryCount');
+  if (count) {
+    count.textContent = String(history.length);
+  }
+  list.replaceChildren(
+    ...history
+      .map((snapshot, index) => {
+        const item = ce('li', { className: 'forecast-history__entry' });
+        const legs = snapshot.legs
+          .map(leg =>
+            [
+              leg.location || 'Destination',
+              leg.summary,
+              `${formatTemperature(leg.minC)} – ${formatTemperature(leg.maxC)}`,
+              formatPrecipitation(leg.precipitation)
+            ]
+              .filter(Boolean)
+              .join(' · ')
+          )
+          .join('; ');
+        const previous = history[index - 1];
+        const change = previous
+          ? formatItemChange(previous.items, snapshot.items)
+          : `Packing: ${snapshot.items.join(', ') || 'nothing extra'}`;
+        item.append(
+          ce('strong', { textContent: formatDateTime(new Date(snapshot.takenAt)) }),
+          ce('span', { textContent: ` ${legs}` }),
+          ce('span', { className: 'weather-cache__meta', textContent: change })
+        );
+        return item;
+      })
+      .reverse()
+  );
+}
+
+function formatItemChange(before, after) {
+  const changes = [
+    ...after.filter(label => !before.includes(label)).map(label => `+${label}`),
+    ...before.filter(label => !after.includes(label)).map(label => `−${label}`)
+  ];
+  return changes.length ? `Packing: ${changes.join(', ')}` : 'Packing unchanged';
+}
+
+// Several legs may finish revalidating together; one silent refresh picks them all up.
+const refreshAfterRevalidation = debounce(() => {
+  requestWeatherUpdate({ reason: 'revalidated', silent: true }).catch(err => console.error(err));
+}, 300);
+
+function renderWeatherCachePanel() {
+  const list = qs('#weatherCacheList');
+  if (!list) {
+    return;
+  }
+  const entries = inspectWeatherCache();
+  const count = qs('#weatherCacheCount');
+  if (count) {
+    count.textContent = String(entries.length);
+  }
+  qs('#clearWeatherCacheBtn')?.toggleAttribute('disabled', !entries.length);
+  list.replaceChildren(
+    ...entries.map(entry => {
+      const item = ce('li', { className: 'weather-cache__entry' });
+      const text = ce('span');
+      const place = [entry.location, entry.country].filter(Boolean).join(', ') || 'Unknown place';
+      const range = entry.startDate ? formatDateRange(entry.startDate, entry.endDate) : 'Tomorrow';
+      const saved = `saved ${formatDateTime(new Date(entry.storedAt))}${entry.stale ? ' · stale' : ''}`;
+      text.append(
+        ce('strong', { textContent: place }),
+        ce('span', { className: 'weather-cache__meta', textContent: ` ${range} · ${saved}` })
+      );
+      const remove = ce('button', {
+        type: 'button',
+        className: 'btn btn-small btn-outline',
+        textContent: 'Remove'
+      });
+      remove.setAttribute('aria-label', `Remove saved forecast for ${place}`);
+      remove.addEventListener('click', () => {
+        removeWeatherCacheEntry(entry.key);
+        renderWeatherCachePanel();
+      });
+      item.append(text, remove);
+      return item;
+    })
+  );
+}
+
 async function hydrateFromURL() {
   const sharedState = deserializeStateFromURL();
   if (!sharedState) {
     return false;
   }
+  // A shared checklist becomes a trip of its own instead of replacing the current one.
+  const city = sharedState.trip?.city;
+  createTrip({ name: city ? `${city} (shared)` : 'Shared trip', state: sharedState });
+  window.history.replaceState(null, '', window.location.pathname);
   initChecklist(sharedState);
-  populateFormFromState(sharedState.trip);
+  populateFormFromState(getAppState().trip);
   if (sharedState.weather) {
-    renderWeatherStatus({ status: 'success', data: sharedState.weather });
     setWeatherData(sharedState.weather);
-  } else {
-    renderWeatherStatus({ status: 'idle' });
   }
-  lastWeatherItems = (sharedState.items || [])
-    .filter(item => item.source === 'weather')
-    .map(item => ({ group: item.group, label: item.label }));
+  renderStoredWeather(getAppState());
+  lastWeatherItems = pickWeatherDescriptors(getAppState().items);
   if (sharedState.trip?.city) {
     await requestWeatherUpdate({ reason: 'shared', silent: true });
   }
@@ -538,7 +1443,7 @@ export function onSaveTemplateFromCurrent(name, includeWeather) {
     if (!item.label) {
       return;
     }
-    const normalizedBag = normalizeBagValue(item.bag) || 'carryOn';
+    const normalizedBag = normalizeBagValue(item.bag) || appConfig.defaultBag;
     const key = `${item.label.toLowerCase()}|${normalizedBag}`;
     if (map.has(key)) {
       return;
@@ -565,7 +1470,8 @@ export function onSaveTemplateFromCurrent(name, includeWeather) {
     name: trimmed,
     items,
     meta: {
-      createdAtISO: new Date().toISOString()
+      createdAtISO: new Date().toISOString(),
+      durationDays: state.trip?.durationDays ?? null
     }
   };
 
@@ -610,24 +1516,510 @@ export function onApplyTemplate(templateId, mode) {
   return result;
 }
 
+/**
+ * Brings a checklist saved by the first version of the app into the library as a trip of its
+ * own, then offers to remove the old keys.
+ */
+function importLegacyChecklist() {
+  const legacy = readLegacyChecklist();
+  if (!legacy) {
+    return;
+  }
+  createTrip({ name: 'Imported checklist', state: { items: legacy.items } });
+  showToast(`Imported ${legacy.total} items (${legacy.packed} packed) from the previous version.`, 'success');
+  if (window.confirm('Your old checklist was imported as a new trip. Remove the old copy from this browser?')) {
+    clearLegacyChecklist();
+  } else {
+    markLegacyChecklistImported();
+  }
+}
+
 function hydrateFromStorage() {
   initChecklist();
   const state = getAppState();
   populateFormFromState(state.trip);
-  if (state.weather) {
-    renderWeatherStatus({ status: 'success', data: state.weather });
-  } else {
-    renderWeatherStatus({ status: 'idle' });
+  renderStoredWeather(state);
+  lastWeatherItems = pickWeatherDescriptors(state.items);
+  scheduleForecastRecheck();
+}
+
+/**
+ * Loads whichever trip is now active into the form, checklist and weather panel.
+ */
+function showActiveTrip() {
+  if (pendingWeatherController) {
+    pendingWeatherController.abort();
+    pendingWeatherController = null;
   }
-  lastWeatherItems = state.items
+  cancelAutoRetry();
+  clearForecastChange();
+  hydrateFromStorage();
+  renderForecastHistoryPanel();
+  refreshTemplateBadge();
+  renderTripLibrary();
+}
+
+function renderTripLibrary() {
+  const list = qs('#tripList');
+  if (!list) {
+    return;
+  }
+  const includeArchived = Boolean(qs('#showArchivedTrips')?.checked);
+  const trips = listTrips({ includeArchived });
+  const active = trips.find(trip => trip.active);
+  const activeName = qs('#activeTripName');
+  if (activeName) {
+    activeName.textContent = active ? active.name : '';
+  }
+  list.replaceChildren(
+    ...trips.map(trip => {
+      const item = ce('li', {
+        className: `trip-card${trip.active ? ' trip-card--active' : ''}${trip.archived ? ' trip-card--archived' : ''}`
+      });
+      item.dataset.tripId = trip.id;
+      const percent = trip.total ? Math.round((trip.packed / trip.total) * 100) : 0;
+      const details = ce('div', { className: 'trip-card__details' });
+      details.append(
+        ce('strong', { className: 'trip-card__name', textContent: trip.name }),
+        ce('span', {
+          className: 'trip-card__meta',
+          textContent: [trip.destination || 'No destination yet', trip.dates].filter(Boolean).join(' · ')
+        }),
+        ce('span', {
+          className: 'trip-card__progress',
+          textContent: `${trip.packed}/${trip.total} packed (${percent}%)${trip.archived ? ' · archived' : ''}`
+        })
+      );
+      const actions = ce('div', { className: 'trip-card__actions' });
+      const buttons = [
+        trip.active ? null : ['open', 'Open'],
+        ['duplicate', 'Duplicate'],
+        ['rename', 'Rename'],
+        trip.archived ? ['restore', 'Restore'] : ['archive', 'Archive'],
+        ['delete', 'Delete']
+      ].filter(Boolean);
+      buttons.forEach(([action, label]) => {
+        const button = ce('button', {
+          type: 'button',
+          className: `btn btn-small ${action === 'delete' ? 'btn-outline btn-danger' : 'btn-outline'}`,
+          textContent: label
+        });
+        button.dataset.action = action;
+        button.setAttribute('aria-label', `${label} ${trip.name}`);
+        actions.append(button);
+      });
+      item.append(details, actions);
+      return item;
+    })
+  );
+}
+
+function handleTripAction(action, tripId) {
+  // The form may hold edits that were not saved yet.
+  saveActiveTripState(getAppState());
+  const trip = listTrips({ includeArchived: true }).find(entry => entry.id === tripId);
+  try {
+    switch (action) {
+      case 'open':
+        switchTrip(tripId);
+        showActiveTrip();
+        break;
+      case 'duplicate':
+        duplicateTrip(tripId);
+        showActiveTrip();
+        showToast('Trip duplicated.', 'success');
+        break;
+      case 'rename': {
+        const name = window.prompt('Trip name', trip?.name ?? '');
+        if (name === null) {
+          return;
+        }
+        renameTrip(tripId, name);
+        renderTripLibrary();
+        break;
+      }
+      case 'archive':
+      case 'restore': {
+        const wasActive = trip?.active;
+        archiveTrip(tripId, action === 'archive');
+        if (wasActive && action === 'archive') {
+          showActiveTrip();
+        } else {
+          renderTripLibrary();
+        }
+        break;
+      }
+      case 'delete': {
+        if (!window.confirm(`Delete trip "${trip?.name ?? ''}"? This cannot be undone.`)) {
+          return;
+        }
+        deleteTrip(tripId);
+        if (trip?.active) {
+          showActiveTrip();
+        } else {
+          renderTripLibrary();
+        }
+        showToast('Trip deleted.', 'success');
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (err) {
+    if (!(err instanceof TripError)) {
+      throw err;
+    }
+    showToast(err.message, 'error');
+    renderTripLibrary();
+  }
+}
+
+function bindTripLibrary() {
+  qs('#tripLibraryPanel')?.addEventListener('toggle', renderTripLibrary);
+  qs('#showArchivedTrips')?.addEventListener('change', renderTripLibrary);
+  qs('#newTripBtn')?.addEventListener('click', () => {
+    saveActiveTripState(getAppState());
+    createTrip();
+    showActiveTrip();
+    qs(formSelectors.city)?.focus();
+  });
+  qs('#tripList')?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    if (button) {
+      handleTripAction(button.dataset.action, button.closest('.trip-card').dataset.tripId);
+    }
+  });
+}
+
+function pickWeatherDescriptors(items = []) {
+  return items
     .filter(item => item.source === 'weather')
-    .map(item => ({ group: item.group, label: item.label }));
+    .map(item => ({ group: item.group, label: item.label, legs: item.legs, worn: item.worn }));
+}
+
+function bindUnitsPicker() {
+  const select = qs('#unitsSelect');
+  if (!select) {
+    return;
+  }
+  select.value = loadUnitsPreference();
+  select.addEventListener('change', () => {
+    if (!UNITS.includes(select.value)) {
+      return;
+    }
+    setUnits(select.value);
+    // Stored weather is metric; re-rendering converts it for display.
+    renderStoredWeather(getAppState());
+  });
+}
+
+function renderStoredWeather(state) {
+  if (!state.weather) {
+    renderWeatherStatus({ status: 'idle' });
+    return;
+  }
+  const legs =
+    state.legWeather.length > 1
+      ? state.trip.legs.map(leg => ({
+          leg,
+          weather: state.legWeather.find(entry => entry.legId === leg.id)?.weather ?? null,
+          error: null
+        }))
+      : undefined;
+  renderWeatherStatus({
+    status: 'success',
+    data: state.weather,
+    legs,
+    travel: state.travelWeather,
+    items: state.items.filter(item => item.source === 'weather'),
+    power: getPowerAdvice(state)
+  });
+}
+
+async function loadCustomRules(urls = []) {
+  const results = await Promise.allSettled(urls.map(url => loadRuleSet(url)));
+  configuredRuleSets = [];
+  results.forEach(result => {
+    if (result.status === 'fulfilled') {
+      configuredRuleSets.push(result.value);
+    } else {
+      console.warn(result.reason?.message, result.reason?.problems ?? []);
+    }
+  });
+  applyRuleSets();
+  if (configuredRuleSets.length !== urls.length) {
+    showToast('Some packing rules could not be loaded.', 'error');
+  }
+}
+
+// Rule sets restored from a backup apply on top of the configured ones.
+function applyRuleSets() {
+  useRuleSets([...configuredRuleSets, ...loadSavedRuleSets()]);
+}
+
+// The default packing rules and the country registry come from assets/data. Both must be in
+// place before the configuration is applied: configured rule sets are layered over the
+// defaults, and the home country is resolved against the registry.
+async function loadAppData() {
+  const [rules, countries] = await Promise.allSettled([loadDefaultRules(), loadCountries()]);
+  if (rules.status === 'rejected') {
+    console.error(rules.reason);
+    showToast('The default packing rules could not be loaded.', 'error');
+  }
+  if (countries.status === 'rejected') {
+    console.error(countries.reason);
+    showToast('The country list could not be loaded.', 'error');
+  }
+}
+
+/**
+ * Loads the app configuration and hands each module its part of it. Problems are logged
+ * and summarised in a toast; the affected settings keep their defaults.
+ */
+async function applyAppConfig() {
+  const { config, problems } = await loadConfig();
+  try {
+    configureWeather({ providers: config.providers, apiKey: config.apiKey });
+  } catch (err) {
+    problems.push(err.message);
+    config.providers = getDefaultConfig().providers;
+    configureWeather({ providers: config.providers, apiKey: config.apiKey });
+  }
+  configureUnits({ units: config.units });
+  configureChecklist({ homeCountry: config.homeCountry, defaultBag: config.defaultBag });
+  configureWeatherThresholds(config.weatherThresholds);
+  appConfig = config;
+  if (!config.features.share) {
+    qs('#shareBtn')?.setAttribute('hidden', '');
+  }
+  if (!config.features.export) {
+    qs('#exportBtn')?.setAttribute('hidden', '');
+  }
+  if (problems.length) {
+    console.warn('Configuration problems:', problems);
+    showToast(`Check the app configuration: ${problems[0]}`, 'error');
+  }
+  await loadCustomRules(config.rules);
+}
+
+/**
+ * Keeps this tab in step with others open on the same browser: saves of the trip shown here
+ * are merged into the checklist, the trip list refreshes, and so do saved templates. Trips
+ * opened in other tabs stay there; only a trip deleted elsewhere is replaced here.
+ */
+function bindCrossTabSync() {
+  onTripLibraryChange(({ removed, stateChanged, remoteWins, state, base }) => {
+    if (removed) {
+      showActiveTrip();
+      showToast('The trip open here was deleted in another tab.');
+      return;
+    }
+    if (stateChanged) {
+      applyRemoteTripState(state, { base, remoteWins });
+    }
+    renderTripLibrary();
+  });
+  onTemplatesChange(() => {
+    userTemplates = loadTemplates();
+    refreshTemplatePicker();
+  });
+}
+
+function applyRemoteTripState(state, options) {
+  const { changed, conflicts } = mergeRemoteState(state, options);
+  if (!changed) {
+    return;
+  }
+  const next = getAppState();
+  populateFormFromState(next.trip);
+  renderStoredWeather(next);
+  lastWeatherItems = pickWeatherDescriptors(next.items);
+  refreshTemplateBadge();
+  renderForecastHistoryPanel();
+  if (conflicts.length) {
+    showToast(`Also changed in another tab: ${conflicts.join(', ')}. The latest change was kept.`);
+  }
+}
+
+function reportStorageError(error) {
+  const message =
+    error.code === 'quota-exceeded'
+      ? 'Browser storage is full, so your latest changes were not saved. Clear saved forecasts or delete old trips to make room.'
+      : 'Your latest changes could not be saved in this browser.';
+  showToast(message, 'error');
+  renderStorageUsage();
+}
+
+async function renderStorageUsage() {
+  const output = qs('#storageUsage');
+  if (!output) {
+    return;
+  }
+  const { backend, usedBytes, quotaBytes } = await getStorageUsage();
+  const used = formatBytes(usedBytes);
+  output.textContent = quotaBytes
+    ? `${used} of ${formatBytes(quotaBytes)} used (${backend}).`
+    : `${used} used (${backend}).`;
+}
+
+function bindStoragePanel() {
+  onStorageError(reportStorageError);
+  qs('#storagePanel')?.addEventListener('toggle', event => {
+    if (event.currentTarget.open) {
+      renderStorageUsage();
+    }
+  });
+  qs('#downloadBackupBtn')?.addEventListener('click', downloadBackup);
+  const input = qs('#restoreBackupInput');
+  qs('#restoreBackupBtn')?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', async () => {
+    const [file] = input.files ?? [];
+    if (!file) {
+      return;
+    }
+    try {
+      await openRestoreBackup(file);
+    } catch (err) {
+      console.error(err);
+      showToast('The backup file could not be read.', 'error');
+    } finally {
+      // Cleared so that picking the same file again fires another change.
+      input.value = '';
+    }
+  });
+  const modal = qs('#restoreBackupModal');
+  modal?.addEventListener('close', () => {
+    const backup = pendingBackup;
+    pendingBackup = null;
+    if (backup && (modal.returnValue === 'merge' || modal.returnValue === 'overwrite')) {
+      completeRestore(backup, modal.returnValue);
+    }
+  });
+}
+
+function downloadBackup() {
+  const now = new Date();
+  downloadJson(getBackupFileName(now), serializeBackup(createBackup({ now })));
+  showToast('Backup downloaded.', 'success');
+}
+
+function downloadJson(fileName, text) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = ce('a', { href: url, download: fileName });
+  document.body.append(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function openRestoreBackup(file) {
+  let backup;
+  try {
+    backup = parseBackup(await file.text());
+  } catch (err) {
+    if (!(err instanceof BackupError)) {
+      throw err;
+    }
+    console.warn(err.message, err.problems);
+    showToast(err.problems.length ? `${err.message} ${err.problems[0]}` : err.message, 'error');
+    return;
+  }
+  const modal = qs('#restoreBackupModal');
+  if (!modal || typeof modal.showModal !== 'function') {
+    if (window.confirm('Merge this backup into the trips and templates saved here?')) {
+      completeRestore(backup, 'merge');
+    }
+    return;
+  }
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt) : null;
+  qs('#restoreBackupDate', modal).textContent =
+    exportedAt && !Number.isNaN(exportedAt.getTime()) ? formatDateTime(exportedAt) : 'an unknown date';
+  renderRestorePreview(
+    qs('#restoreBackupPreview', modal),
+    previewRestore(backup, 'merge'),
+    previewRestore(backup, 'overwrite')
+  );
+  pendingBackup = backup;
+  modal.returnValue = 'cancel';
+  modal.showModal();
+}
+
+function renderRestorePreview(list, merge, overwrite) {
+  if (!list) {
+    return;
+  }
+  const rows = [
+    ['Trips', merge.trips, overwrite.trips],
+    ['Templates', merge.templates, overwrite.templates],
+    ['Packing rules', merge.rules, overwrite.rules]
+  ].map(([label, change, replaced]) => {
+    const counts = [`${change.added.length} new`, `${change.replaced.length} replaced`];
+    const names = [...change.added, ...change.replaced].join(', ');
+    const removed = replaced.removed.length ? ` Overwrite also removes: ${replaced.removed.join(', ')}.` : '';
+    return createPreviewRow(label, counts.join(', '), `${names}${names ? '.' : ''}${removed}`.trim());
+  });
+  if (merge.units) {
+    rows.push(createPreviewRow('Units', merge.units === 'imperial' ? 'Imperial' : 'Metric'));
+  }
+  list.replaceChildren(...rows);
+}
+
+function createPreviewRow(label, value, names = '') {
+  const row = ce('li');
+  row.append(
+    ce('span', { className: 'diff-label', textContent: label }),
+    ce('span', { className: 'diff-value', textContent: value })
+  );
+  if (names) {
+    row.append(ce('span', { className: 'restore-preview__names', textContent: names }));
+  }
+  return row;
+}
+
+function completeRestore(backup, mode) {
+  restoreBackup(backup, mode);
+  userTemplates = loadTemplates();
+  refreshTemplatePicker();
+  applyRuleSets();
+  const unitsSelect = qs('#unitsSelect');
+  if (unitsSelect) {
+    unitsSelect.value = loadUnitsPreference();
+  }
+  showActiveTrip();
+  renderStorageUsage();
+  showToast(mode === 'merge' ? 'Backup merged into this browser.' : 'Backup restored.', 'success');
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    await initStorage();
+  } catch (err) {
+    console.error(err);
+  }
+  bindStoragePanel();
+  await loadAppData();
+  try {
+    await applyAppConfig();
+  } catch (err) {
+    console.error(err);
+  }
+  bindUnitsPicker();
   userTemplates = loadTemplates();
   refreshTemplatePicker();
+  renderCountryOptions();
   bindFormEvents();
+  bindTripLibrary();
+  try {
+    importLegacyChecklist();
+  } catch (err) {
+    console.error(err);
+  }
+  try {
+    offerSharedTemplate();
+  } catch (err) {
+    console.error(err);
+  }
   let loaded = false;
   try {
     loaded = await hydrateFromURL();
@@ -638,4 +2030,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     hydrateFromStorage();
   }
   refreshTemplateBadge();
+  renderWeatherCachePanel();
+  renderForecastHistoryPanel();
+  renderTripLibrary();
+  bindCrossTabSync();
 });
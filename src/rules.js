@@ -0,0 +1,563 @@
+/**
+ * Packing rules engine: evaluates declarative JSON rules against trip, leg and weather facts.
+ *
+ * A rule set looks like `{ id, version, rules: [...] }`. Each rule has an `id`, a `scope`
+ * ("trip" is evaluated once per trip, "leg" once per itinerary leg, "weather" once per leg
+ * forecast, "travel" once per departure/return day forecast at the origin), an optional
+ * `when` condition and an `add` list of item descriptors whose `quantity` may be a number
+ * or a formula such as `"max(ceil(trip.durationDays / 2), 1)"`. Items added by "travel"
+ * rules (or with `"worn": true`) are worn on the travel day rather than packed.
+ *
+ * The default rule set (`assets/data/default-rules.json`) is fetched by `loadDefaultRules()`
+ * at startup; until then only custom rule sets apply.
+ */
+
+import { readStored, writeStored } from './storage.js';
+import { loadBundledData } from './services/data.js';
+
+export const RULE_SCOPES = ['trip', 'leg', 'weather', 'travel'];
+
+const COMPARATORS = {
+  eq: (actual, expected) => normalizeComparable(actual) === normalizeComparable(expected),
+  ne: (actual, expected) => normalizeComparable(actual) !== normalizeComparable(expected),
+  lt: (actual, expected) => bothNumbers(actual, expected) && actual < expected,
+  lte: (actual, expected) => bothNumbers(actual, expected) && actual <= expected,
+  gt: (actual, expected) => bothNumbers(actual, expected) && actual > expected,
+  gte: (actual, expected) => bothNumbers(actual, expected) && actual >= expected,
+  in: (actual, expected) =>
+    Array.isArray(expected) && expected.some(value => normalizeComparable(value) === normalizeComparable(actual)),
+  includes: (actual, expected) =>
+    Array.isArray(actual) && actual.some(value => normalizeComparable(value) === normalizeComparable(expected)),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false)
+};
+
+const FORMULA_FUNCTIONS = {
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max
+};
+
+const WEATHER_FACT_ALIASES = {
+  precipitation: ['precipitation', 'precipitation_sum', 'rain'],
+  minC: ['minC', 'temperatureMin', 'low'],
+  maxC: ['maxC', 'temperatureMax', 'high'],
+  windGustKph: ['windGustKph', 'wind_gusts_10m_max', 'gusts'],
+  uvIndex: ['uvIndex', 'uv_index_max', 'uv'],
+  humidity: ['humidity', 'relative_humidity_2m_mean'],
+  snowfallCm: ['snowfallCm', 'snowfall_sum', 'snow'],
+  airQuality: ['airQuality', 'european_aqi', 'aqi']
+};
+
+/**
+ * Limits the default weather rules compare against, exposed to rules as `thresholds.*`
+ * (e.g. `{ "fact": "weather.uvIndex", "op": "gte", "value": { "fact": "thresholds.uvIndex" } }`).
+ */
+export const DEFAULT_WEATHER_THRESHOLDS = {
+  rainMm: 0,
+  coldC: 5,
+  hotC: 24,
+  windGustKph: 50,
+  uvIndex: 6,
+  humidity: 80,
+  snowfallCm: 1,
+  airQuality: 60
+};
+
+const formulaCache = new Map();
+// Rule sets restored from a backup; the app layers them over the configured ones.
+const SAVED_RULES_STORAGE_KEY = 'rules.v1';
+
+const DEFAULT_RULES_FILE = 'default-rules.json';
+
+let defaultRuleSet = { id: 'default', version: 0, rules: [] };
+let activeRules = defaultRuleSet.rules;
+let customRuleSets = [];
+let weatherThresholds = { ...DEFAULT_WEATHER_THRESHOLDS };
+
+/**
+ * Fetches and validates the bundled default rules, then layers the custom rule sets in use
+ * over them again. Throws a `RuleError` when the file cannot be loaded or is invalid.
+ */
+export async function loadDefaultRules({ signal } = {}) {
+  let json;
+  try {
+    json = await loadBundledData(DEFAULT_RULES_FILE, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw new RuleError(`Unable to load rules from ${DEFAULT_RULES_FILE}.`, 'load-error', [], err);
+  }
+  const { id, version, rules } = validateRuleSet(json);
+  defaultRuleSet = { id, version, rules };
+  activeRules = mergeRuleSets([{ rules }, ...customRuleSets]);
+  return getDefaultRuleSet();
+}
+
+export function getDefaultRuleSet() {
+  return { id: defaultRuleSet.id, version: defaultRuleSet.version, rules: defaultRuleSet.rules.map(cloneRule) };
+}
+
+export function getActiveRules() {
+  return activeRules.map(cloneRule);
+}
+
+/**
+ * Layers custom rule sets on top of the defaults. A rule whose id matches an earlier rule
+ * replaces it; `{ "id": "...", "disabled": true }` switches an earlier rule off.
+ */
+export function useRuleSets(ruleSets = []) {
+  customRuleSets = ruleSets.map(cloneRuleSet);
+  activeRules = mergeRuleSets([{ rules: defaultRuleSet.rules }, ...ruleSets]);
+  return getActiveRules();
+}
+
+export function resetRuleSets() {
+  customRuleSets = [];
+  activeRules = defaultRuleSet.rules;
+}
+
+/**
+ * Rule sets saved in this browser. Sets that no longer validate are skipped with a warning.
+ */
+export function loadSavedRuleSets() {
+  let saved = [];
+  try {
+    saved = readStored(SAVED_RULES_STORAGE_KEY, []);
+  } catch (err) {
+    console.warn('Ignoring unreadable saved rules.', err);
+  }
+  return (Array.isArray(saved) ? saved : []).flatMap(ruleSet => {
+    try {
+      return [validateRuleSet(ruleSet)];
+    } catch (err) {
+      console.warn(err.message, err.problems ?? []);
+      return [];
+    }
+  });
+}
+
+export function saveRuleSets(ruleSets = []) {
+  return writeStored(SAVED_RULES_STORAGE_KEY, ruleSets.map(cloneRuleSet));
+}
+
+/**
+ * Overrides some weather thresholds; keys left out keep their defaults. Throws a
+ * `RuleError` listing unknown keys and non-numeric values.
+ */
+export function configureWeatherThresholds(overrides = {}) {
+  const problems = Object.entries(overrides ?? {}).flatMap(([key, value]) => {
+    if (!(key in DEFAULT_WEATHER_THRESHOLDS)) {
+      return [`unknown threshold "${key}"`];
+    }
+    return isFiniteNumber(value) ? [] : [`threshold "${key}" must be a number`];
+  });
+  if (problems.length) {
+    throw new RuleError('Weather thresholds are invalid.', 'invalid-thresholds', problems);
+  }
+  weatherThresholds = { ...DEFAULT_WEATHER_THRESHOLDS, ...overrides };
+  return getWeatherThresholds();
+}
+
+export function getWeatherThresholds() {
+  return { ...weatherThresholds };
+}
+
+export function mergeRuleSets(ruleSets = []) {
+  const merged = new Map();
+  ruleSets.forEach(set => {
+    (set?.rules ?? []).forEach(rule => {
+      if (rule.disabled) {
+        merged.delete(rule.id);
+        return;
+      }
+      merged.delete(rule.id);
+      merged.set(rule.id, rule);
+    });
+  });
+  return Array.from(merged.values());
+}
+
+export async function loadRuleSet(url, { signal } = {}) {
+  let res;
+  try {
+    res = await fetch(url, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw new RuleError(`Unable to load rules from ${url}.`, 'load-error', [], err);
+  }
+  if (!res.ok) {
+    throw new RuleError(`Unable to load rules from ${url}.`, 'load-error');
+  }
+  let json;
+  try {
+    json = await res.json();
+  } catch (err) {
+    throw new RuleError(`Rules file ${url} is not valid JSON.`, 'parse-error', [], err);
+  }
+  return validateRuleSet(json);
+}
+
+export function validateRuleSet(ruleSet) {
+  const problems = [];
+  if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules)) {
+    throw new RuleError('Rule set must be an object with a "rules" array.', 'invalid-rules', [
+      'missing rules array'
+    ]);
+  }
+  const rules = [];
+  ruleSet.rules.forEach((rule, index) => {
+    const label = rule?.id ? `rule "${rule.id}"` : `rule #${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !rule.id.trim()) {
+      problems.push(`${label}: "id" is required`);
+      return;
+    }
+    if (rule.disabled) {
+      rules.push({ id: rule.id, disabled: true });
+      return;
+    }
+    const scope = rule.scope ?? 'trip';
+    if (!RULE_SCOPES.includes(scope)) {
+      problems.push(`${label}: unknown scope "${scope}"`);
+    }
+    collectConditionProblems(rule.when, `${label}.when`, problems);
+    if (!Array.isArray(rule.add) || !rule.add.length) {
+      problems.push(`${label}: "add" must list at least one item`);
+    } else {
+      rule.add.forEach((entry, entryIndex) => {
+        const where = `${label}.add[${entryIndex}]`;
+        if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) {
+          problems.push(`${where}: "label" is required`);
+        }
+        if (entry?.quantity !== undefined && typeof entry.quantity !== 'number') {
+          try {
+            compileFormula(entry.quantity);
+          } catch (err) {
+            problems.push(`${where}: ${err.message}`);
+          }
+        }
+      });
+    }
+    rules.push({
+      id: rule.id,
+      description: rule.description ?? '',
+      scope,
+      source: rule.source ?? `rule:${rule.id}`,
+      when: rule.when ?? null,
+      add: Array.isArray(rule.add) ? rule.add.map(entry => ({ ...entry })) : []
+    });
+  });
+  if (problems.length) {
+    throw new RuleError(`Rule set is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}).`, 'invalid-rules', problems);
+  }
+  return { id: ruleSet.id ?? 'custom', version: ruleSet.version ?? 1, rules };
+}
+
+function collectConditionProblems(condition, where, problems) {
+  if (condition === undefined || condition === null || typeof condition === 'boolean') {
+    return;
+  }
+  if (typeof condition !== 'object') {
+    problems.push(`${where}: condition must be an object`);
+    return;
+  }
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const list = condition.all ?? condition.any;
+    list.forEach((child, index) => collectConditionProblems(child, `${where}[${index}]`, problems));
+    return;
+  }
+  if (condition.not !== undefined) {
+    collectConditionProblems(condition.not, `${where}.not`, problems);
+    return;
+  }
+  if (typeof condition.fact !== 'string') {
+    problems.push(`${where}: "fact" is required`);
+  }
+  const op = condition.op ?? 'eq';
+  if (!COMPARATORS[op]) {
+    problems.push(`${where}: unknown operator "${op}"`);
+  }
+}
+
+/**
+ * Builds the fact object rules are evaluated against. Missing facts simply make
+ * comparisons fail, so trip-scope rules never fire on weather conditions by accident.
+ */
+export function buildRuleContext({ trip = {}, leg = null, weather = null, travelDay = null } = {}) {
+  const days = Number(trip.durationDays);
+  const durationDays = Number.isFinite(days) && days > 0 ? Math.ceil(days) : 1;
+  const activities = leg ? leg.activities : trip.activities;
+  return {
+    trip: {
+      ...trip,
+      durationDays,
+      activities: Array.isArray(trip.activities) ? trip.activities : []
+    },
+    leg,
+    activities: Array.isArray(activities) ? activities : [],
+    country: leg?.country ?? trip.country ?? '',
+    countryCode: leg?.countryCode ?? trip.countryCode ?? '',
+    weather: weather ? normalizeWeatherFacts(weather) : null,
+    travelDay,
+    thresholds: getWeatherThresholds()
+  };
+}
+
+function normalizeWeatherFacts(weather) {
+  const facts = { ...weather };
+  Object.entries(WEATHER_FACT_ALIASES).forEach(([key, aliases]) => {
+    const value = aliases.map(alias => weather[alias]).find(isFiniteNumber);
+    facts[key] = value ?? null;
+  });
+  return facts;
+}
+
+export function evaluateRules(rules, context, { scope } = {}) {
+  return rules
+    .filter(rule => !rule.disabled && (!scope || rule.scope === scope))
+    .filter(rule => evaluateCondition(rule.when, context))
+    .flatMap(rule =>
+      rule.add.map(entry => {
+        const item = {
+          group: entry.group || 'other',
+          label: entry.label,
+          source: entry.source ?? rule.source,
+          rule: rule.id
+        };
+        if (entry.bag) {
+          item.bag = entry.bag;
+        }
+        if (entry.worn ?? rule.scope === 'travel') {
+          item.worn = true;
+        }
+        const quantity = resolveQuantity(entry.quantity, context);
+        if (quantity !== null) {
+          item.quantity = quantity;
+        }
+        return item;
+      })
+    );
+}
+
+export function evaluateCondition(condition, context) {
+  if (condition === undefined || condition === null || condition === true) {
+    return true;
+  }
+  if (condition === false) {
+    return false;
+  }
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(child => evaluateCondition(child, context));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(child => evaluateCondition(child, context));
+  }
+  if (condition.not !== undefined) {
+    return !evaluateCondition(condition.not, context);
+  }
+  const comparator = COMPARATORS[condition.op ?? 'eq'];
+  if (!comparator) {
+    return false;
+  }
+  const actual = resolveFact(context, condition.fact);
+  const expected =
+    condition.value && typeof condition.value === 'object' && typeof condition.value.fact === 'string'
+      ? resolveFact(context, condition.value.fact)
+      : condition.value;
+  return comparator(actual, expected);
+}
+
+function resolveQuantity(quantity, context) {
+  if (quantity === undefined || quantity === null) {
+    return null;
+  }
+  const value = typeof quantity === 'number' ? quantity : compileFormula(quantity)(context);
+  return isFiniteNumber(value) && value > 0 ? value : null;
+}
+
+export function resolveFact(context, path) {
+  if (typeof path !== 'string' || !path) {
+    return undefined;
+  }
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Compiles an arithmetic formula over facts into a function. Supports numbers, fact paths,
+ * + - * / and parentheses, plus ceil/floor/round/min/max. Never uses eval.
+ */
+export function compileFormula(source) {
+  const text = `${source ?? ''}`;
+  if (formulaCache.has(text)) {
+    return formulaCache.get(text);
+  }
+  const tokens = tokenizeFormula(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = value => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new RuleError(`Expected "${value}" in formula "${text}".`, 'invalid-formula');
+    }
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek() && (peek().value === '+' || peek().value === '-')) {
+      const operator = next().value;
+      const left = node;
+      const right = parseTerm();
+      node = context => applyOperator(operator, left(context), right(context));
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseFactor();
+    while (peek() && (peek().value === '*' || peek().value === '/')) {
+      const operator = next().value;
+      const left = node;
+      const right = parseFactor();
+      node = context => applyOperator(operator, left(context), right(context));
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const token = next();
+    if (!token) {
+      throw new RuleError(`Unexpected end of formula "${text}".`, 'invalid-formula');
+    }
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.value === '-') {
+      const operand = parseFactor();
+      return context => applyOperator('-', 0, operand(context));
+    }
+    if (token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'identifier') {
+      if (peek()?.value === '(') {
+        const fn = FORMULA_FUNCTIONS[token.value];
+        if (!fn) {
+          throw new RuleError(`Unknown function "${token.value}" in formula "${text}".`, 'invalid-formula');
+        }
+        next();
+        const args = [];
+        if (peek()?.value !== ')') {
+          args.push(parseExpression());
+          while (peek()?.value === ',') {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return context => {
+          const values = args.map(arg => arg(context));
+          return values.every(isFiniteNumber) ? fn(...values) : NaN;
+        };
+      }
+      return context => {
+        const value = Number(resolveFact(context, token.value));
+        return Number.isFinite(value) ? value : NaN;
+      };
+    }
+    throw new RuleError(`Unexpected "${token.value}" in formula "${text}".`, 'invalid-formula');
+  }
+
+  const compiled = parseExpression();
+  if (position < tokens.length) {
+    throw new RuleError(`Unexpected "${tokens[position].value}" in formula "${text}".`, 'invalid-formula');
+  }
+  formulaCache.set(text, compiled);
+  return compiled;
+}
+
+function tokenizeFormula(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|([-+*/(),]))/y;
+  let index = 0;
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      if (!text.slice(index).trim()) {
+        break;
+      }
+      throw new RuleError(`Invalid character in formula "${text}".`, 'invalid-formula');
+    }
+    if (match[1]) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2]) {
+      tokens.push({ type: 'identifier', value: match[2] });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+    index = pattern.lastIndex;
+  }
+  if (!tokens.length) {
+    throw new RuleError('Formula is empty.', 'invalid-formula');
+  }
+  return tokens;
+}
+
+function applyOperator(operator, left, right) {
+  switch (operator) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return right === 0 ? NaN : left / right;
+    default:
+      return NaN;
+  }
+}
+
+function normalizeComparable(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function bothNumbers(a, b) {
+  return isFiniteNumber(a) && isFiniteNumber(b);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function cloneRule(rule) {
+  return { ...rule, add: (rule.add ?? []).map(entry => ({ ...entry })) };
+}
+
+function cloneRuleSet(ruleSet) {
+  return { id: ruleSet.id ?? 'custom', version: ruleSet.version ?? 1, rules: (ruleSet.rules ?? []).map(cloneRule) };
+}
+
+export class RuleError extends Error {
+  constructor(message, code, problems = [], cause) {
+    super(message);
+    this.name = 'RuleError';
+    this.code = code;
+    this.problems = problems;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
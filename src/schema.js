@@ -0,0 +1,141 @@
+/**
+ * Storage schema: the version of each persisted payload kind and the migrations that
+ * upgrade older payloads one version at a time when they are loaded.
+ *
+ * A checklist state carries `schemaVersion`; templates are stored as
+ * `{ schemaVersion, templates: [...] }`. Payloads written before versioning (a state
+ * without `schemaVersion`, a bare template array) count as version 1. Migrations only
+ * reshape data; sanitising values is left to the modules that own them.
+ */
+
+export const SCHEMA_VERSIONS = {
+  state: 4,
+  templates: 2
+};
+
+// The id the checklist gives the first leg of every trip.
+const PRIMARY_LEG_ID = 'leg-1';
+// Items saved before bags existed were shown as carry-on.
+const HISTORIC_DEFAULT_BAG = 'carryOn';
+
+const migrations = new Map(Object.keys(SCHEMA_VERSIONS).map(kind => [kind, new Map()]));
+
+export class SchemaError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'SchemaError';
+    this.code = code;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Registers the step that upgrades a `kind` payload from `fromVersion` to the next version.
+ */
+export function registerMigration(kind, fromVersion, migrate) {
+  if (!migrations.has(kind)) {
+    throw new SchemaError(`Unknown payload kind "${kind}".`, 'unknown-kind');
+  }
+  if (typeof migrate !== 'function') {
+    throw new SchemaError('A migration must be a function.', 'invalid-migration');
+  }
+  migrations.get(kind).set(fromVersion, migrate);
+}
+
+/**
+ * Upgrades a stored payload to the current version of its kind. Returns
+ * `{ data, fromVersion, version, migrated }`; throws a `SchemaError` for payloads written
+ * by a newer version of the app or when a step is missing.
+ */
+export function migratePayload(kind, payload) {
+  const version = SCHEMA_VERSIONS[kind];
+  if (!version) {
+    throw new SchemaError(`Unknown payload kind "${kind}".`, 'unknown-kind');
+  }
+  const fromVersion = readSchemaVersion(payload);
+  if (fromVersion > version) {
+    throw new SchemaError(
+      `Saved ${kind} (version ${fromVersion}) come from a newer version of the app.`,
+      'future-version'
+    );
+  }
+  let data = payload;
+  for (let step = fromVersion; step < version; step += 1) {
+    const migrate = migrations.get(kind).get(step);
+    if (!migrate) {
+      throw new SchemaError(`No migration for ${kind} from version ${step}.`, 'missing-migration');
+    }
+    data = migrate(data);
+  }
+  return { data: stampSchemaVersion(kind, data), fromVersion, version, migrated: fromVersion !== version };
+}
+
+/**
+ * Marks a payload about to be saved with the current version of its kind.
+ */
+export function stampSchemaVersion(kind, data) {
+  return { ...data, schemaVersion: SCHEMA_VERSIONS[kind] };
+}
+
+function readSchemaVersion(payload) {
+  const version = payload?.schemaVersion;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+// state 1 → 2: every item belongs to a bag.
+registerMigration('state', 1, state => ({
+  ...state,
+  items: (Array.isArray(state?.items) ? state.items : []).map(item =>
+    item && typeof item === 'object' && !item.bag ? { ...item, bag: HISTORIC_DEFAULT_BAG } : item
+  )
+}));
+
+// state 2 → 3: trips have dates and an ordered list of legs; items remember their legs.
+registerMigration('state', 2, state => {
+  const trip = state.trip && typeof state.trip === 'object' ? state.trip : {};
+  const startDate = trip.startDate ?? '';
+  const endDate = trip.endDate ?? '';
+  const legs = Array.isArray(trip.legs)
+    ? trip.legs
+    : [
+        {
+          id: PRIMARY_LEG_ID,
+          city: trip.city ?? '',
+          country: trip.country ?? '',
+          latitude: trip.latitude ?? null,
+          longitude: trip.longitude ?? null,
+          startDate,
+          endDate,
+          activities: Array.isArray(trip.activities) ? trip.activities : []
+        }
+      ];
+  return {
+    ...state,
+    trip: { ...trip, startDate, endDate, legs },
+    items: state.items.map(item => (item && typeof item === 'object' && !item.legs ? { ...item, legs: [] } : item)),
+    legWeather: Array.isArray(state.legWeather) ? state.legWeather : []
+  };
+});
+
+// state 3 → 4: an origin for travel-day weather and a history of forecast snapshots.
+registerMigration('state', 3, state => ({
+  ...state,
+  trip: {
+    ...state.trip,
+    origin: state.trip.origin ?? { city: '', country: '', latitude: null, longitude: null }
+  },
+  travelWeather: Array.isArray(state.travelWeather) ? state.travelWeather : [],
+  forecastHistory: Array.isArray(state.forecastHistory) ? state.forecastHistory : []
+}));
+
+// templates 1 → 2: the bare array gains an envelope, and template items a bag.
+registerMigration('templates', 1, templates => ({
+  templates: (Array.isArray(templates) ? templates : []).map(template => ({
+    ...template,
+    items: (Array.isArray(template?.items) ? template.items : []).map(item =>
+      item && typeof item === 'object' && !item.bag ? { ...item, bag: HISTORIC_DEFAULT_BAG } : item
+    )
+  }))
+}));
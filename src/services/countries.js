@@ -0,0 +1,84 @@
+/**
+ * Country registry over `assets/data/countries.json`, fetched by `loadCountries()` at
+ * startup. Lookups find nothing until it has loaded.
+ */
+
+import { loadBundledData } from './data.js';
+
+const COUNTRIES_FILE = 'countries.json';
+
+let countries = [];
+const byCode = new Map();
+const byName = new Map();
+
+/**
+ * Fetches the country table and indexes it for lookups. Resolves to the number of countries.
+ */
+export async function loadCountries({ signal } = {}) {
+  const countryData = await loadBundledData(COUNTRIES_FILE, { signal });
+  countries = Object.entries(countryData).map(([iso2, entry]) => Object.freeze({ iso2, ...entry }));
+  byCode.clear();
+  byName.clear();
+  countries.forEach(country => {
+    byCode.set(country.iso2, country);
+    byCode.set(country.iso3, country);
+    [country.iso2, country.iso3, country.name, ...country.aliases].forEach(name => {
+      const key = normalizeCountryName(name);
+      if (key && !byName.has(key)) {
+        byName.set(key, country);
+      }
+    });
+  });
+  return countries.length;
+}
+
+export function getCountry(code) {
+  if (!code) {
+    return null;
+  }
+  return byCode.get(code.toString().trim().toUpperCase()) || null;
+}
+
+/**
+ * Looks a country up by ISO alpha-2/alpha-3 code, English name or a common alias
+ * ("Deutschland", "UK"). Case and diacritics are ignored.
+ */
+export function findCountry(input) {
+  const key = normalizeCountryName(input);
+  if (!key) {
+    return null;
+  }
+  return byName.get(key) || null;
+}
+
+export function resolveCountryCode(input) {
+  return findCountry(input)?.iso2 ?? null;
+}
+
+export function listCountries() {
+  return countries.slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds the emoji flag for an ISO alpha-2 code from its regional indicator symbols.
+ */
+export function countryFlag(code) {
+  const iso2 = (code ?? '').toString().trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(iso2)) {
+    return '';
+  }
+  return String.fromCodePoint(...Array.from(iso2, letter => 0x1f1e6 + letter.charCodeAt(0) - 65));
+}
+
+export function normalizeCountryName(value) {
+  if (!value) {
+    return '';
+  }
+  return value
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
@@ -0,0 +1,40 @@
+/**
+ * Bundled data: the JSON files under `assets/data`, fetched the first time a module asks
+ * for them. They are not imported as modules because the app is served unbundled, and
+ * browsers refuse a JSON module without import attributes.
+ */
+
+// Relative to this module, so the files are found wherever the page itself lives. (Kept out of
+// the `new URL('…', import.meta.url)` form, which Vite rewrites into an asset of its own.)
+const DATA_PATH = '../../assets/data/';
+const DATA_BASE_URL = new URL(DATA_PATH, import.meta.url);
+const loaded = new Map();
+
+/**
+ * Resolves to the parsed contents of `assets/data/<name>`. Each file is fetched once; a
+ * failed load is forgotten so the next call tries again.
+ */
+export function loadBundledData(name, { signal } = {}) {
+  if (!loaded.has(name)) {
+    const request = fetchData(name, signal);
+    loaded.set(name, request);
+    request.catch(() => loaded.delete(name));
+  }
+  return loaded.get(name);
+}
+
+/**
+ * Supplies a file's contents up front, so `loadBundledData` does not fetch it. Used where
+ * there is nothing to fetch from, such as tests reading the files from disk.
+ */
+export function provideBundledData(name, data) {
+  loaded.set(name, Promise.resolve(data));
+}
+
+async function fetchData(name, signal) {
+  const res = await fetch(new URL(name, DATA_BASE_URL), { signal });
+  if (!res.ok) {
+    throw new Error(`Unable to load ${name} (HTTP ${res.status}).`);
+  }
+  return res.json();
+}
@@ -1,13 +1,83 @@
-import powerData from '../assets/data/country-power.json';
+import { getCountry, listCountries, resolveCountryCode } from './countries.js';
+import { normalizeLabel } from '../utils.js';
+
+export { resolveCountryCode };
+
+// Mains voltages within this band (e.g. 220 V vs 230 V) are treated as compatible.
+const VOLTAGE_TOLERANCE = 20;
+
+const SINGLE_VOLTAGE_DEVICES = ['hair dryer', 'hair straightener', 'curling iron', 'electric kettle', 'travel iron'];
 
 export function getPowerInfo(countryCode) {
-  if (!countryCode) {
+  const country = getCountry(countryCode);
+  if (!country) {
     return null;
   }
-  const normalized = countryCode.toUpperCase();
-  return powerData[normalized] || null;
+  return { name: country.name, plugs: country.plugs, voltage: country.voltage, hz: country.hz };
 }
 
 export function listAvailableCountries() {
-  return Object.keys(powerData).sort();
+  return listCountries()
+    .map(country => country.iso2)
+    .sort();
+}
+
+export function isSingleVoltageDevice(item) {
+  if (!item) {
+    return false;
+  }
+  if (typeof item.singleVoltage === 'boolean') {
+    return item.singleVoltage;
+  }
+  return SINGLE_VOLTAGE_DEVICES.includes(normalizeLabel(item.label));
+}
+
+/**
+ * Compares the destination's plugs and mains voltage with the home country's and lists
+ * the single-voltage devices that would need a converter.
+ */
+export function assessPower(homeCountry, destinationCountry, devices = []) {
+  const countryCode = resolveCountryCode(destinationCountry);
+  const destination = getPowerInfo(countryCode);
+  if (!destination) {
+    return null;
+  }
+  const homeCode = resolveCountryCode(homeCountry);
+  const home = getPowerInfo(homeCode);
+  const differs = Boolean(home) && homeCode !== countryCode;
+  const needsAdapter = differs && !destination.plugs.some(plug => home.plugs.includes(plug));
+  const voltageMismatch = differs && Math.abs(home.voltage - destination.voltage) > VOLTAGE_TOLERANCE;
+  const singleVoltageDevices = voltageMismatch
+    ? Array.from(new Set(devices.filter(isSingleVoltageDevice).map(device => device.label)))
+    : [];
+  const warnings = [];
+  if (singleVoltageDevices.length) {
+    const verb = singleVoltageDevices.length === 1 ? 'is' : 'are';
+    warnings.push(
+      `${singleVoltageDevices.join(', ')} ${verb} single-voltage (${home.voltage} V); ${destination.name} runs on ${destination.voltage} V.`
+    );
+  } else if (voltageMismatch) {
+    warnings.push(
+      `${destination.name} runs on ${destination.voltage} V (home: ${home.voltage} V). Check that your chargers are dual-voltage.`
+    );
+  }
+  return {
+    countryCode,
+    name: destination.name,
+    plugs: [...destination.plugs],
+    voltage: destination.voltage,
+    hz: destination.hz,
+    homeCountryCode: home ? homeCode : null,
+    adapterLabel: needsAdapter ? `Type ${destination.plugs[0]} adapter` : null,
+    voltageMismatch,
+    singleVoltageDevices,
+    warnings
+  };
+}
+
+export function formatPowerFacts(power) {
+  if (!power) {
+    return '';
+  }
+  return `Type ${power.plugs.join('/')} · ${power.voltage} V / ${power.hz} Hz`;
 }
@@ -0,0 +1,105 @@
+/**
+ * Destination clock: local time, UTC offset and the difference from the traveller's own
+ * zone. IANA zone ids are preferred because they follow daylight saving time; a fixed
+ * `utcOffsetSeconds` (as reported with the forecast) is the fallback.
+ */
+
+const partsFormatters = new Map();
+
+export function getHomeTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Minutes a zone is ahead of UTC at `date`, or null for an unknown zone id.
+ */
+export function getZoneOffsetMinutes(timeZone, date = new Date()) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      });
+    } catch (err) {
+      return null;
+    }
+    partsFormatters.set(timeZone, formatter);
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const minute = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((asUtc - minute) / 60000);
+}
+
+/**
+ * Describes a destination zone `{ id, abbreviation, utcOffsetSeconds }` relative to the
+ * traveller's home zone. Returns null when neither the id nor the offset is usable.
+ */
+export function describeTimeZone(zone, { now = new Date(), homeTimeZone = getHomeTimeZone() } = {}) {
+  if (!zone) {
+    return null;
+  }
+  const fromId = zone.id ? getZoneOffsetMinutes(zone.id, now) : null;
+  const fallback = Number.isFinite(zone.utcOffsetSeconds) ? Math.round(zone.utcOffsetSeconds / 60) : null;
+  const offsetMinutes = fromId ?? fallback;
+  if (offsetMinutes === null) {
+    return null;
+  }
+  const homeOffsetMinutes = getZoneOffsetMinutes(homeTimeZone, now) ?? -now.getTimezoneOffset();
+  // Shifting the instant by the offset and reading it as UTC gives the wall-clock time there.
+  const local = new Date(now.getTime() + offsetMinutes * 60000);
+  const home = new Date(now.getTime() + homeOffsetMinutes * 60000);
+  const sameDay = local.getUTCDate() === home.getUTCDate();
+  return {
+    id: zone.id || '',
+    abbreviation: zone.abbreviation || '',
+    offsetMinutes,
+    differenceMinutes: offsetMinutes - homeOffsetMinutes,
+    localTime: local.toLocaleTimeString([], {
+      timeZone: 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      ...(sameDay ? {} : { weekday: 'short' })
+    })
+  };
+}
+
+export function formatUtcOffset(minutes) {
+  if (!Number.isFinite(minutes) || minutes === 0) {
+    return 'UTC';
+  }
+  const sign = minutes > 0 ? '+' : '−';
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return `UTC${sign}${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+}
+
+export function formatTimeDifference(minutes) {
+  if (!Number.isFinite(minutes) || minutes === 0) {
+    return 'same time as you';
+  }
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  const amount = [hours ? `${hours} h` : '', rest ? `${rest} min` : ''].filter(Boolean).join(' ');
+  return `${amount} ${minutes > 0 ? 'ahead of' : 'behind'} you`;
+}
+
+/**
+ * "Europe/Berlin (CET, UTC+1, 6 h ahead of you)", for the card and the export.
+ */
+export function formatTimeZoneSummary(description) {
+  if (!description) {
+    return '';
+  }
+  const details = [description.abbreviation, formatUtcOffset(description.offsetMinutes)]
+    .filter((value, index, list) => value && list.indexOf(value) === index)
+    .concat(formatTimeDifference(description.differenceMinutes));
+  const name = description.id ? description.id.replace(/_/g, ' ') : 'Local time';
+  return `${name} (${details.join(', ')})`;
+}
@@ -0,0 +1,140 @@
+/**
+ * Climate provider: bundled monthly climate normals for major cities. Forecast APIs only
+ * reach a couple of weeks ahead, so trips further out are described by what is typical
+ * for the month instead. Needs no weather service; it is not part of the configured
+ * provider chain and `weather.js` only consults it when the dates are beyond every
+ * provider's horizon. Without `climateNormals` in the config,
+ * `assets/data/climate-normals.json` is fetched the first time it is consulted.
+ */
+
+import { addDays, parseISODate } from '../../utils.js';
+import { loadBundledData } from '../data.js';
+import { WeatherError, buildWeather } from './shared.js';
+
+// A city's normals stand in for places within this distance of it.
+const DEFAULT_MAX_DISTANCE_KM = 150;
+const EARTH_RADIUS_KM = 6371;
+const NORMALS_FILE = 'climate-normals.json';
+
+const monthFormatter = new Intl.DateTimeFormat('en', { month: 'long', timeZone: 'UTC' });
+
+export function createClimateProvider({
+  climateNormals = null,
+  climateMaxDistanceKm = DEFAULT_MAX_DISTANCE_KM
+} = {}) {
+  const loadLocations = async () => {
+    let data = climateNormals;
+    if (!data) {
+      try {
+        data = await loadBundledData(NORMALS_FILE);
+      } catch (err) {
+        throw new WeatherError('Climate averages could not be loaded.', 'network-error', err);
+      }
+    }
+    return Array.isArray(data?.locations) ? data.locations : [];
+  };
+  const provider = {
+    id: 'climate',
+    label: 'Climate normals',
+    horizonDays: Infinity,
+
+    async geocode(query, { countryCode = '', count = 5 } = {}) {
+      const name = (query || '').trim().toLowerCase();
+      const locations = await loadLocations();
+      const matches = locations.filter(
+        location =>
+          location.name.toLowerCase().startsWith(name) &&
+          (!countryCode || location.countryCode === countryCode)
+      );
+      if (!matches.length) {
+        throw new WeatherError('Location not found.', 'not-found');
+      }
+      return matches.slice(0, count).map(location => ({
+        id: `${location.latitude},${location.longitude}`,
+        name: location.name,
+        admin1: location.admin1 || '',
+        country: location.country,
+        countryCode: location.countryCode,
+        population: null,
+        latitude: location.latitude,
+        longitude: location.longitude
+      }));
+    },
+
+    async forecast(location) {
+      const locations = await loadLocations();
+      const nearest = locations
+        .map(entry => ({ entry, distanceKm: distanceBetween(entry, location) }))
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+      if (!nearest || nearest.distanceKm > climateMaxDistanceKm) {
+        throw new WeatherError(
+          `Trip dates are beyond the forecast range and there are no climate averages for ${
+            location?.name || 'this place'
+          }.`,
+          'out-of-range'
+        );
+      }
+      return { ...nearest.entry, distanceKm: Math.round(nearest.distanceKm) };
+    },
+
+    normalize(location, station, range = {}) {
+      const days = [];
+      const seenMonths = new Set();
+      for (let date = range.startDate; date && date <= range.endDate; date = addDays(date, 1)) {
+        const { month, daysInMonth } = describeMonth(date);
+        const normal = station.months?.[month - 1] ?? {};
+        seenMonths.add(month);
+        days.push({
+          date,
+          minC: normal.minC ?? null,
+          maxC: normal.maxC ?? null,
+          precipitation: Number.isFinite(normal.precipitation)
+            ? Math.round((normal.precipitation / daysInMonth) * 10) / 10
+            : null
+        });
+      }
+      const months = Array.from(seenMonths);
+      const label = `Typical for ${formatMonthSpan(months)}`;
+      const means = days
+        .filter(day => day.minC !== null && day.maxC !== null)
+        .map(day => (day.minC + day.maxC) / 2);
+      const weather = buildWeather(provider, location, range, {
+        summary: label,
+        tempC: means.length ? Math.round(means.reduce((sum, value) => sum + value, 0) / means.length) : null,
+        days
+      });
+      return {
+        ...weather,
+        climate: { label, months, station: station.name, distanceKm: station.distanceKm ?? 0 }
+      };
+    }
+  };
+  return provider;
+}
+
+/**
+ * "March", or "March–April" when the trip spans several months.
+ */
+export function formatMonthSpan(months = []) {
+  const names = months.map(month => monthFormatter.format(new Date(Date.UTC(2000, month - 1, 1))));
+  return names.length > 1 ? `${names[0]}–${names[names.length - 1]}` : names[0] || '';
+}
+
+function describeMonth(isoDate) {
+  const date = parseISODate(isoDate);
+  const month = date.getMonth() + 1;
+  return { month, daysInMonth: new Date(date.getFullYear(), month, 0).getDate() };
+}
+
+function distanceBetween(a, b) {
+  if (![a?.latitude, a?.longitude, b?.latitude, b?.longitude].every(Number.isFinite)) {
+    return Infinity;
+  }
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,96 @@
+/**
+ * Fixture provider: serves canned locations and forecasts without any weather service,
+ * for offline demos and tests. Each fixture repeats its daily `pattern` across the range.
+ * Without `fixtures` in the config, `assets/data/weather-fixtures.json` is fetched the
+ * first time the provider is asked for anything.
+ */
+
+import { addDays, toISODate } from '../../utils.js';
+import { loadBundledData } from '../data.js';
+import { DAILY_METRICS, WeatherError, buildWeather } from './shared.js';
+
+// Pinned coordinates within this many degrees of a fixture count as that fixture.
+const MATCH_TOLERANCE = 0.5;
+const FIXTURES_FILE = 'weather-fixtures.json';
+
+export function createFixtureProvider({ fixtures = null } = {}) {
+  const loadLocations = async () => {
+    let data = fixtures;
+    if (!data) {
+      try {
+        data = await loadBundledData(FIXTURES_FILE);
+      } catch (err) {
+        throw new WeatherError('Offline weather fixtures could not be loaded.', 'network-error', err);
+      }
+    }
+    return Array.isArray(data?.locations) ? data.locations : [];
+  };
+  const provider = {
+    id: 'fixture',
+    label: 'Offline fixtures',
+    horizonDays: 16,
+
+    async geocode(query, { countryCode = '', count = 5 } = {}) {
+      const name = (query || '').trim().toLowerCase();
+      const locations = await loadLocations();
+      const matches = locations.filter(
+        location =>
+          location.name.toLowerCase().startsWith(name) &&
+          (!countryCode || location.countryCode === countryCode)
+      );
+      if (!matches.length) {
+        throw new WeatherError('Location not found.', 'not-found');
+      }
+      return matches.slice(0, count).map(location => ({
+        id: `${location.latitude},${location.longitude}`,
+        name: location.name,
+        admin1: location.admin1 || '',
+        country: location.country,
+        countryCode: location.countryCode,
+        population: location.population ?? null,
+        latitude: location.latitude,
+        longitude: location.longitude
+      }));
+    },
+
+    async forecast(location) {
+      const locations = await loadLocations();
+      const fixture = locations.find(
+        entry =>
+          Math.abs(entry.latitude - location.latitude) <= MATCH_TOLERANCE &&
+          Math.abs(entry.longitude - location.longitude) <= MATCH_TOLERANCE
+      );
+      if (!fixture) {
+        throw new WeatherError('No fixture forecast for this location.', 'forecast-error');
+      }
+      return fixture;
+    },
+
+    normalize(location, fixture, range = {}) {
+      const pattern = Array.isArray(fixture.pattern) && fixture.pattern.length ? fixture.pattern : [{}];
+      const firstDate = range.startDate || toISODate();
+      const lastDate = range.endDate || addDays(firstDate, 6);
+      const days = [];
+      for (let date = firstDate, index = 0; date <= lastDate; date = addDays(date, 1), index += 1) {
+        const day = pattern[index % pattern.length];
+        days.push({
+          date,
+          minC: day.minC ?? null,
+          maxC: day.maxC ?? null,
+          precipitation: day.precipitation ?? null,
+          sunrise: day.sunrise ?? null,
+          sunset: day.sunset ?? null,
+          ...Object.fromEntries(Object.keys(DAILY_METRICS).map(key => [key, day[key] ?? null]))
+        });
+      }
+      return buildWeather(provider, location, range, {
+        summary: fixture.current?.summary,
+        tempC: fixture.current?.tempC,
+        windKph: fixture.current?.windKph,
+        days,
+        timeZone: fixture.timezone ? { id: fixture.timezone, abbreviation: '', utcOffsetSeconds: null } : null
+      });
+    }
+  };
+  return provider;
+}
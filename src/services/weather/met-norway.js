@@ -0,0 +1,101 @@
+/**
+ * MET Norway provider: the Locationforecast 2.0 "compact" API from the Norwegian
+ * Meteorological Institute. It has no geocoding, so locations come from another provider.
+ */
+
+import { buildWeather, fetchJson, toNumber } from './shared.js';
+
+// Ordered: the first matching pattern wins, so specific symbols precede generic ones.
+const SYMBOL_SUMMARIES = [
+  [/thunder/, 'Thunderstorm'],
+  [/heavysnow/, 'Heavy snow'],
+  [/snow/, 'Snow'],
+  [/sleet/, 'Sleet'],
+  [/heavyrain/, 'Heavy rain'],
+  [/rainshowers/, 'Rain showers'],
+  [/rain/, 'Rain'],
+  [/fog/, 'Fog'],
+  [/^clearsky/, 'Clear'],
+  [/^fair/, 'Mainly clear'],
+  [/^partlycloudy/, 'Partly cloudy'],
+  [/^cloudy/, 'Overcast']
+];
+
+export function createMetNorwayProvider({
+  metNorwayUrl = 'https://api.met.no/weatherapi/locationforecast/2.0/compact'
+} = {}) {
+  const provider = {
+    id: 'met-norway',
+    label: 'MET Norway',
+    horizonDays: 9,
+
+    forecast(location, range, { signal } = {}) {
+      const params = new URLSearchParams({
+        lat: Number(location.latitude).toFixed(4),
+        lon: Number(location.longitude).toFixed(4)
+      });
+      return fetchJson(`${metNorwayUrl}?${params.toString()}`, {
+        signal,
+        headers: { Accept: 'application/json' },
+        message: 'MET Norway forecast unavailable.',
+        code: 'forecast-error'
+      });
+    },
+
+    normalize(location, payload, range = {}) {
+      const series = Array.isArray(payload?.properties?.timeseries) ? payload.properties.timeseries : [];
+      const byDate = new Map();
+      series.forEach(entry => {
+        // Timestamps are UTC; grouping by their date is close enough for packing decisions.
+        const date = (entry.time || '').slice(0, 10);
+        if (!date) {
+          return;
+        }
+        const day = byDate.get(date) ?? { date, temps: [], humidity: [], precipitation: null };
+        const temp = toNumber(entry.data?.instant?.details?.air_temperature);
+        if (temp !== null) {
+          day.temps.push(temp);
+        }
+        const humidity = toNumber(entry.data?.instant?.details?.relative_humidity);
+        if (humidity !== null) {
+          day.humidity.push(humidity);
+        }
+        // Hourly steps carry next_1_hours; the later 6-hourly steps only next_6_hours.
+        const period = entry.data?.next_1_hours ?? entry.data?.next_6_hours;
+        const amount = toNumber(period?.details?.precipitation_amount);
+        if (amount !== null) {
+          day.precipitation = (day.precipitation ?? 0) + amount;
+        }
+        byDate.set(date, day);
+      });
+      const days = Array.from(byDate.values()).map(day => ({
+        date: day.date,
+        minC: day.temps.length ? Math.min(...day.temps) : null,
+        maxC: day.temps.length ? Math.max(...day.temps) : null,
+        precipitation: day.precipitation === null ? null : Math.round(day.precipitation * 10) / 10,
+        humidity: day.humidity.length
+          ? Math.round(day.humidity.reduce((total, value) => total + value, 0) / day.humidity.length)
+          : null
+      }));
+      const [first] = series;
+      const windSpeed = toNumber(first?.data?.instant?.details?.wind_speed);
+      return buildWeather(provider, location, range, {
+        summary: mapSymbolToSummary(
+          first?.data?.next_1_hours?.summary?.symbol_code ?? first?.data?.next_6_hours?.summary?.symbol_code
+        ),
+        tempC: toNumber(first?.data?.instant?.details?.air_temperature),
+        windKph: windSpeed === null ? null : Math.round(windSpeed * 3.6 * 10) / 10,
+        days
+      });
+    }
+  };
+  return provider;
+}
+
+function mapSymbolToSummary(symbol) {
+  if (!symbol) {
+    return 'Unknown';
+  }
+  const match = SYMBOL_SUMMARIES.find(([pattern]) => pattern.test(symbol));
+  return match ? match[1] : 'Mixed weather';
+}
@@ -0,0 +1,224 @@
+/**
+ * Open-Meteo provider: geocoding and daily forecasts from the free Open-Meteo APIs.
+ */
+
+import { addDays, toISODate } from '../../utils.js';
+import { WeatherError, buildWeather, fetchJson, toClockTime, toNumber } from './shared.js';
+
+const DAILY_VARIABLES = {
+  minC: 'temperature_2m_min',
+  maxC: 'temperature_2m_max',
+  precipitation: 'precipitation_sum',
+  windGustKph: 'wind_gusts_10m_max',
+  uvIndex: 'uv_index_max',
+  humidity: 'relative_humidity_2m_mean',
+  snowfallCm: 'snowfall_sum'
+};
+
+// The air quality API forecasts a few days ahead; later trip days simply have no value.
+const AIR_QUALITY_HORIZON_DAYS = 5;
+
+const CODE_SUMMARIES = {
+  0: 'Clear',
+  1: 'Mainly clear',
+  2: 'Partly cloudy',
+  3: 'Overcast',
+  45: 'Fog',
+  48: 'Fog',
+  51: 'Drizzle',
+  53: 'Drizzle',
+  55: 'Drizzle',
+  61: 'Rain',
+  63: 'Rain',
+  65: 'Heavy rain',
+  71: 'Snow',
+  73: 'Snow',
+  75: 'Heavy snow',
+  80: 'Rain showers',
+  81: 'Rain showers',
+  82: 'Heavy showers',
+  95: 'Thunderstorm',
+  96: 'Thunderstorm',
+  99: 'Thunderstorm'
+};
+
+/**
+ * With an `apiKey` the provider talks to Open-Meteo's commercial "customer-" hosts and
+ * sends the key with every request; explicit URLs always take precedence. The European
+ * air quality index comes from a second request unless `airQuality` is false.
+ */
+export function createOpenMeteoProvider({
+  apiKey = '',
+  geocodeUrl,
+  forecastUrl,
+  airQualityUrl,
+  airQuality = true
+} = {}) {
+  const host = apiKey ? 'customer-' : '';
+  const urls = {
+    geocode: geocodeUrl || `https://${host}geocoding-api.open-meteo.com/v1/search`,
+    forecast: forecastUrl || `https://${host}api.open-meteo.com/v1/forecast`,
+    airQuality: airQualityUrl || `https://${host}air-quality-api.open-meteo.com/v1/air-quality`
+  };
+  const withKey = params => {
+    if (apiKey) {
+      params.set('apikey', apiKey);
+    }
+    return params.toString();
+  };
+
+  // Best effort: the forecast stands on its own when air quality is unavailable.
+  async function fetchAirQuality(location, range, signal) {
+    const today = toISODate();
+    const horizon = addDays(today, AIR_QUALITY_HORIZON_DAYS - 1);
+    if (range.startDate > horizon) {
+      return null;
+    }
+    const params = new URLSearchParams({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      hourly: 'european_aqi',
+      timezone: 'auto'
+    });
+    if (range.startDate) {
+      params.set('start_date', range.startDate);
+      params.set('end_date', range.endDate > horizon ? horizon : range.endDate);
+    } else {
+      params.set('forecast_days', '2');
+    }
+    try {
+      return await fetchJson(`${urls.airQuality}?${withKey(params)}`, {
+        signal,
+        message: 'Air quality unavailable.',
+        code: 'air-quality-error'
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw err;
+      }
+      return null;
+    }
+  }
+
+  const provider = {
+    id: 'open-meteo',
+    label: 'Open-Meteo',
+    horizonDays: 16,
+
+    async geocode(query, { countryCode = '', country = '', count = 5, signal } = {}) {
+      const params = new URLSearchParams({
+        name: country && !countryCode ? `${query},${country}` : query,
+        count: String(count)
+      });
+      if (countryCode) {
+        params.set('countryCode', countryCode);
+      }
+      const json = await fetchJson(`${urls.geocode}?${withKey(params)}`, {
+        signal,
+        message: 'Location lookup failed.',
+        code: 'geocode-error'
+      });
+      const results = Array.isArray(json.results) ? json.results : [];
+      if (!results.length) {
+        throw new WeatherError('Location not found.', 'not-found');
+      }
+      return results.map(result => ({
+        id: result.id ?? `${result.latitude},${result.longitude}`,
+        name: result.name,
+        admin1: result.admin1 || '',
+        country: result.country || result.admin1 || '',
+        countryCode: result.country_code ?? countryCode ?? '',
+        population: toNumber(result.population),
+        latitude: result.latitude,
+        longitude: result.longitude
+      }));
+    },
+
+    async forecast(location, range, { signal } = {}) {
+      const params = new URLSearchParams({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        current_weather: 'true',
+        daily: [...Object.values(DAILY_VARIABLES), 'sunrise', 'sunset'].join(','),
+        timezone: 'auto'
+      });
+      if (range.startDate) {
+        params.set('start_date', range.startDate);
+        params.set('end_date', range.endDate);
+      }
+      const [forecast, air] = await Promise.all([
+        fetchJson(`${urls.forecast}?${withKey(params)}`, {
+          signal,
+          message: 'Weather service unavailable.',
+          code: 'forecast-error'
+        }),
+        airQuality ? fetchAirQuality(location, range, signal) : null
+      ]);
+      return air ? { ...forecast, air_quality: air } : forecast;
+    },
+
+    normalize(location, payload, range = {}) {
+      const current = payload.current_weather || {};
+      const daily = payload.daily || {};
+      const length = Math.max(
+        ...['time', 'temperature_2m_min', 'temperature_2m_max', 'precipitation_sum'].map(key =>
+          Array.isArray(daily[key]) ? daily[key].length : 0
+        )
+      );
+      // Without trip dates the series starts today; the first day is labelled accordingly.
+      const firstDate = range.startDate || toISODate();
+      const airQuality = dailyAirQuality(payload.air_quality);
+      const days = Array.from({ length }, (_, index) => {
+        const day = { date: daily.time?.[index] ?? addDays(firstDate, index) };
+        Object.entries(DAILY_VARIABLES).forEach(([key, variable]) => {
+          day[key] = toNumber(daily[variable]?.[index]);
+        });
+        day.airQuality = airQuality.get(day.date) ?? null;
+        day.sunrise = toClockTime(daily.sunrise?.[index]);
+        day.sunset = toClockTime(daily.sunset?.[index]);
+        return day;
+      });
+      return buildWeather(provider, location, range, {
+        summary: mapWeatherCodeToSummary(current.weathercode),
+        tempC: toNumber(current.temperature),
+        windKph: toNumber(current.windspeed),
+        days,
+        timeZone: payload.timezone
+          ? {
+              id: payload.timezone,
+              abbreviation: payload.timezone_abbreviation || '',
+              utcOffsetSeconds: toNumber(payload.utc_offset_seconds)
+            }
+          : null
+      });
+    }
+  };
+  return provider;
+}
+
+/**
+ * Reduces the hourly European AQI to each day's worst hour.
+ */
+function dailyAirQuality(payload) {
+  const byDate = new Map();
+  const times = payload?.hourly?.time;
+  const values = payload?.hourly?.european_aqi;
+  if (!Array.isArray(times) || !Array.isArray(values)) {
+    return byDate;
+  }
+  times.forEach((time, index) => {
+    const value = toNumber(values[index]);
+    const date = `${time}`.slice(0, 10);
+    if (value !== null && value > (byDate.get(date) ?? -Infinity)) {
+      byDate.set(date, value);
+    }
+  });
+  return byDate;
+}
+
+function mapWeatherCodeToSummary(code) {
+  if (code === undefined || code === null) {
+    return 'Unknown';
+  }
+  return CODE_SUMMARIES[code] || 'Mixed weather';
+}
@@ -0,0 +1,119 @@
+/**
+ * Retry and circuit-breaker helpers for weather requests.
+ */
+
+import { WeatherError } from './shared.js';
+
+/**
+ * Network failures, 5xx responses and rate limiting are worth retrying; "not found" or
+ * out-of-range dates are not.
+ */
+export function isTransientError(err) {
+  if (!err || err.name === 'AbortError') {
+    return false;
+  }
+  return err.code === 'network-error' || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Exponential backoff with "full jitter": a random delay between 0 and the capped
+ * exponential step, so clients that failed together do not retry together.
+ */
+export function computeBackoffDelay(attempt, { baseDelay = 500, maxDelay = 8000, random = Math.random } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** Math.max(attempt, 0));
+  return Math.round(random() * ceiling);
+}
+
+export async function withRetry(operation, { retries = 2, baseDelay, maxDelay, signal, random } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) {
+        throw err;
+      }
+      await sleep(computeBackoffDelay(attempt, { baseDelay, maxDelay, random }), signal);
+    }
+  }
+}
+
+/**
+ * Tracks consecutive transient failures. After `threshold` of them the circuit opens and
+ * requests are refused until `cooldownMs` has passed; then a single trial request is let
+ * through ("half-open") and its outcome closes or re-opens the circuit.
+ */
+export function createCircuitBreaker({ threshold = 3, cooldownMs = 60000, now = () => Date.now() } = {}) {
+  let failures = 0;
+  let openedUntil = 0;
+  let trialInFlight = false;
+
+  return {
+    get state() {
+      if (!openedUntil) {
+        return 'closed';
+      }
+      return now() < openedUntil ? 'open' : 'half-open';
+    },
+    get retryAt() {
+      return openedUntil || null;
+    },
+    canRequest() {
+      if (!openedUntil) {
+        return true;
+      }
+      if (now() < openedUntil || trialInFlight) {
+        return false;
+      }
+      trialInFlight = true;
+      return true;
+    },
+    recordSuccess() {
+      failures = 0;
+      openedUntil = 0;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      failures += 1;
+      trialInFlight = false;
+      if (failures >= threshold || openedUntil) {
+        openedUntil = now() + cooldownMs;
+      }
+    },
+    release() {
+      trialInFlight = false;
+    }
+  };
+}
+
+export function createCircuitOpenError(provider, retryAt) {
+  const error = new WeatherError(
+    `${provider.label} is paused after repeated failures.`,
+    'circuit-open'
+  );
+  error.retryAt = retryAt;
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+function createAbortError() {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+}
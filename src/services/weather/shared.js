@@ -0,0 +1,132 @@
+/**
+ * Building blocks shared by the weather providers.
+ *
+ * A provider is an object `{ id, label, horizonDays, geocode?, forecast, normalize }`:
+ * `geocode(query, { countryCode, count, signal })` resolves to location candidates,
+ * `forecast(location, range, { signal })` resolves to the provider's raw payload and
+ * `normalize(location, payload, range)` maps that payload onto the app's weather shape
+ * (usually via `buildWeather`). Providers without `geocode` borrow another one's.
+ * Days may carry local `sunrise`/`sunset` times ("06:45"), and a provider that knows the
+ * destination's zone passes `timeZone: { id, abbreviation, utcOffsetSeconds }`.
+ */
+
+import { addDays, toISODate } from '../../utils.js';
+
+/**
+ * Optional per-day metrics a provider may report, with how the days of a trip combine
+ * into one value: gusts (km/h), UV index, relative humidity (%), snowfall (cm) and the
+ * European air quality index.
+ */
+export const DAILY_METRICS = {
+  windGustKph: 'max',
+  uvIndex: 'max',
+  humidity: 'max',
+  snowfallCm: 'sum',
+  airQuality: 'max'
+};
+
+export class WeatherError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'WeatherError';
+    this.code = code;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Fetches JSON, turning failures into `WeatherError`s. Network failures get the code
+ * "network-error" and HTTP failures carry their `status`, so callers can tell transient
+ * problems from permanent ones.
+ */
+export async function fetchJson(url, { signal, headers, message, code }) {
+  let res;
+  try {
+    res = await fetch(url, headers ? { signal, headers } : { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw err;
+    }
+    throw new WeatherError('Weather service unreachable. Check your connection.', 'network-error', err);
+  }
+  if (!res.ok) {
+    const error = new WeatherError(message, code);
+    error.status = res.status;
+    throw error;
+  }
+  return res.json();
+}
+
+/**
+ * Assembles the normalized weather object from per-day values. With trip dates only the
+ * days inside the range count; without them the card describes tomorrow.
+ */
+export function buildWeather(
+  provider,
+  location,
+  range = {},
+  { summary, tempC, windKph, days = [], timeZone = null } = {}
+) {
+  const tomorrow = addDays(toISODate(), 1);
+  const selected = range.startDate
+    ? days.filter(day => !day.date || (day.date >= range.startDate && day.date <= range.endDate))
+    : days.filter(day => day.date === tomorrow).slice(0, 1);
+  const relevant = selected.filter(
+    day => day.minC !== null || day.maxC !== null || day.precipitation !== null
+  );
+  const metrics = Object.fromEntries(
+    Object.entries(DAILY_METRICS).map(([key, method]) => [
+      key,
+      method === 'sum' ? sumDaily(relevant, key) : aggregateDaily(relevant, key, Math.max)
+    ])
+  );
+  return {
+    location,
+    summary: summary || 'Unknown',
+    tempC: Number.isFinite(tempC) ? tempC : null,
+    windKph: Number.isFinite(windKph) ? windKph : null,
+    minC: aggregateDaily(relevant, 'minC', Math.min),
+    maxC: aggregateDaily(relevant, 'maxC', Math.max),
+    // Rain rules compare against per-day thresholds, so `precipitation` is the wettest day;
+    // the stay's total is shown alongside it.
+    precipitation: aggregateDaily(relevant, 'precipitation', Math.max),
+    precipitationTotal: sumDaily(relevant, 'precipitation'),
+    ...metrics,
+    startDate: range.startDate || '',
+    endDate: range.endDate || '',
+    days: range.startDate ? relevant : [],
+    timeZone,
+    sunrise: relevant[0]?.sunrise ?? null,
+    sunset: relevant[0]?.sunset ?? null,
+    provider: provider.id,
+    source: provider.label,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+export function toNumber(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * "2024-03-01T06:45" → "06:45".
+ */
+export function toClockTime(value) {
+  const match = /T(\d{2}:\d{2})/.exec(value ?? '');
+  return match ? match[1] : null;
+}
+
+function aggregateDaily(days, key, reducer) {
+  const values = days.map(day => day[key]).filter(Number.isFinite);
+  return values.length ? reducer(...values) : null;
+}
+
+function sumDaily(days, key) {
+  const values = days.map(day => day[key]).filter(Number.isFinite);
+  if (!values.length) {
+    return null;
+  }
+  return Math.round(values.reduce((total, value) => total + value, 0) * 10) / 10;
+}
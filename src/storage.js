@@ -0,0 +1,368 @@
+/**
+ * Storage module: one key/value store for everything the app persists. IndexedDB is used
+ * where the browser offers it, localStorage otherwise; values are plain JSON data.
+ *
+ * `initStorage()` opens the backend and loads every saved value once at startup, so the
+ * modules that own the data can keep reading synchronously with `readStored`. `writeStored`
+ * and `removeStored` update that copy at once and persist in the background; failures
+ * (most often a full quota) are reported to the listeners registered with `onStorageError`.
+ * Before `initStorage` has run, reads and writes go straight to localStorage.
+ *
+ * Other tabs learn about saved keys through `onStoredChange`: the browser's `storage` event
+ * covers localStorage, and a BroadcastChannel carries IndexedDB writes (and their values,
+ * which keeps each tab's copy current).
+ */
+
+const DATABASE_NAME = 'business-trip-checklist';
+const DATABASE_VERSION = 1;
+const OBJECT_STORE = 'entries';
+const CHANNEL_NAME = 'business-trip-checklist';
+
+export class StorageError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+let backend = null;
+const values = new Map();
+const errorListeners = new Set();
+const changeListeners = new Set();
+let writeQueue = Promise.resolve();
+let channel = null;
+let stopWatching = null;
+
+/**
+ * Backend over `window.localStorage` (or any object with the same methods). It is
+ * synchronous underneath, so it keeps no copy of its own.
+ */
+export function createLocalStorageBackend(store = globalThis.localStorage) {
+  return {
+    name: 'localStorage',
+    cached: false,
+    async entries() {
+      return Object.keys(store).map(key => [key, store.getItem(key)]);
+    },
+    async set(key, value) {
+      store.setItem(key, JSON.stringify(value));
+    },
+    async remove(key) {
+      store.removeItem(key);
+    },
+    readSync(key) {
+      const raw = store.getItem(key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    writeSync(key, value) {
+      store.setItem(key, JSON.stringify(value));
+    },
+    removeSync(key) {
+      store.removeItem(key);
+    }
+  };
+}
+
+/**
+ * Backend over one IndexedDB object store. Resolves once the database is open; rejects
+ * with a `StorageError` when IndexedDB is missing or blocked (private modes often are).
+ */
+export function createIndexedDbBackend({ factory = globalThis.indexedDB, name = DATABASE_NAME } = {}) {
+  if (!factory) {
+    return Promise.reject(new StorageError('IndexedDB is not available.', 'unavailable'));
+  }
+  return new Promise((resolve, reject) => {
+    let request;
+    try {
+      request = factory.open(name, DATABASE_VERSION);
+    } catch (err) {
+      reject(new StorageError('IndexedDB is not available.', 'unavailable', err));
+      return;
+    }
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OBJECT_STORE);
+    };
+    request.onerror = () => reject(new StorageError('IndexedDB could not be opened.', 'unavailable', request.error));
+    request.onblocked = () => reject(new StorageError('IndexedDB is blocked by another tab.', 'unavailable'));
+    request.onsuccess = () => {
+      const db = request.result;
+      const run = (mode, operate) =>
+        new Promise((done, fail) => {
+          const transaction = db.transaction(OBJECT_STORE, mode);
+          const result = operate(transaction.objectStore(OBJECT_STORE));
+          transaction.oncomplete = () => done(result.result);
+          transaction.onerror = () => fail(transaction.error);
+          transaction.onabort = () => fail(transaction.error);
+        });
+      resolve({
+        name: 'IndexedDB',
+        cached: true,
+        async entries() {
+          const [keys, stored] = await Promise.all([
+            run('readonly', store => store.getAllKeys()),
+            run('readonly', store => store.getAll())
+          ]);
+          return keys.map((key, index) => [key, stored[index]]);
+        },
+        set: (key, value) => run('readwrite', store => store.put(value, key)),
+        remove: key => run('readwrite', store => store.delete(key))
+      });
+    };
+  });
+}
+
+/**
+ * Opens the storage backend and loads what it holds. Without an explicit `backend`,
+ * IndexedDB is tried first and localStorage is the fallback. Returns the backend's name.
+ */
+export async function initStorage({ backend: chosen = null } = {}) {
+  let next = chosen;
+  if (!next) {
+    try {
+      next = await createIndexedDbBackend();
+    } catch (err) {
+      console.warn('Falling back to localStorage.', err);
+      next = createLocalStorageBackend();
+    }
+  }
+  values.clear();
+  if (next.cached) {
+    (await next.entries()).forEach(([key, value]) => values.set(key, value));
+  }
+  backend = next;
+  writeQueue = Promise.resolve();
+  watchOtherTabs(next);
+  return backend.name;
+}
+
+export function getStorageBackendName() {
+  return (backend ?? createLocalStorageBackend()).name;
+}
+
+/**
+ * Returns a copy of the value saved under `key`, or `fallback` when there is none. Values
+ * still in localStorage from before IndexedDB was used are moved over on first read.
+ * Throws when a localStorage value is not valid JSON.
+ */
+export function readStored(key, fallback = null) {
+  if (!backend?.cached) {
+    const value = (backend ?? createLocalStorageBackend()).readSync(key);
+    return value === undefined ? fallback : value;
+  }
+  if (!values.has(key)) {
+    const raw = globalThis.localStorage?.getItem(key);
+    if (raw === null || raw === undefined) {
+      return fallback;
+    }
+    const value = JSON.parse(raw);
+    writeStored(key, value).then(saved => {
+      if (saved) {
+        globalThis.localStorage.removeItem(key);
+      }
+    });
+    return copy(value);
+  }
+  return copy(values.get(key));
+}
+
+/**
+ * Saves `value` under `key`. Resolves to `true` once it is persisted and `false` when it
+ * could not be; the failure itself goes to the `onStorageError` listeners.
+ */
+export function writeStored(key, value) {
+  if (!backend?.cached) {
+    try {
+      (backend ?? createLocalStorageBackend()).writeSync(key, value);
+      return Promise.resolve(true);
+    } catch (err) {
+      reportStorageError(toStorageError(err, key));
+      return Promise.resolve(false);
+    }
+  }
+  const stored = copy(value);
+  values.set(key, stored);
+  return enqueue(() => backend.set(key, stored), key).then(saved => {
+    if (saved) {
+      channel?.postMessage({ key, value: stored });
+    }
+    return saved;
+  });
+}
+
+export function removeStored(key) {
+  if (!backend?.cached) {
+    try {
+      (backend ?? createLocalStorageBackend()).removeSync(key);
+    } catch (err) {
+      console.warn(`Unable to remove "${key}" from storage.`, err);
+    }
+    return Promise.resolve(true);
+  }
+  values.delete(key);
+  globalThis.localStorage?.removeItem(key);
+  return enqueue(() => backend.remove(key), key).then(removed => {
+    if (removed) {
+      channel?.postMessage({ key, removed: true });
+    }
+    return removed;
+  });
+}
+
+/**
+ * Calls `listener(key)` whenever another tab saves or removes `key`. By then `readStored`
+ * returns the new value. Returns a function that removes the listener.
+ */
+export function onStoredChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Registers a listener for failed writes; returns a function that removes it.
+ */
+export function onStorageError(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+/**
+ * How much the app stores: `{ backend, usedBytes, quotaBytes }`. The browser's estimate
+ * is used where it exists; otherwise the size of the saved JSON is counted and the quota
+ * is unknown (null).
+ */
+export async function getStorageUsage() {
+  const name = getStorageBackendName();
+  if (name === 'IndexedDB' && typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (Number.isFinite(usage)) {
+        return { backend: name, usedBytes: usage, quotaBytes: Number.isFinite(quota) ? quota : null };
+      }
+    } catch (err) {
+      console.warn('Unable to estimate storage usage.', err);
+    }
+  }
+  let usedBytes = 0;
+  if (backend?.cached) {
+    values.forEach((value, key) => {
+      usedBytes += (key.length + JSON.stringify(value).length) * 2;
+    });
+  } else {
+    const store = globalThis.localStorage;
+    Object.keys(store ?? {}).forEach(key => {
+      // localStorage keeps strings as UTF-16.
+      usedBytes += (key.length + (store.getItem(key) ?? '').length) * 2;
+    });
+  }
+  return { backend: name, usedBytes, quotaBytes: null };
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 1024) {
+    return `${Math.max(0, Math.round(bytes || 0))} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let index = 0;
+  while (value >= 1024 && index < units.length - 1) {
+    value /= 1024;
+    index += 1;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[index]}`;
+}
+
+export function isQuotaError(err) {
+  return (
+    err?.code === 'quota-exceeded' ||
+    err?.name === 'QuotaExceededError' ||
+    err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err?.code === 22 ||
+    err?.code === 1014
+  );
+}
+
+function watchOtherTabs(next) {
+  stopWatching?.();
+  stopWatching = null;
+  if (next.cached) {
+    if (typeof BroadcastChannel === 'undefined') {
+      return;
+    }
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      if (typeof data?.key !== 'string') {
+        return;
+      }
+      if (data.removed) {
+        values.delete(data.key);
+      } else {
+        values.set(data.key, data.value);
+      }
+      notifyChange(data.key);
+    };
+    stopWatching = () => {
+      channel.close();
+      channel = null;
+    };
+    return;
+  }
+  if (typeof window === 'undefined') {
+    return;
+  }
+  // Fired in every other tab of the origin; a null key means the storage was cleared.
+  const onStorage = event => {
+    if (event.key) {
+      notifyChange(event.key);
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  stopWatching = () => window.removeEventListener('storage', onStorage);
+}
+
+function notifyChange(key) {
+  changeListeners.forEach(listener => {
+    try {
+      listener(key);
+    } catch (err) {
+      console.error(err);
+    }
+  });
+}
+
+function enqueue(operation, key) {
+  // Writes run one after another so the last value saved for a key is the one that stays.
+  const result = writeQueue.then(operation).then(
+    () => true,
+    err => {
+      reportStorageError(toStorageError(err, key));
+      return false;
+    }
+  );
+  writeQueue = result;
+  return result;
+}
+
+function toStorageError(err, key) {
+  if (err instanceof StorageError) {
+    return err;
+  }
+  return isQuotaError(err)
+    ? new StorageError('Browser storage is full.', 'quota-exceeded', err)
+    : new StorageError(`Unable to save "${key}".`, 'write-failed', err);
+}
+
+function reportStorageError(error) {
+  if (!errorListeners.size) {
+    console.warn(error.message, error.cause ?? error);
+    return;
+  }
+  errorListeners.forEach(listener => listener(error));
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
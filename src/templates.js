@@ -0,0 +1,293 @@
+/**
+ * Template sharing: saved packing templates written to a JSON file or a link and read back,
+ * so one person or team can hand templates to another. Every incoming item goes through
+ * `normalizeTemplateItems`, the same path a template takes when it is applied.
+ *
+ * File shape: `{ format, version, exportedAt, schemaVersion, templates: [{ name, items, meta }] }`.
+ * A bare template object or a bare list of templates (as hand-written files often are) is
+ * read as well. A link carries one template in the `tpl` query parameter as base64url JSON
+ * with short keys (see `TEMPLATE_SHARE_KEYS`) and its own version.
+ */
+
+import { normalizeBagValue, generateId, slugify, toISODate, base64UrlEncode, base64UrlDecode } from './utils.js';
+import { SCHEMA_VERSIONS, migratePayload } from './schema.js';
+
+export const TEMPLATE_ITEM_LIMIT = 500;
+export const TEMPLATE_FILE_FORMAT = 'business-trip-checklist-templates';
+export const TEMPLATE_FILE_VERSION = 1;
+export const DUPLICATE_NAME_MODES = ['rename', 'replace'];
+export const TEMPLATE_SHARE_PARAM = 'tpl';
+export const TEMPLATE_SHARE_VERSION = 1;
+
+const TEMPLATE_SHARE_KEYS = {
+  version: 'v',
+  name: 'n',
+  items: 'i',
+  item: {
+    label: 'l',
+    group: 'g',
+    bag: 'b',
+    qty: 'q'
+  }
+};
+
+export class TemplateError extends Error {
+  constructor(message, code, problems = [], cause) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = code;
+    this.problems = problems;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The template's usable items: labelled, one per label and bag, bag-less items in
+ * `defaultBag`, at most `TEMPLATE_ITEM_LIMIT` of them.
+ */
+export function normalizeTemplateItems(template, { defaultBag = 'carryOn' } = {}) {
+  if (!template || !Array.isArray(template.items)) {
+    return [];
+  }
+  const map = new Map();
+  const result = [];
+  template.items.forEach(item => {
+    if (!item || !item.label) {
+      return;
+    }
+    const label = item.label.toString().trim();
+    if (!label) {
+      return;
+    }
+    const normalizedBag = normalizeBagValue(item.bag);
+    const key = `${label.toLowerCase()}|${normalizedBag || 'none'}`;
+    if (map.has(key)) {
+      return;
+    }
+    map.set(key, true);
+    result.push({
+      label,
+      group: item.group || 'other',
+      bag: normalizedBag || defaultBag,
+      qty: Number.isFinite(item.qty) ? item.qty : Number.isFinite(item.quantity) ? item.quantity : undefined
+    });
+  });
+  if (result.length > TEMPLATE_ITEM_LIMIT) {
+    result.length = TEMPLATE_ITEM_LIMIT;
+  }
+  return result;
+}
+
+export function createTemplateFile(templates, { now = new Date() } = {}) {
+  return {
+    format: TEMPLATE_FILE_FORMAT,
+    version: TEMPLATE_FILE_VERSION,
+    exportedAt: now.toISOString(),
+    schemaVersion: SCHEMA_VERSIONS.templates,
+    templates: templates.map(template => ({
+      name: template.name,
+      items: template.items.map(item => ({ ...item })),
+      ...(template.meta ? { meta: { ...template.meta } } : {})
+    }))
+  };
+}
+
+export function serializeTemplateFile(file) {
+  return JSON.stringify(file, null, 2);
+}
+
+export function getTemplateFileName(templates, now = new Date()) {
+  const slug = templates.length === 1 ? slugify(templates[0].name) : '';
+  return slug ? `template-${slug}.json` : `trip-checklist-templates-${toISODate(now)}.json`;
+}
+
+/**
+ * Reads a template file's text. Returns `{ templates, problems }`: the templates that can be
+ * imported (with `skipped`, the number of items left out) and one problem per template that
+ * cannot. Throws a `TemplateError` when the file holds no usable template at all.
+ */
+export function parseTemplateFile(text, { defaultBag = 'carryOn' } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new TemplateError('The template file is not valid JSON.', 'parse-error', [], err);
+  }
+  const list = readTemplateList(raw);
+  const problems = [];
+  const templates = list.flatMap((template, index) => {
+    const label = typeof template?.name === 'string' && template.name.trim()
+      ? `template "${template.name.trim()}"`
+      : `template #${index + 1}`;
+    if (!template || typeof template !== 'object') {
+      problems.push(`${label}: must be an object`);
+      return [];
+    }
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+      problems.push(`${label}: "name" is required`);
+      return [];
+    }
+    if (!Array.isArray(template.items)) {
+      problems.push(`${label}: "items" must be a list`);
+      return [];
+    }
+    const items = normalizeTemplateItems(template, { defaultBag });
+    if (!items.length) {
+      problems.push(`${label}: no item has a label`);
+      return [];
+    }
+    return [
+      {
+        name: template.name.trim(),
+        items,
+        meta: template.meta && typeof template.meta === 'object' ? { ...template.meta } : {},
+        skipped: template.items.length - items.length
+      }
+    ];
+  });
+  if (!templates.length) {
+    throw new TemplateError('The file holds no template that can be imported.', 'invalid-templates', problems);
+  }
+  return { templates, problems };
+}
+
+/**
+ * A link that carries `template` (its name and normalized items, nothing else) to whoever
+ * opens it. Items in the default group are written without it to keep the link short.
+ */
+export function serializeTemplateToURL(
+  template,
+  baseUrl = `${window.location.origin}${window.location.pathname}`,
+  { defaultBag = 'carryOn' } = {}
+) {
+  const keys = TEMPLATE_SHARE_KEYS.item;
+  const payload = {
+    [TEMPLATE_SHARE_KEYS.version]: TEMPLATE_SHARE_VERSION,
+    [TEMPLATE_SHARE_KEYS.name]: template.name,
+    [TEMPLATE_SHARE_KEYS.items]: normalizeTemplateItems(template, { defaultBag }).map(item => ({
+      [keys.label]: item.label,
+      [keys.group]: item.group === 'other' ? undefined : item.group,
+      [keys.bag]: item.bag,
+      [keys.qty]: item.qty
+    }))
+  };
+  const url = new URL(baseUrl);
+  url.searchParams.set(TEMPLATE_SHARE_PARAM, base64UrlEncode(JSON.stringify(payload)));
+  return url.toString();
+}
+
+/**
+ * Reads the template a link carries. Returns `{ name, items }`, or null when the link has
+ * none; throws a `TemplateError` when the payload is damaged, empty or from a newer version.
+ */
+export function deserializeTemplateFromURL(search = window.location.search, { defaultBag = 'carryOn' } = {}) {
+  const encoded = new URLSearchParams(search).get(TEMPLATE_SHARE_PARAM);
+  if (!encoded) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encoded));
+  } catch (err) {
+    throw new TemplateError('The template link is damaged.', 'parse-error', [], err);
+  }
+  const version = payload?.[TEMPLATE_SHARE_KEYS.version];
+  if (Number.isInteger(version) && version > TEMPLATE_SHARE_VERSION) {
+    throw new TemplateError('The template link comes from a newer version of the app.', 'future-version');
+  }
+  const name = payload?.[TEMPLATE_SHARE_KEYS.name];
+  const items = payload?.[TEMPLATE_SHARE_KEYS.items];
+  if (typeof name !== 'string' || !name.trim() || !Array.isArray(items)) {
+    throw new TemplateError('The template link is damaged.', 'invalid-templates', ['"name" and "items" are required']);
+  }
+  const keys = TEMPLATE_SHARE_KEYS.item;
+  const expanded = items.map(item => ({
+    label: item?.[keys.label],
+    group: item?.[keys.group],
+    bag: item?.[keys.bag],
+    qty: item?.[keys.qty]
+  }));
+  const normalized = normalizeTemplateItems({ items: expanded }, { defaultBag });
+  if (!normalized.length) {
+    throw new TemplateError('The template link holds no items.', 'invalid-templates', ['no item has a label']);
+  }
+  return { name: name.trim(), items: normalized };
+}
+
+/**
+ * Works out how imported templates join the saved ones. A name already in use (ignoring
+ * case) is either given a free "Name (2)"-style name (`rename`) or replaces the saved
+ * template, which keeps its id (`replace`). Returns `{ templates, added, replaced,
+ * renamed: [{ from, to }] }` with `templates` the full list to save.
+ */
+export function planTemplateImport(incoming, existing, { onDuplicate = 'rename', now = new Date() } = {}) {
+  if (!DUPLICATE_NAME_MODES.includes(onDuplicate)) {
+    throw new TemplateError(`Unknown duplicate handling "${onDuplicate}".`, 'invalid-mode');
+  }
+  const templates = [...existing];
+  const added = [];
+  const replaced = [];
+  const renamed = [];
+  const importedNames = new Set();
+  incoming.forEach(template => {
+    const key = template.name.toLowerCase();
+    const index = templates.findIndex(saved => saved.name.toLowerCase() === key);
+    const entry = {
+      name: template.name,
+      items: template.items,
+      meta: { ...template.meta, importedAtISO: now.toISOString() }
+    };
+    // Two templates of the same name in one file are never merged into one.
+    if (index !== -1 && onDuplicate === 'replace' && !importedNames.has(key)) {
+      templates[index] = { ...entry, id: templates[index].id };
+      replaced.push(template.name);
+    } else if (index !== -1) {
+      const name = makeUniqueTemplateName(template.name, templates);
+      templates.push({ ...entry, id: generateId('tpl'), name });
+      renamed.push({ from: template.name, to: name });
+    } else {
+      templates.push({ ...entry, id: generateId('tpl') });
+      added.push(template.name);
+    }
+    importedNames.add(key);
+  });
+  return { templates, added, replaced, renamed };
+}
+
+export function makeUniqueTemplateName(name, templates) {
+  const taken = new Set(templates.map(template => template.name.toLowerCase()));
+  let counter = 2;
+  while (taken.has(`${name} (${counter})`.toLowerCase())) {
+    counter += 1;
+  }
+  return `${name} (${counter})`;
+}
+
+function readTemplateList(raw) {
+  if (Array.isArray(raw)) {
+    return migratePayload('templates', raw).data.templates;
+  }
+  if (raw && typeof raw === 'object' && Array.isArray(raw.templates)) {
+    if (raw.format && raw.format !== TEMPLATE_FILE_FORMAT) {
+      throw new TemplateError('This file is not a template file.', 'invalid-templates', ['unknown file format']);
+    }
+    if (Number.isInteger(raw.version) && raw.version > TEMPLATE_FILE_VERSION) {
+      throw new TemplateError('The template file comes from a newer version of the app.', 'future-version');
+    }
+    // Without a schema version the list is read like a bare one, the oldest layout.
+    const payload = Number.isInteger(raw.schemaVersion)
+      ? { schemaVersion: raw.schemaVersion, templates: raw.templates }
+      : raw.templates;
+    try {
+      return migratePayload('templates', payload).data.templates;
+    } catch (err) {
+      throw new TemplateError(err.message, err.code ?? 'invalid-templates', [], err);
+    }
+  }
+  if (raw && typeof raw === 'object' && 'items' in raw) {
+    return [raw];
+  }
+  throw new TemplateError('This file is not a template file.', 'invalid-templates', ['no templates found']);
+}
@@ -0,0 +1,411 @@
+/**
+ * Trip library: every planned trip is kept under one storage key with its own checklist
+ * state, and one of them is the active trip the rest of the app reads and writes.
+ *
+ * Stored shape: `{ activeId, trips: [{ id, name, archived, createdAt, updatedAt, state }] }`.
+ * Each tab keeps its own active trip (in `sessionStorage`, so it survives a reload); the
+ * stored `activeId` is the trip last opened in any tab, where a new tab starts.
+ * The single state written by earlier versions is moved into the library on first load, and
+ * every state is upgraded to the current schema version as it is read (see `schema.js`).
+ *
+ * Each save of a trip's state bumps its `revision`, records which tab wrote it (`writer`)
+ * and which revision it was based on (`parent`). Tabs editing the same trip use these to
+ * agree on which of two saves is the newer one and to find what both started from.
+ */
+
+import { generateId, loadAppState, clearAppState, formatDateRange } from './utils.js';
+import { SCHEMA_VERSIONS, migratePayload, stampSchemaVersion } from './schema.js';
+import { readStored, writeStored, onStoredChange } from './storage.js';
+
+const TRIP_LIBRARY_STORAGE_KEY = 'trips.v1';
+const TAB_ACTIVE_TRIP_KEY = 'trips.v1.activeId';
+const MAX_TRIP_NAME_LENGTH = 80;
+const TAB_ID = generateId('tab');
+const REMEMBERED_STATES = 20;
+
+// This tab's active trip and the revision of its state this tab last saw.
+let tabActiveId = readTabActiveId();
+let knownRevision = { revision: 0, writer: '' };
+// States this tab saved or read lately, by trip and revision, to merge other tabs' saves against.
+const recentStates = new Map();
+
+export class TripError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'TripError';
+    this.code = code;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Returns the library, creating it (and migrating the legacy single state) when missing.
+ */
+export function loadTripLibrary() {
+  let library = null;
+  try {
+    library = normalizeLibrary(readStored(TRIP_LIBRARY_STORAGE_KEY));
+  } catch (err) {
+    console.warn('Ignoring an unreadable trip library.', err);
+  }
+  if (library) {
+    if (library.trips.some(trip => trip.id === tabActiveId)) {
+      library.activeId = tabActiveId;
+    }
+    if (library.migrated) {
+      saveTripLibrary(library);
+    }
+    return { activeId: library.activeId, trips: library.trips };
+  }
+  const legacy = loadAppState();
+  const trip = createTripRecord({ name: legacy?.trip?.city || '', state: legacy });
+  library = { activeId: trip.id, trips: [trip] };
+  saveTripLibrary(library);
+  if (legacy) {
+    clearAppState();
+  }
+  return library;
+}
+
+/**
+ * One summary per trip for the library view, most recently changed first.
+ */
+export function listTrips({ includeArchived = false } = {}) {
+  const library = loadTripLibrary();
+  return library.trips
+    .filter(trip => includeArchived || !trip.archived || trip.id === library.activeId)
+    .map(trip => summarizeTrip(trip, trip.id === library.activeId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getActiveTripId() {
+  return loadTripLibrary().activeId;
+}
+
+export function loadActiveTripState() {
+  const library = loadTripLibrary();
+  const trip = findTrip(library, library.activeId);
+  rememberTabActiveId(trip.id);
+  knownRevision = readRevision(trip);
+  rememberState(trip);
+  return trip.state;
+}
+
+/**
+ * Resolves to whether the state was persisted; see `writeStored`.
+ */
+export function saveActiveTripState(state) {
+  const library = loadTripLibrary();
+  const trip = findTrip(library, library.activeId);
+  trip.state = state ? stampSchemaVersion('state', state) : null;
+  trip.updatedAt = new Date().toISOString();
+  trip.parent = knownRevision;
+  trip.revision = Math.max(trip.revision ?? 0, knownRevision.revision) + 1;
+  trip.writer = TAB_ID;
+  knownRevision = readRevision(trip);
+  rememberState(trip);
+  return saveTripLibrary(library);
+}
+
+/**
+ * Calls `listener` when another tab saves the trip library. Trips opened or switched to
+ * there do not change this tab's active trip. The change tells whether this tab's trip was
+ * deleted there (`removed`; the active trip is then the one a new tab would open) or its
+ * state saved anew (`stateChanged`, with `state`, `base`: the state that save started from
+ * when this tab still has it, and `remoteWins`: whether that save is newer than this tab's
+ * last one). Returns a function that removes the listener.
+ */
+export function onTripLibraryChange(listener) {
+  return onStoredChange(key => {
+    if (key !== TRIP_LIBRARY_STORAGE_KEY) {
+      return;
+    }
+    const library = loadTripLibrary();
+    const trip = findTrip(library, library.activeId);
+    const removed = tabActiveId !== null && trip.id !== tabActiveId;
+    const remote = readRevision(trip);
+    // A save older than the one this tab already has would only undo newer changes.
+    const stateChanged =
+      !removed && remote.revision >= knownRevision.revision && compareRevisions(remote, knownRevision) !== 0;
+    const remoteWins = compareRevisions(remote, knownRevision) > 0;
+    const base = stateChanged && trip.parent ? recentStates.get(stateKey(trip.id, trip.parent)) ?? null : null;
+    if (stateChanged) {
+      rememberState(trip);
+      if (remoteWins) {
+        knownRevision = remote;
+      }
+    }
+    listener({ removed, stateChanged, remoteWins, state: trip.state, base });
+  });
+}
+
+/**
+ * Adds a trip and makes it the active one. Without a `state` the checklist starts from the
+ * defaults. Returns the new trip's id.
+ */
+export function createTrip({ name = '', state = null } = {}) {
+  const library = loadTripLibrary();
+  const trip = createTripRecord({ name, state });
+  library.trips.push(trip);
+  library.activeId = trip.id;
+  saveTripLibrary(library);
+  return trip.id;
+}
+
+/**
+ * Copies a trip for planning a similar one: same legs and items, nothing packed yet and no
+ * forecast history. The copy becomes the active trip; returns its id.
+ */
+export function duplicateTrip(id) {
+  const library = loadTripLibrary();
+  const source = findTrip(library, id);
+  const state = source.state ? JSON.parse(JSON.stringify(source.state)) : null;
+  if (state) {
+    state.items = (state.items || []).map(item => ({ ...item, checked: false }));
+    state.forecastHistory = [];
+  }
+  const copy = createTripRecord({ name: `${describeTripName(source)} (copy)`, state });
+  library.trips.push(copy);
+  library.activeId = copy.id;
+  saveTripLibrary(library);
+  return copy.id;
+}
+
+export function renameTrip(id, name) {
+  const trimmed = (name ?? '').toString().trim();
+  if (!trimmed) {
+    throw new TripError('Give the trip a name.', 'invalid-name');
+  }
+  const library = loadTripLibrary();
+  const trip = findTrip(library, id);
+  trip.name = trimmed.slice(0, MAX_TRIP_NAME_LENGTH);
+  trip.updatedAt = new Date().toISOString();
+  saveTripLibrary(library);
+}
+
+/**
+ * Archives (or restores) a trip. Archiving the active trip switches to the most recent
+ * other trip. Returns the id of the active trip afterwards.
+ */
+export function archiveTrip(id, archived = true) {
+  const library = loadTripLibrary();
+  const trip = findTrip(library, id);
+  trip.archived = Boolean(archived);
+  if (trip.archived && library.activeId === id) {
+    library.activeId = pickNextActive(library, id);
+  }
+  saveTripLibrary(library);
+  return library.activeId;
+}
+
+/**
+ * Deletes a trip for good. Deleting the active trip switches to the most recent other trip;
+ * deleting the last one leaves a fresh empty trip. Returns the active trip's id afterwards.
+ */
+export function deleteTrip(id) {
+  const library = loadTripLibrary();
+  findTrip(library, id);
+  library.trips = library.trips.filter(trip => trip.id !== id);
+  if (library.activeId === id) {
+    library.activeId = pickNextActive(library, id);
+  }
+  saveTripLibrary(library);
+  return library.activeId;
+}
+
+export function switchTrip(id) {
+  const library = loadTripLibrary();
+  const trip = findTrip(library, id);
+  library.activeId = trip.id;
+  saveTripLibrary(library);
+  return trip.state;
+}
+
+function rememberState(trip) {
+  const key = stateKey(trip.id, readRevision(trip));
+  recentStates.delete(key);
+  recentStates.set(key, trip.state ? JSON.parse(JSON.stringify(trip.state)) : null);
+  Array.from(recentStates.keys())
+    .slice(0, Math.max(recentStates.size - REMEMBERED_STATES, 0))
+    .forEach(oldest => recentStates.delete(oldest));
+}
+
+function stateKey(id, { revision, writer }) {
+  return `${id}:${revision}:${writer}`;
+}
+
+/**
+ * Puts trips from a backup into the library. "overwrite" replaces the library and makes the
+ * backup's active trip the active one; "merge" adds the trips, replacing those with the same
+ * id. Restored states count as new saves, so open tabs pick them up. Returns the active
+ * trip's id afterwards.
+ */
+export function restoreTrips({ activeId, trips } = {}, mode = 'merge') {
+  const incoming = normalizeLibrary({ activeId, trips });
+  if (!incoming) {
+    throw new TripError('There are no trips to restore.', 'invalid-backup');
+  }
+  const library = loadTripLibrary();
+  const previous = new Map(library.trips.map(trip => [trip.id, trip]));
+  const restored = incoming.trips.map(trip => ({
+    ...trip,
+    revision: Math.max(previous.get(trip.id)?.revision ?? 0, trip.revision ?? 0) + 1,
+    writer: TAB_ID,
+    parent: null
+  }));
+  if (mode === 'overwrite') {
+    library.trips = restored;
+    library.activeId = incoming.activeId;
+  } else {
+    const restoredIds = new Set(restored.map(trip => trip.id));
+    library.trips = [...library.trips.filter(trip => !restoredIds.has(trip.id)), ...restored];
+  }
+  saveTripLibrary(library);
+  return library.activeId;
+}
+
+function readRevision(trip) {
+  return { revision: trip.revision ?? 0, writer: trip.writer ?? '' };
+}
+
+// Orders saves by revision, then by writer so two tabs saving at once still agree.
+function compareRevisions(a, b) {
+  if (a.revision !== b.revision) {
+    return a.revision - b.revision;
+  }
+  return a.writer === b.writer ? 0 : a.writer > b.writer ? 1 : -1;
+}
+
+function pickNextActive(library, excludedId) {
+  const candidates = library.trips
+    .filter(trip => trip.id !== excludedId && !trip.archived)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  if (candidates.length) {
+    return candidates[0].id;
+  }
+  const fresh = createTripRecord();
+  library.trips.push(fresh);
+  return fresh.id;
+}
+
+function findTrip(library, id) {
+  const trip = library.trips.find(candidate => candidate.id === id);
+  if (!trip) {
+    throw new TripError('Trip not found.', 'not-found');
+  }
+  return trip;
+}
+
+function createTripRecord({ name = '', state = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId('trip'),
+    name: normalizeTripName(name),
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+    state: state && typeof state === 'object' ? upgradeState(state).state : null
+  };
+}
+
+function normalizeTripName(name) {
+  return (name ?? '').toString().trim().slice(0, MAX_TRIP_NAME_LENGTH);
+}
+
+/**
+ * Brings a stored checklist state up to the current schema. A state from a newer version
+ * of the app is kept as it is; the checklist reads what it understands.
+ */
+function upgradeState(state) {
+  // The library is read on every render and storage event; upgraded states are saved back,
+  // so from then on there is nothing to do.
+  if (state.schemaVersion === SCHEMA_VERSIONS.state) {
+    return { state, migrated: false };
+  }
+  try {
+    const { data, migrated } = migratePayload('state', state);
+    return { state: data, migrated };
+  } catch (err) {
+    console.warn('Unable to upgrade a saved trip.', err);
+    return { state, migrated: false };
+  }
+}
+
+function summarizeTrip(trip, active) {
+  const state = trip.state ?? {};
+  const items = Array.isArray(state.items) ? state.items : [];
+  const legs = Array.isArray(state.trip?.legs) ? state.trip.legs : [];
+  const destinations = (legs.length ? legs : [state.trip ?? {}]).map(leg => leg.city).filter(Boolean);
+  return {
+    id: trip.id,
+    name: describeTripName(trip),
+    destination: destinations.join(' → '),
+    dates: state.trip?.startDate ? formatDateRange(state.trip.startDate, state.trip.endDate) : '',
+    packed: items.filter(item => item.checked).length,
+    total: items.length,
+    archived: trip.archived,
+    active,
+    updatedAt: trip.updatedAt
+  };
+}
+
+function describeTripName(trip) {
+  return trip.name || trip.state?.trip?.city || 'Untitled trip';
+}
+
+function normalizeLibrary(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.trips)) {
+    return null;
+  }
+  let migrated = false;
+  const trips = raw.trips
+    .filter(trip => trip && typeof trip.id === 'string')
+    .map(trip => ({
+      id: trip.id,
+      name: normalizeTripName(trip.name),
+      archived: Boolean(trip.archived),
+      ...(Number.isInteger(trip.revision)
+        ? { revision: trip.revision, writer: trip.writer ?? '', parent: trip.parent ?? null }
+        : {}),
+      createdAt: trip.createdAt || new Date().toISOString(),
+      updatedAt: trip.updatedAt || trip.createdAt || new Date().toISOString(),
+      state: trip.state && typeof trip.state === 'object' ? trackUpgrade(trip.state) : null
+    }));
+  if (!trips.length) {
+    return null;
+  }
+  const activeId = trips.some(trip => trip.id === raw.activeId) ? raw.activeId : trips[0].id;
+  return { activeId, trips, migrated };
+
+  function trackUpgrade(state) {
+    const result = upgradeState(state);
+    migrated = migrated || result.migrated;
+    return result.state;
+  }
+}
+
+function saveTripLibrary(library) {
+  rememberTabActiveId(library.activeId);
+  return writeStored(TRIP_LIBRARY_STORAGE_KEY, library);
+}
+
+function readTabActiveId() {
+  try {
+    return globalThis.sessionStorage?.getItem(TAB_ACTIVE_TRIP_KEY) ?? null;
+  } catch (err) {
+    console.warn('Unable to read the trip open in this tab.', err);
+    return null;
+  }
+}
+
+function rememberTabActiveId(id) {
+  tabActiveId = id;
+  try {
+    globalThis.sessionStorage?.setItem(TAB_ACTIVE_TRIP_KEY, id);
+  } catch (err) {
+    // Without sessionStorage a reload starts on the trip last opened in any tab.
+    console.warn('Unable to remember the trip open in this tab.', err);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Units module: the metric/imperial display preference and the formatters that honour it.
+ * Forecasts, cached and shared weather and rule thresholds always stay metric; values are
+ * converted only here, at display time, so nothing is ever converted twice.
+ */
+
+import { readStored, writeStored } from './storage.js';
+
+export const UNITS = ['metric', 'imperial'];
+
+const PREFERENCES_STORAGE_KEY = 'preferences.v1';
+
+// `units` is the site default from the configuration; a choice made in the UI wins over it.
+const UNITS_CONFIG = { units: 'metric' };
+let preferredUnits = null;
+
+const numberFormatter = new Intl.NumberFormat(undefined, {
+  maximumFractionDigits: 1,
+  minimumFractionDigits: 0
+});
+
+// Rain in inches needs a second decimal to tell a drizzle from nothing.
+const inchFormatter = new Intl.NumberFormat(undefined, {
+  maximumFractionDigits: 2,
+  minimumFractionDigits: 0
+});
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+
+export function configureUnits({ units } = {}) {
+  if (UNITS.includes(units)) {
+    UNITS_CONFIG.units = units;
+  }
+}
+
+export function getUnits() {
+  return preferredUnits ?? UNITS_CONFIG.units;
+}
+
+/**
+ * The units the user picked, or null while the site default applies.
+ */
+export function getPreferredUnits() {
+  return preferredUnits;
+}
+
+/**
+ * Stores the user's choice. Returns the units now in effect.
+ */
+export function setUnits(units) {
+  if (!UNITS.includes(units)) {
+    return getUnits();
+  }
+  preferredUnits = units;
+  writeStored(PREFERENCES_STORAGE_KEY, { units });
+  return units;
+}
+
+export function loadUnitsPreference() {
+  try {
+    const saved = readStored(PREFERENCES_STORAGE_KEY);
+    preferredUnits = UNITS.includes(saved?.units) ? saved.units : null;
+  } catch (err) {
+    console.warn('Ignoring an unreadable units preference.', err);
+    preferredUnits = null;
+  }
+  return getUnits();
+}
+
+export function formatTemperature(celsius, { units = getUnits() } = {}) {
+  if (!isNumber(celsius)) {
+    return '—';
+  }
+  return units === 'imperial'
+    ? `${numberFormatter.format((celsius * 9) / 5 + 32)}°F`
+    : `${numberFormatter.format(celsius)}°C`;
+}
+
+export function formatPrecipitation(mm, { units = getUnits() } = {}) {
+  if (!isNumber(mm)) {
+    return '—';
+  }
+  return units === 'imperial' ? `${inchFormatter.format(mm / MM_PER_INCH)} in` : `${numberFormatter.format(mm)} mm`;
+}
+
+export function formatSnowfall(cm, { units = getUnits() } = {}) {
+  if (!isNumber(cm)) {
+    return '—';
+  }
+  return units === 'imperial'
+    ? `${numberFormatter.format((cm * 10) / MM_PER_INCH)} in`
+    : `${numberFormatter.format(cm)} cm`;
+}
+
+export function formatWind(kph, { units = getUnits() } = {}) {
+  if (!isNumber(kph)) {
+    return '—';
+  }
+  return units === 'imperial'
+    ? `${numberFormatter.format(kph / KM_PER_MILE)} mph`
+    : `${numberFormatter.format(kph)} km/h`;
+}
+
+export function formatDistance(km, { units = getUnits() } = {}) {
+  if (!isNumber(km)) {
+    return '—';
+  }
+  return units === 'imperial'
+    ? `${numberFormatter.format(Math.round(km / KM_PER_MILE))} mi`
+    : `${numberFormatter.format(Math.round(km))} km`;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
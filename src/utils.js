@@ -2,6 +2,10 @@
  * Shared utility helpers for the Business Trip Checklist application.
  */
 
+import { buildRuleContext, evaluateRules, getActiveRules } from './rules.js';
+import { migratePayload, stampSchemaVersion } from './schema.js';
+import { readStored, writeStored, onStoredChange } from './storage.js';
+
 const STORAGE_KEY = 'business-trip-checklist-state';
 const TEMPLATE_STORAGE_KEY = 'templates.v1';
 
@@ -24,8 +28,24 @@ const SHARE_KEYS = {
     city: 'c',
     country: 'o',
     durationDays: 'd',
+    startDate: 'sd',
+    endDate: 'ed',
     activities: 'a',
-    generatedAt: 'g'
+    legs: 'l',
+    latitude: 'la',
+    longitude: 'lo',
+    generatedAt: 'g',
+    origin: 'or'
+  },
+  leg: {
+    id: 'i',
+    city: 'c',
+    country: 'o',
+    latitude: 'la',
+    longitude: 'lo',
+    startDate: 'sd',
+    endDate: 'ed',
+    activities: 'a'
   },
   item: {
     id: 'i',
@@ -34,7 +54,10 @@ const SHARE_KEYS = {
     checked: 'k',
     source: 's',
     bag: 'b',
-    quantity: 'q'
+    quantity: 'q',
+    legs: 'lg',
+    rule: 'r',
+    worn: 'w'
   },
   weather: {
     summary: 'y',
@@ -56,6 +79,15 @@ export function ce(tag, props = {}) {
   return el;
 }
 
+export function escapeHtml(value) {
+  return `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export function debounce(fn, delay = 500) {
   let timer;
   function debounced(...args) {
@@ -85,61 +117,78 @@ export function formatDateTime(date = new Date()) {
   });
 }
 
+export function toISODate(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+export function parseISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+export function addDays(isoDate, days) {
+  const date = parseISODate(isoDate);
+  if (!date) {
+    return null;
+  }
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+}
+
+export function calculateTripDays(startDate, endDate) {
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate);
+  if (!start || !end || end < start) {
+    return null;
+  }
+  return Math.round((end - start) / 86400000) + 1;
+}
+
+export function formatDateRange(startDate, endDate) {
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate);
+  if (!start) {
+    return '';
+  }
+  const options = { month: 'short', day: 'numeric' };
+  if (!end || end.getTime() === start.getTime()) {
+    return start.toLocaleDateString(undefined, options);
+  }
+  return `${start.toLocaleDateString(undefined, options)} – ${end.toLocaleDateString(undefined, options)}`;
+}
+
 export function mapDurationToItems(days) {
-  const duration = Number.isFinite(days) && days > 0 ? Math.ceil(days) : 1;
-  const socks = `${duration}x Socks`;
-  const shirts = `${Math.max(Math.ceil(duration / 2), 1)}x Casual Shirts`;
-  const outer = duration > 4 ? 'Spare Jacket' : 'Light Sweater';
-  const tech = duration > 3 ? ['Extension Cord'] : [];
-  const clothingItems = [socks, shirts, outer];
-  return [
-    ...clothingItems.map(label => ({ group: 'clothing', label, source: 'duration', bag: 'carryOn' })),
-    ...tech.map(label => ({ group: 'tech', label, source: 'duration', bag: 'carryOn' }))
-  ];
+  const context = buildRuleContext({ trip: { durationDays: days } });
+  return evaluateRules(getActiveRules(), context, { scope: 'trip' }).filter(item => item.source === 'duration');
 }
 
 export function mapWeatherToItems(weather) {
   if (!weather) {
     return [];
   }
-  const precipitation = pickFirstNumber([
-    weather.precipitation,
-    weather.precipitation_sum,
-    weather.rain
-  ]);
-  const minTemp = pickFirstNumber([
-    weather.minC,
-    weather.temperatureMin,
-    weather.low
-  ]);
-  const maxTemp = pickFirstNumber([
-    weather.maxC,
-    weather.temperatureMax,
-    weather.high
-  ]);
-  const items = [];
-  if (typeof precipitation === 'number' && precipitation > 0) {
-    items.push({ group: 'other', label: 'Umbrella', source: 'weather' });
-    items.push({ group: 'clothing', label: 'Raincoat', source: 'weather' });
-  }
-  if (typeof minTemp === 'number' && minTemp < 5) {
-    items.push({ group: 'clothing', label: 'Gloves', source: 'weather' });
-    items.push({ group: 'clothing', label: 'Wool Beanie', source: 'weather' });
-  }
-  if (typeof maxTemp === 'number' && maxTemp > 24) {
-    items.push({ group: 'other', label: 'Sunscreen', source: 'weather' });
-    items.push({ group: 'other', label: 'Sunglasses', source: 'weather' });
-  }
-  return dedupeByLabel(items);
+  const context = buildRuleContext({ weather });
+  return dedupeByLabel(evaluateRules(getActiveRules(), context, { scope: 'weather' }));
 }
 
-function pickFirstNumber(values) {
-  for (const value of values) {
-    if (typeof value === 'number' && Number.isFinite(value)) {
-      return value;
-    }
+/**
+ * Items to wear when leaving or coming home, from the origin's forecast for that day.
+ */
+export function mapTravelWeatherToItems(weather, travelDay = 'departure') {
+  if (!weather) {
+    return [];
   }
-  return undefined;
+  const context = buildRuleContext({ weather, travelDay });
+  return dedupeByLabel(evaluateRules(getActiveRules(), context, { scope: 'travel' }));
 }
 
 function dedupeByLabel(items) {
@@ -227,8 +276,59 @@ function compressTrip(trip = {}) {
     [SHARE_KEYS.trip.city]: trip.city ?? '',
     [SHARE_KEYS.trip.country]: trip.country ?? '',
     [SHARE_KEYS.trip.durationDays]: trip.durationDays ?? 3,
+    [SHARE_KEYS.trip.startDate]: trip.startDate || null,
+    [SHARE_KEYS.trip.endDate]: trip.endDate || null,
     [SHARE_KEYS.trip.activities]: Array.isArray(trip.activities) ? trip.activities : [],
-    [SHARE_KEYS.trip.generatedAt]: trip.generatedAt ?? null
+    [SHARE_KEYS.trip.legs]: Array.isArray(trip.legs) && trip.legs.length > 1 ? trip.legs.map(compressLeg) : undefined,
+    [SHARE_KEYS.trip.latitude]: isFiniteNumber(trip.latitude) ? trip.latitude : undefined,
+    [SHARE_KEYS.trip.longitude]: isFiniteNumber(trip.longitude) ? trip.longitude : undefined,
+    [SHARE_KEYS.trip.generatedAt]: trip.generatedAt ?? null,
+    [SHARE_KEYS.trip.origin]: trip.origin?.city ? compressOrigin(trip.origin) : undefined
+  };
+}
+
+function compressLeg(leg = {}) {
+  return {
+    [SHARE_KEYS.leg.id]: leg.id,
+    [SHARE_KEYS.leg.city]: leg.city ?? '',
+    [SHARE_KEYS.leg.country]: leg.country ?? '',
+    [SHARE_KEYS.leg.latitude]: isFiniteNumber(leg.latitude) ? leg.latitude : undefined,
+    [SHARE_KEYS.leg.longitude]: isFiniteNumber(leg.longitude) ? leg.longitude : undefined,
+    [SHARE_KEYS.leg.startDate]: leg.startDate || null,
+    [SHARE_KEYS.leg.endDate]: leg.endDate || null,
+    [SHARE_KEYS.leg.activities]: Array.isArray(leg.activities) ? leg.activities : []
+  };
+}
+
+function expandLeg(leg = {}) {
+  return {
+    id: leg[SHARE_KEYS.leg.id],
+    city: leg[SHARE_KEYS.leg.city] ?? '',
+    country: leg[SHARE_KEYS.leg.country] ?? '',
+    latitude: nullableNumber(leg[SHARE_KEYS.leg.latitude]) ?? undefined,
+    longitude: nullableNumber(leg[SHARE_KEYS.leg.longitude]) ?? undefined,
+    startDate: leg[SHARE_KEYS.leg.startDate] ?? '',
+    endDate: leg[SHARE_KEYS.leg.endDate] ?? '',
+    activities: Array.isArray(leg[SHARE_KEYS.leg.activities]) ? leg[SHARE_KEYS.leg.activities] : []
+  };
+}
+
+// The origin only needs the place; it shares the leg keys.
+function compressOrigin(origin) {
+  return {
+    [SHARE_KEYS.leg.city]: origin.city,
+    [SHARE_KEYS.leg.country]: origin.country ?? '',
+    [SHARE_KEYS.leg.latitude]: isFiniteNumber(origin.latitude) ? origin.latitude : undefined,
+    [SHARE_KEYS.leg.longitude]: isFiniteNumber(origin.longitude) ? origin.longitude : undefined
+  };
+}
+
+function expandOrigin(origin) {
+  return {
+    city: origin[SHARE_KEYS.leg.city] ?? '',
+    country: origin[SHARE_KEYS.leg.country] ?? '',
+    latitude: nullableNumber(origin[SHARE_KEYS.leg.latitude]),
+    longitude: nullableNumber(origin[SHARE_KEYS.leg.longitude])
   };
 }
 
@@ -240,7 +340,10 @@ function compressItem(item) {
     [SHARE_KEYS.item.checked]: item.checked ? 1 : 0,
     [SHARE_KEYS.item.source]: item.source,
     [SHARE_KEYS.item.bag]: item.bag || null,
-    [SHARE_KEYS.item.quantity]: item.quantity ?? null
+    [SHARE_KEYS.item.quantity]: item.quantity ?? null,
+    [SHARE_KEYS.item.legs]: Array.isArray(item.legs) && item.legs.length ? item.legs : undefined,
+    [SHARE_KEYS.item.rule]: item.rule || undefined,
+    [SHARE_KEYS.item.worn]: item.worn ? 1 : undefined
   };
 }
 
@@ -267,8 +370,18 @@ function expandPayload(payload) {
       city: tripPayload[SHARE_KEYS.trip.city] ?? '',
       country: tripPayload[SHARE_KEYS.trip.country] ?? '',
       durationDays: Number.parseInt(tripPayload[SHARE_KEYS.trip.durationDays] ?? '3', 10) || 3,
+      startDate: parseISODate(tripPayload[SHARE_KEYS.trip.startDate]) ? tripPayload[SHARE_KEYS.trip.startDate] : '',
+      endDate: parseISODate(tripPayload[SHARE_KEYS.trip.endDate]) ? tripPayload[SHARE_KEYS.trip.endDate] : '',
       activities: Array.isArray(tripPayload[SHARE_KEYS.trip.activities]) ? tripPayload[SHARE_KEYS.trip.activities] : [],
-      generatedAt: tripPayload[SHARE_KEYS.trip.generatedAt] ?? null
+      legs: Array.isArray(tripPayload[SHARE_KEYS.trip.legs])
+        ? tripPayload[SHARE_KEYS.trip.legs].map(expandLeg)
+        : undefined,
+      latitude: nullableNumber(tripPayload[SHARE_KEYS.trip.latitude]) ?? undefined,
+      longitude: nullableNumber(tripPayload[SHARE_KEYS.trip.longitude]) ?? undefined,
+      generatedAt: tripPayload[SHARE_KEYS.trip.generatedAt] ?? null,
+      origin: tripPayload[SHARE_KEYS.trip.origin]
+        ? expandOrigin(tripPayload[SHARE_KEYS.trip.origin])
+        : undefined
     },
     items: itemsPayload
       .map(item => ({
@@ -278,7 +391,10 @@ function expandPayload(payload) {
         checked: Boolean(item[SHARE_KEYS.item.checked]),
         source: item[SHARE_KEYS.item.source] ?? 'base',
         bag: item[SHARE_KEYS.item.bag] ?? null,
-        quantity: nullableNumber(item[SHARE_KEYS.item.quantity]) ?? undefined
+        quantity: nullableNumber(item[SHARE_KEYS.item.quantity]) ?? undefined,
+        legs: Array.isArray(item[SHARE_KEYS.item.legs]) ? item[SHARE_KEYS.item.legs] : undefined,
+        rule: item[SHARE_KEYS.item.rule] ?? undefined,
+        worn: item[SHARE_KEYS.item.worn] ? true : undefined
       }))
       .filter(item => item.id && item.label && item.group),
     weather: weatherPayload
@@ -321,11 +437,17 @@ export function base64UrlDecode(str) {
   return decodeURIComponent(escape(window.atob(padded)));
 }
 
-export function pickWeatherCacheKey(city, country) {
+export function pickWeatherCacheKey(city, country, { startDate = '', endDate = '', latitude, longitude } = {}) {
   const base = `${city || ''}`.trim().toLowerCase();
   const nation = `${country || ''}`.trim().toLowerCase();
-  const date = new Date().toISOString().slice(0, 10);
-  return `${base}|${nation}|${date}`;
+  // Without trip dates the forecast is for "tomorrow", so the day it was asked on matters.
+  const range = startDate ? `${startDate}~${endDate || startDate}` : `next:${toISODate()}`;
+  // Pinned coordinates identify the place exactly, so two "Portland"s never share an entry.
+  const place =
+    isFiniteNumber(latitude) && isFiniteNumber(longitude)
+      ? `|@${latitude.toFixed(3)},${longitude.toFixed(3)}`
+      : '';
+  return `${base}|${nation}${place}|${range}`;
 }
 
 export function clamp(value, min, max) {
@@ -429,24 +551,34 @@ export function makeItemKey(label, bag) {
 
 export function loadTemplates() {
   try {
-    const raw = localStorage.getItem(TEMPLATE_STORAGE_KEY);
-    if (!raw) {
+    const stored = readStored(TEMPLATE_STORAGE_KEY);
+    if (!stored) {
       return [];
     }
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
+    const { data } = migratePayload('templates', stored);
+    return Array.isArray(data.templates) ? data.templates : [];
   } catch (err) {
     console.warn('Unable to load templates', err);
     return [];
   }
 }
 
+/**
+ * Resolves to whether the templates were persisted; see `writeStored`.
+ */
 export function saveTemplates(templates) {
-  try {
-    localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates ?? []));
-  } catch (err) {
-    console.warn('Unable to save templates', err);
-  }
+  return writeStored(TEMPLATE_STORAGE_KEY, stampSchemaVersion('templates', { templates: templates ?? [] }));
+}
+
+/**
+ * Calls `listener` when another tab saves the templates; returns a function that stops it.
+ */
+export function onTemplatesChange(listener) {
+  return onStoredChange(key => {
+    if (key === TEMPLATE_STORAGE_KEY) {
+      listener();
+    }
+  });
 }
 
 export function generateId(prefix = 'id') {
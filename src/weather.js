@@ -2,16 +2,77 @@
  * Weather module: handles forecast fetching with caching and UI updates.
  */
 
-import { qs, ce, pickWeatherCacheKey, mapWeatherToItems } from './utils.js';
+import {
+  qs,
+  ce,
+  pickWeatherCacheKey,
+  mapWeatherToItems,
+  mapTravelWeatherToItems,
+  toISODate,
+  addDays,
+  parseISODate,
+  formatDateRange,
+  escapeHtml
+} from './utils.js';
+import {
+  formatTemperature,
+  formatPrecipitation,
+  formatWind,
+  formatSnowfall,
+  formatDistance
+} from './units.js';
+import { readStored, writeStored, removeStored } from './storage.js';
+import { formatPowerFacts } from './services/power.js';
+import { describeTimeZone, formatTimeZoneSummary } from './services/timezone.js';
+import { resolveCountryCode } from './services/countries.js';
+import { DAILY_METRICS, WeatherError } from './services/weather/shared.js';
+import { createOpenMeteoProvider } from './services/weather/open-meteo.js';
+import { createMetNorwayProvider } from './services/weather/met-norway.js';
+import { createFixtureProvider } from './services/weather/fixture.js';
+import { createClimateProvider } from './services/weather/climate.js';
+import {
+  withRetry,
+  isTransientError,
+  computeBackoffDelay,
+  createCircuitBreaker,
+  createCircuitOpenError
+} from './services/weather/resilience.js';
+
+export { WeatherError, isTransientError, computeBackoffDelay };
 
 const WEATHER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const WEATHER_STALE_TTL = 24 * 60 * 60 * 1000; // stale entries are still shown for a day
+const WEATHER_CACHE_STORAGE_KEY = 'weather-cache.v1';
+const WEATHER_CACHE_MAX_ENTRIES = 40;
 const cache = new Map();
-
+const locationCache = new Map();
+const revalidating = new Map();
+let cacheHydrated = false;
+
+const PROVIDER_FACTORIES = new Map([
+  ['open-meteo', createOpenMeteoProvider],
+  ['met-norway', createMetNorwayProvider],
+  ['fixture', createFixtureProvider]
+]);
+
+// Provider options (URLs, fixtures) live alongside the ordered provider list; every
+// factory receives the whole config and picks the keys it understands.
 const WEATHER_CONFIG = {
-  geocodeUrl: 'https://geocoding-api.open-meteo.com/v1/search',
-  forecastUrl: 'https://api.open-meteo.com/v1/forecast'
+  providers: ['open-meteo'],
+  geocodeCount: 5,
+  retries: 2,
+  retryBaseDelay: 500,
+  retryMaxDelay: 4000,
+  breakerThreshold: 3,
+  breakerCooldownMs: 60 * 1000,
+  // Describe trips beyond every provider's horizon with bundled monthly averages.
+  climateFallback: true
 };
 
+let providerChain = null;
+let climateProvider = null;
+const circuitBreakers = new Map();
+
 const numberFormatter = new Intl.NumberFormat(undefined, {
   maximumFractionDigits: 1,
   minimumFractionDigits: 0
@@ -28,35 +89,114 @@ const WEATHER_ICON_MAP = {
   default: '&#9925;' // ⛅
 };
 
+/**
+ * Updates the weather settings. `providers` is the ordered list of provider ids to try;
+ * when one fails the next is asked, so `['met-norway', 'open-meteo']` falls back to
+ * Open-Meteo whenever MET Norway is down or the dates are beyond its horizon.
+ */
 export function configureWeather(options = {}) {
-  Object.assign(WEATHER_CONFIG, options);
+  const providers = options.providers ?? WEATHER_CONFIG.providers;
+  const ids = (Array.isArray(providers) ? providers : [providers]).filter(Boolean);
+  const unknown = ids.filter(id => !PROVIDER_FACTORIES.has(id));
+  if (!ids.length || unknown.length) {
+    throw new WeatherError(
+      unknown.length ? `Unknown weather provider "${unknown[0]}".` : 'At least one weather provider is required.',
+      'config-error'
+    );
+  }
+  Object.assign(WEATHER_CONFIG, options, { providers: ids });
+  providerChain = null;
+  climateProvider = null;
+  circuitBreakers.clear();
 }
 
-export async function fetchWeather(city, { country = '', signal } = {}) {
+/**
+ * Makes another provider selectable through `configureWeather({ providers })`.
+ * `factory(config)` receives the weather config and returns a provider object.
+ */
+export function registerWeatherProvider(id, factory) {
+  PROVIDER_FACTORIES.set(id, factory);
+  providerChain = null;
+}
+
+export function getWeatherProviders() {
+  if (!providerChain) {
+    providerChain = WEATHER_CONFIG.providers.map(id => PROVIDER_FACTORIES.get(id)(WEATHER_CONFIG));
+  }
+  return providerChain;
+}
+
+function getClimateProvider() {
+  if (!climateProvider) {
+    climateProvider = createClimateProvider(WEATHER_CONFIG);
+  }
+  return climateProvider;
+}
+
+/**
+ * Returns the forecast for a city. Fresh cache hits resolve immediately; entries past
+ * their TTL but within the stale window resolve immediately too, flagged `stale: true`,
+ * while a background refresh runs and hands the new forecast to `onRevalidated`.
+ * Trips that start beyond every provider's horizon get climate normals instead, marked
+ * with a `climate` object (`{ label: 'Typical for March', months, station }`).
+ */
+export async function fetchWeather(
+  city,
+  {
+    country = '',
+    startDate = '',
+    endDate = '',
+    latitude = null,
+    longitude = null,
+    signal,
+    onRevalidated
+  } = {}
+) {
   const trimmedCity = (city || '').trim();
   if (!trimmedCity) {
     throw new WeatherError('Please enter a city.', 'empty-city');
   }
-  const cacheKey = pickWeatherCacheKey(trimmedCity, country);
+  const requested = { startDate: parseISODate(startDate) ? startDate : '', endDate };
+  const horizonDays = Math.max(...getWeatherProviders().map(provider => provider.horizonDays));
+  const climate = WEATHER_CONFIG.climateFallback && isBeyondHorizon(startDate, horizonDays);
+  if (!climate) {
+    // Fail fast, before geocoding, when no configured provider can cover the dates.
+    resolveForecastRange(startDate, endDate, horizonDays);
+  }
+  const pinned = Number.isFinite(latitude) && Number.isFinite(longitude);
+  const query = { city: trimmedCity, country, startDate, endDate, latitude, longitude, pinned, climate };
+  const cacheKey = pickWeatherCacheKey(
+    trimmedCity,
+    country,
+    pinned ? { ...requested, latitude, longitude } : requested
+  );
   const now = Date.now();
-  const cached = cache.get(cacheKey);
+  const cached = readCacheEntry(cacheKey);
   if (cached && cached.expiresAt > now) {
     return { ...cached.data, fromCache: true };
   }
+  if (cached && cached.staleUntil > now) {
+    revalidate(cacheKey, query, onRevalidated);
+    return { ...cached.data, fromCache: true, stale: true };
+  }
+  return loadFreshWeather(cacheKey, query, signal);
+}
 
+async function loadFreshWeather(cacheKey, query, signal) {
   const controller = new AbortController();
   if (signal) {
     signal.addEventListener('abort', () => controller.abort(), { once: true });
   }
 
   try {
-    const location = await geocode(trimmedCity, country, controller.signal);
-    const forecast = await getForecast(location, controller.signal);
-    const normalized = normalizeWeather(location, forecast);
-    cache.set(cacheKey, {
-      data: normalized,
-      expiresAt: now + WEATHER_CACHE_TTL
-    });
+    const { city, country, startDate, endDate, latitude, longitude, pinned, climate } = query;
+    const location = pinned
+      ? { name: city, country, countryCode: resolveCountryCode(country) ?? '', latitude, longitude }
+      : (await searchLocations(city, country, { signal: controller.signal }))[0];
+    const normalized = climate
+      ? await loadClimateNormals(location, startDate, endDate)
+      : await forecastWithFallback(location, startDate, endDate, controller.signal);
+    writeCacheEntry(cacheKey, normalized);
     return normalized;
   } catch (err) {
     if (err.name === 'AbortError') {
@@ -69,100 +209,211 @@ export async function fetchWeather(city, { country = '', signal } = {}) {
   }
 }
 
-async function geocode(city, country, signal) {
-  const params = new URLSearchParams({
-    name: country ? `${city},${country}` : city,
-    count: '1'
-  });
-  const res = await fetch(`${WEATHER_CONFIG.geocodeUrl}?${params.toString()}`, {
-    signal
-  });
-  if (!res.ok) {
-    throw new WeatherError('Location lookup failed.', 'geocode-error');
+function revalidate(cacheKey, query, onRevalidated) {
+  if (!revalidating.has(cacheKey)) {
+    const pending = loadFreshWeather(cacheKey, query).finally(() => revalidating.delete(cacheKey));
+    revalidating.set(cacheKey, pending);
   }
-  const json = await res.json();
-  const result = json.results?.[0];
-  if (!result) {
-    throw new WeatherError('Location not found.', 'not-found');
+  revalidating
+    .get(cacheKey)
+    .then(fresh => onRevalidated?.(fresh))
+    .catch(err => console.warn('Background weather refresh failed.', err));
+}
+
+/**
+ * Asks each configured provider in turn and returns the first forecast that succeeds.
+ * If all of them fail, the primary provider's error is reported.
+ */
+async function forecastWithFallback(location, startDate, endDate, signal) {
+  const failures = [];
+  for (const provider of getWeatherProviders()) {
+    try {
+      const range = resolveForecastRange(startDate, endDate, provider.horizonDays);
+      const payload = await callProvider(
+        provider,
+        () => provider.forecast(location, range, { signal }),
+        signal
+      );
+      return provider.normalize(location, payload, range);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw err;
+      }
+      failures.push(err);
+    }
   }
-  return {
-    name: result.name,
-    country: result.country || result.admin1 || '',
-    latitude: result.latitude,
-    longitude: result.longitude
-  };
+  throw failures[0];
 }
 
-async function getForecast(location, signal) {
-  const params = new URLSearchParams({
-    latitude: location.latitude,
-    longitude: location.longitude,
-    current_weather: 'true',
-    daily: 'temperature_2m_min,temperature_2m_max,precipitation_sum',
-    timezone: 'auto'
-  });
-  const res = await fetch(`${WEATHER_CONFIG.forecastUrl}?${params.toString()}`, {
-    signal
-  });
-  if (!res.ok) {
-    throw new WeatherError('Weather service unavailable.', 'forecast-error');
-  }
-  return res.json();
-}
-
-function normalizeWeather(location, payload) {
-  const current = payload.current_weather || {};
-  const tomorrowIndex = 1;
-  const normalized = {
-    location,
-    summary: mapWeatherCodeToSummary(current.weathercode),
-    tempC: isFinite(current.temperature) ? current.temperature : null,
-    windKph: isFinite(current.windspeed) ? current.windspeed : null,
-    minC: extractDaily(payload.daily?.temperature_2m_min, tomorrowIndex),
-    maxC: extractDaily(payload.daily?.temperature_2m_max, tomorrowIndex),
-    precipitation: extractDaily(payload.daily?.precipitation_sum, tomorrowIndex),
-    lastUpdated: new Date().toISOString()
-  };
-  return normalized;
-}
-
-function extractDaily(array, index) {
-  if (!Array.isArray(array) || array.length <= index) {
-    return null;
-  }
-  const value = array[index];
-  return Number.isFinite(value) ? value : null;
-}
-
-const CODE_SUMMARIES = {
-  0: 'Clear',
-  1: 'Mainly clear',
-  2: 'Partly cloudy',
-  3: 'Overcast',
-  45: 'Fog',
-  48: 'Fog',
-  51: 'Drizzle',
-  53: 'Drizzle',
-  55: 'Drizzle',
-  61: 'Rain',
-  63: 'Rain',
-  65: 'Heavy rain',
-  71: 'Snow',
-  73: 'Snow',
-  75: 'Heavy snow',
-  80: 'Rain showers',
-  81: 'Rain showers',
-  82: 'Heavy showers',
-  95: 'Thunderstorm',
-  96: 'Thunderstorm',
-  99: 'Thunderstorm'
-};
+async function loadClimateNormals(location, startDate, endDate) {
+  const provider = getClimateProvider();
+  const range = { startDate, endDate: parseISODate(endDate) && endDate >= startDate ? endDate : startDate };
+  const station = await provider.forecast(location, range);
+  return provider.normalize(location, station, range);
+}
+
+/**
+ * Fetches the forecast for every leg of an itinerary in parallel. Failures are reported
+ * per leg so one unknown city does not hide the weather for the rest of the trip.
+ * Legs without pinned coordinates use the best geocoding match and report the other
+ * `candidates` so the caller can offer a choice.
+ */
+export async function fetchItineraryWeather(legs = [], { signal, onRevalidated } = {}) {
+  return Promise.all(
+    legs.map(async leg => {
+      try {
+        const pinned = Number.isFinite(leg.latitude) && Number.isFinite(leg.longitude);
+        const candidates = pinned ? [] : await searchLocations(leg.city, leg.country, { signal });
+        const place = pinned ? leg : candidates[0];
+        const weather = await fetchWeather(leg.city, {
+          country: leg.country,
+          startDate: leg.startDate,
+          endDate: leg.endDate,
+          latitude: place.latitude,
+          longitude: place.longitude,
+          signal,
+          onRevalidated: onRevalidated ? fresh => onRevalidated(leg, fresh) : undefined
+        });
+        const location = pinned
+          ? weather.location
+          : {
+              ...weather.location,
+              name: place.name,
+              admin1: place.admin1,
+              country: place.country,
+              countryCode: place.countryCode
+            };
+        return { leg, weather: { ...weather, location }, candidates, error: null };
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw err;
+        }
+        const error = err instanceof WeatherError ? err : new WeatherError('Weather unavailable.', 'unknown', err);
+        return { leg, weather: null, candidates: [], error };
+      }
+    })
+  );
+}
+
+/**
+ * Fetches the origin's weather for the departure and return days, one entry per day:
+ * `{ day, date, weather, error }`. Without a start date the departure is tomorrow and
+ * there is no separate return day.
+ */
+export async function fetchTravelDayWeather(origin, { startDate = '', endDate = '', signal, onRevalidated } = {}) {
+  if (!origin?.city) {
+    return [];
+  }
+  const days = [{ day: 'departure', date: parseISODate(startDate) ? startDate : '' }];
+  if (days[0].date && parseISODate(endDate) && endDate !== startDate) {
+    days.push({ day: 'return', date: endDate });
+  }
+  return Promise.all(
+    days.map(async ({ day, date }) => {
+      try {
+        const weather = await fetchWeather(origin.city, {
+          country: origin.country,
+          startDate: date,
+          endDate: date,
+          latitude: origin.latitude,
+          longitude: origin.longitude,
+          signal,
+          onRevalidated
+        });
+        return { day, date, weather, error: null };
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw err;
+        }
+        const error = err instanceof WeatherError ? err : new WeatherError('Weather unavailable.', 'unknown', err);
+        return { day, date, weather: null, error };
+      }
+    })
+  );
+}
 
-function mapWeatherCodeToSummary(code) {
-  if (code === undefined || code === null) {
-    return 'Unknown';
+/**
+ * Looks a city up in the geocoding API and returns up to `geocodeCount` matches, best first.
+ * Each candidate carries the admin region, country and population for disambiguation.
+ * Suggestions while typing pass `{ retries: 0, breaker: false }`: a failed guess is not
+ * retried and does not count toward (or wait on) the geocoder's circuit breaker.
+ */
+export async function searchLocations(city, country = '', { signal, retries, breaker = true } = {}) {
+  const trimmedCity = (city || '').trim();
+  if (!trimmedCity) {
+    throw new WeatherError('Please enter a city.', 'empty-city');
+  }
+  const countryCode = resolveCountryCode(country) ?? '';
+  const cacheKey = `${trimmedCity.toLowerCase()}|${countryCode || (country || '').trim().toLowerCase()}`;
+  const cached = locationCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data.map(candidate => ({ ...candidate }));
+  }
+  const geocoders = getWeatherProviders().filter(provider => typeof provider.geocode === 'function');
+  if (!geocoders.length) {
+    geocoders.push(createOpenMeteoProvider(WEATHER_CONFIG));
+  }
+  const failures = [];
+  for (const geocoder of geocoders) {
+    try {
+      const candidates = await callProvider(
+        geocoder,
+        () =>
+          geocoder.geocode(trimmedCity, {
+            country,
+            countryCode,
+            count: WEATHER_CONFIG.geocodeCount,
+            signal
+          }),
+        signal,
+        { retries, breaker }
+      );
+      locationCache.set(cacheKey, { data: candidates, expiresAt: Date.now() + WEATHER_CACHE_TTL });
+      return candidates.map(candidate => ({ ...candidate }));
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw err;
+      }
+      failures.push(err);
+    }
+  }
+  // Offline, the cities with bundled climate normals still resolve.
+  if (WEATHER_CONFIG.climateFallback && failures.every(isTransientError)) {
+    const offline = await getClimateProvider()
+      .geocode(trimmedCity, { countryCode, count: WEATHER_CONFIG.geocodeCount })
+      .catch(() => null);
+    if (offline) {
+      return offline;
+    }
   }
-  return CODE_SUMMARIES[code] || 'Mixed weather';
+  throw failures[0];
+}
+
+function isBeyondHorizon(startDate, horizonDays) {
+  return Boolean(parseISODate(startDate)) && startDate > addDays(toISODate(), horizonDays - 1);
+}
+
+/**
+ * Clamps the requested trip dates to the window the forecast API can serve.
+ * Returns an empty range when no dates are given so callers fall back to "tomorrow".
+ */
+function resolveForecastRange(startDate, endDate, horizonDays) {
+  if (!parseISODate(startDate)) {
+    return { startDate: '', endDate: '' };
+  }
+  const end = parseISODate(endDate) && endDate >= startDate ? endDate : startDate;
+  const today = toISODate();
+  const horizon = addDays(today, horizonDays - 1);
+  if (startDate > horizon) {
+    throw new WeatherError('Trip dates are beyond the forecast range.', 'out-of-range');
+  }
+  if (end < today) {
+    throw new WeatherError('Trip dates are in the past.', 'out-of-range');
+  }
+  return {
+    startDate: startDate < today ? today : startDate,
+    endDate: end > horizon ? horizon : end
+  };
 }
 
 function classifyWeatherTheme(summary = '') {
@@ -189,27 +440,6 @@ function pickWeatherIcon(theme) {
   return WEATHER_ICON_MAP[theme] || WEATHER_ICON_MAP.default;
 }
 
-function formatTemperature(value) {
-  if (value === null || value === undefined) {
-    return '—';
-  }
-  return `${numberFormatter.format(value)}°C`;
-}
-
-function formatPrecipitation(value) {
-  if (value === null || value === undefined) {
-    return '—';
-  }
-  return `${numberFormatter.format(value)} mm`;
-}
-
-function formatWind(value) {
-  if (value === null || value === undefined) {
-    return '—';
-  }
-  return `${numberFormatter.format(value)} km/h`;
-}
-
 function formatUpdatedTime(timestamp) {
   if (!timestamp) {
     return '';
@@ -229,7 +459,17 @@ function calculatePrecipProgress(value) {
   return Math.round(ratio * 100);
 }
 
-export function renderWeatherStatus({ status, data, error, onRetry } = {}) {
+export function renderWeatherStatus({
+  status,
+  data,
+  legs,
+  travel = [],
+  items = [],
+  power = [],
+  error,
+  onRetry,
+  nextAttemptAt = null
+} = {}) {
   const output = qs('#weatherOutput');
   if (!output) {
     return;
@@ -242,10 +482,16 @@ export function renderWeatherStatus({ status, data, error, onRetry } = {}) {
       output.textContent = 'Loading weather…';
       output.classList.add('weather-loading');
       break;
-    case 'success':
+    case 'success': {
       output.classList.add('weather-success');
-      output.innerHTML = renderWeatherHtml(data);
+      // Worn items are explained with the travel day that asks for them.
+      const packed = items.filter(item => !item.worn);
+      output.innerHTML =
+        (Array.isArray(legs) && legs.length > 1
+          ? renderItineraryHtml(legs, packed, power)
+          : renderWeatherHtml(data, packed, power[0])) + renderTravelDaysHtml(travel);
       break;
+    }
     case 'error': {
       output.classList.add('weather-error');
       const message = ce('div', { textContent: error?.message || 'Weather unavailable.' });
@@ -259,6 +505,11 @@ export function renderWeatherStatus({ status, data, error, onRetry } = {}) {
         button.addEventListener('click', onRetry, { once: true });
         output.append(button);
       }
+      if (nextAttemptAt) {
+        output.append(
+          ce('p', { className: 'weather-retry-note', textContent: formatNextAttempt(nextAttemptAt) })
+        );
+      }
       break;
     }
     default:
@@ -266,7 +517,125 @@ export function renderWeatherStatus({ status, data, error, onRetry } = {}) {
   }
 }
 
-function renderWeatherHtml(weather) {
+/**
+ * "Forecast changed: +Umbrella, −Sunglasses" for a `diffWeatherItems` result, or '' when
+ * nothing would change.
+ */
+export function formatForecastChange({ added = [], removed = [] } = {}) {
+  const changes = [...added.map(item => `+${item.label}`), ...removed.map(item => `−${item.label}`)];
+  return changes.length ? `Forecast changed: ${changes.join(', ')}` : '';
+}
+
+/**
+ * Shows (or, with no change, hides) the notice asking whether to apply a changed forecast
+ * to the checklist.
+ */
+export function renderForecastChangeNotice(change, { onAccept, onDismiss } = {}) {
+  const notice = qs('#forecastChangeNotice');
+  if (!notice) {
+    return;
+  }
+  const message = change ? formatForecastChange(change) : '';
+  notice.replaceChildren();
+  notice.hidden = !message;
+  if (!message) {
+    return;
+  }
+  const accept = ce('button', { type: 'button', className: 'btn btn-small', textContent: 'Update checklist' });
+  const dismiss = ce('button', { type: 'button', className: 'btn btn-small btn-outline', textContent: 'Keep as is' });
+  accept.addEventListener('click', () => onAccept?.(), { once: true });
+  dismiss.addEventListener('click', () => onDismiss?.(), { once: true });
+  const actions = ce('div', { className: 'forecast-change__actions' });
+  actions.append(accept, dismiss);
+  notice.append(ce('p', { className: 'forecast-change__message', textContent: message }), actions);
+}
+
+function formatNextAttempt(timestamp) {
+  const seconds = Math.max(1, Math.round((timestamp - Date.now()) / 1000));
+  const time = new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const relative = seconds < 90 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+  return `Trying again automatically at ${time} (in about ${relative}).`;
+}
+
+function renderItineraryHtml(legs, items, power = []) {
+  return legs
+    .map(({ leg, weather, error }, index) => {
+      const dates = leg.startDate ? ` · ${formatDateRange(leg.startDate, leg.endDate)}` : '';
+      const heading = `<h3 class="weather-leg__title">Leg ${index + 1}${dates}</h3>`;
+      const body = weather
+        ? renderWeatherHtml(
+            weather,
+            items.filter(item => (item.legs || []).includes(leg.id)),
+            power.find(entry => entry.legId === leg.id)
+          )
+        : `<p class="weather-leg__error">${escapeHtml(leg.city || 'Destination')}: ${escapeHtml(error?.message || 'Weather unavailable.')}</p>`;
+      return `<section class="weather-leg">${heading}${body}</section>`;
+    })
+    .join('');
+}
+
+function renderTravelDaysHtml(travel = []) {
+  if (!Array.isArray(travel) || !travel.length) {
+    return '';
+  }
+  const rows = travel
+    .map(({ day, date, weather, error, wear = [] }) => {
+      const place = escapeHtml(weather?.location?.name || 'home');
+      const title = `${day === 'return' ? `Return to ${place}` : `Leaving ${place}`}${
+        date ? ` · ${formatDateRange(date)}` : ''
+      }`;
+      const body = weather
+        ? `<span class="weather-travel__range">${formatTemperature(weather.minC)} / ${formatTemperature(
+            weather.maxC
+          )} · ${formatPrecipitation(weather.precipitation)} · ${escapeHtml(weather.summary || '—')}</span>
+          ${
+            wear.length
+              ? `<span class="weather-travel__wear">Wear: ${wear.map(label => escapeHtml(label)).join(', ')}</span>`
+              : ''
+          }`
+        : `<span class="weather-leg__error">${escapeHtml(error?.message || 'Weather unavailable.')}</span>`;
+      return `<li class="weather-travel__day"><strong>${title}</strong>${body}</li>`;
+    })
+    .join('');
+  return `
+    <section class="weather-travel" aria-label="Travel day weather at home">
+      <h3 class="weather-leg__title">Travel days</h3>
+      <ul class="weather-travel__list">${rows}</ul>
+    </section>`;
+}
+
+function renderReasonsHtml(items) {
+  if (!Array.isArray(items) || !items.length) {
+    return '';
+  }
+  const labels = items.map(item => escapeHtml(item.label)).join(', ');
+  return `<p class="weather-card__reasons">Packing for this forecast: ${labels}</p>`;
+}
+
+function renderPowerHtml(power) {
+  if (!power) {
+    return '';
+  }
+  const adapter = power.adapterLabel
+    ? `<span class="weather-card__power-adapter">Pack a ${escapeHtml(power.adapterLabel)}</span>`
+    : '';
+  const warnings = power.warnings
+    .map(warning => `<p class="weather-card__power-warning" role="note">&#9888; ${escapeHtml(warning)}</p>`)
+    .join('');
+  return `
+    <div class="weather-card__power">
+      <span class="weather-card__power-label">Power</span>
+      <span class="weather-card__power-facts">${escapeHtml(formatPowerFacts(power))}</span>
+      ${adapter}
+      ${warnings}
+    </div>`;
+}
+
+function renderWeatherHtml(weather, items = [], power = null) {
   if (!weather) {
     return '<p>No weather data.</p>';
   }
@@ -280,41 +649,60 @@ function renderWeatherHtml(weather) {
   const currentTemp = formatTemperature(weather.tempC);
   const minTemp = formatTemperature(weather.minC);
   const maxTemp = formatTemperature(weather.maxC);
-  const precipitationValue = formatPrecipitation(weather.precipitation);
+  const precipitationValue = formatPrecipitation(weather.precipitationTotal ?? weather.precipitation);
   const windValue = formatWind(weather.windKph);
-  const updatedTime = formatUpdatedTime(weather.lastUpdated);
+  const climate = weather.climate ?? null;
+  const updatedTime = climate ? '' : formatUpdatedTime(weather.lastUpdated);
   const precipitationProgress = calculatePrecipProgress(weather.precipitation);
+  const rangeLabel = weather.startDate ? formatDateRange(weather.startDate, weather.endDate) : 'Tomorrow';
+  // Climate normals repeat one value per month, so a day-by-day list adds nothing.
+  const daysMarkup = climate ? '' : renderDailyHtml(weather.days);
 
   return `
     <article class="weather-card weather-card--${theme}">
       <header class="weather-card__header">
         <div class="weather-card__titles">
-          <span class="weather-card__city">${locationName}</span>
-          ${country ? `<span class="weather-card__country">${country}</span>` : ''}
+          <span class="weather-card__city">${escapeHtml(locationName)}</span>
+          ${country ? `<span class="weather-card__country">${escapeHtml(country)}</span>` : ''}
         </div>
-        <div class="weather-card__icon" role="img" aria-label="${summary}">
+        <div class="weather-card__icon" role="img" aria-label="${escapeHtml(summary)}">
           <span aria-hidden="true">${iconMarkup}</span>
         </div>
       </header>
       <div class="weather-card__body">
         <div class="weather-card__current">
           <span class="weather-card__temp">${currentTemp}</span>
-          <span class="weather-card__condition">${summary}</span>
+          <span class="weather-card__condition">${escapeHtml(summary)}</span>
           ${updatedTime ? `<span class="weather-card__updated">Updated ${updatedTime}</span>` : ''}
+          ${weather.source ? `<span class="weather-card__source">Data: ${escapeHtml(weather.source)}</span>` : ''}
+          ${
+            weather.stale
+              ? '<span class="weather-card__stale" title="Showing a saved forecast while a newer one loads">Saved forecast · refreshing</span>'
+              : ''
+          }
+          ${climate ? renderClimateNoteHtml(climate) : ''}
         </div>
         <dl class="weather-card__metrics">
           <div class="weather-card__metric">
-            <dt>Tomorrow</dt>
+            <dt>${rangeLabel}</dt>
             <dd>
               <span class="weather-chip weather-chip--low">${minTemp}</span>
               <span class="weather-chip weather-chip--high">${maxTemp}</span>
             </dd>
           </div>
-          <div class="weather-card__metric">
+          ${
+            climate
+              ? ''
+              : `<div class="weather-card__metric">
             <dt>Wind</dt>
             <dd>${windValue}</dd>
-          </div>
+          </div>`
+          }
+          ${renderExtraMetricsHtml(weather)}
         </dl>
+        ${renderClockHtml(weather)}
+        ${daysMarkup}
+        ${renderPowerHtml(power)}
       </div>
       <footer class="weather-card__footer">
         <div class="weather-card__precip">
@@ -326,30 +714,294 @@ function renderWeatherHtml(weather) {
             <span class="weather-card__precip-fill" style="width: ${precipitationProgress}%;"></span>
           </div>
         </div>
+        ${renderReasonsHtml(items)}
       </footer>
     </article>
   `.trim();
 }
 
-export function extractWeatherChecklistItems(weather) {
-  return mapWeatherToItems({
+const UV_BANDS = [
+  [11, 'extreme'],
+  [8, 'very high'],
+  [6, 'high'],
+  [3, 'moderate'],
+  [0, 'low']
+];
+
+// European air quality index bands.
+const AIR_QUALITY_BANDS = [
+  [100, 'extremely poor'],
+  [80, 'very poor'],
+  [60, 'poor'],
+  [40, 'moderate'],
+  [20, 'fair'],
+  [0, 'good']
+];
+
+function describeBand(value, bands) {
+  return bands.find(([floor]) => value >= floor)?.[1] ?? '';
+}
+
+/**
+ * Gusts, UV, humidity, snowfall and air quality, for whichever of them the provider reported.
+ */
+function renderExtraMetricsHtml(weather) {
+  const format = value => numberFormatter.format(value);
+  const metrics = [
+    ['Gusts', weather.windGustKph, value => formatWind(value)],
+    ['UV index', weather.uvIndex, value => `${format(value)} (${describeBand(value, UV_BANDS)})`],
+    ['Humidity', weather.humidity, value => `${format(value)}%`],
+    ['Snowfall', weather.snowfallCm, value => formatSnowfall(value)],
+    ['Air quality', weather.airQuality, value => `${format(value)} (${describeBand(value, AIR_QUALITY_BANDS)})`]
+  ];
+  return metrics
+    .filter(([, value]) => Number.isFinite(value))
+    .map(
+      ([label, value, render]) => `
+          <div class="weather-card__metric">
+            <dt>${label}</dt>
+            <dd>${render(value)}</dd>
+          </div>`
+    )
+    .join('');
+}
+
+/**
+ * Destination local time and offset from the traveller's zone, plus sunrise and sunset
+ * for the first day shown. The time is as of rendering; the next refresh updates it.
+ */
+function renderClockHtml(weather) {
+  const zone = describeTimeZone(weather.timeZone);
+  const sun = [
+    weather.sunrise ? `Sunrise ${escapeHtml(weather.sunrise)}` : '',
+    weather.sunset ? `Sunset ${escapeHtml(weather.sunset)}` : ''
+  ].filter(Boolean);
+  if (!zone && !sun.length) {
+    return '';
+  }
+  return `
+        <div class="weather-card__clock">
+          ${
+            zone
+              ? `<span class="weather-card__local-time">Local time <strong>${escapeHtml(zone.localTime)}</strong></span>
+          <span class="weather-card__zone">${escapeHtml(formatTimeZoneSummary(zone))}</span>`
+              : ''
+          }
+          ${sun.length ? `<span class="weather-card__sun">${sun.join(' · ')}</span>` : ''}
+        </div>`;
+}
+
+function renderClimateNoteHtml(climate) {
+  const station = climate.distanceKm
+    ? `${climate.station} (${formatDistance(climate.distanceKm)} away)`
+    : climate.station;
+  return `
+    <span class="weather-card__climate" title="Monthly averages for ${escapeHtml(station)}">
+      Climate average · not a forecast
+    </span>`;
+}
+
+function renderDailyHtml(days) {
+  if (!Array.isArray(days) || days.length < 2) {
+    return '';
+  }
+  const rows = days
+    .map(day => {
+      const label = formatDateRange(day.date) || day.date || '—';
+      return `
+        <li class="weather-card__day">
+          <span class="weather-card__day-date">${label}</span>
+          <span class="weather-card__day-temps">${formatTemperature(day.minC)} / ${formatTemperature(day.maxC)}</span>
+          <span class="weather-card__day-precip">${formatPrecipitation(day.precipitation)}</span>
+        </li>`;
+    })
+    .join('');
+  return `<ol class="weather-card__days" aria-label="Daily forecast">${rows}</ol>`;
+}
+
+export function extractWeatherChecklistItems(weather, { legId } = {}) {
+  const items = mapWeatherToItems({
     minC: weather?.minC,
     maxC: weather?.maxC,
-    precipitation: weather?.precipitation
+    precipitation: weather?.precipitation,
+    ...Object.fromEntries(Object.keys(DAILY_METRICS).map(key => [key, weather?.[key]]))
   });
+  return legId ? items.map(item => ({ ...item, legs: [legId] })) : items;
 }
 
-export function clearWeatherCache() {
-  cache.clear();
+/**
+ * Items to wear on a travel day, from the origin's forecast for that day.
+ */
+export function extractTravelDayItems(weather, day = 'departure') {
+  if (!weather) {
+    return [];
+  }
+  return mapTravelWeatherToItems(
+    {
+      minC: weather?.minC,
+      maxC: weather?.maxC,
+      precipitation: weather?.precipitation,
+      ...Object.fromEntries(Object.keys(DAILY_METRICS).map(key => [key, weather?.[key]]))
+    },
+    day
+  );
 }
 
-export class WeatherError extends Error {
-  constructor(message, code, cause) {
-    super(message);
-    this.name = 'WeatherError';
-    this.code = code;
-    if (cause) {
-      this.cause = cause;
+/**
+ * Runs one provider request with retries for transient failures, guarded by the
+ * provider's circuit breaker so a service that keeps failing is left alone for a while.
+ * With `breaker: false` the request bypasses the breaker and leaves its count alone.
+ */
+async function callProvider(provider, operation, signal, { retries, breaker: guarded = true } = {}) {
+  const attempt = () =>
+    withRetry(operation, {
+      retries: retries ?? WEATHER_CONFIG.retries,
+      baseDelay: WEATHER_CONFIG.retryBaseDelay,
+      maxDelay: WEATHER_CONFIG.retryMaxDelay,
+      signal
+    });
+  if (!guarded) {
+    return attempt();
+  }
+  const breaker = getCircuitBreaker(provider.id);
+  if (!breaker.canRequest()) {
+    throw createCircuitOpenError(provider, breaker.retryAt);
+  }
+  try {
+    const result = await attempt();
+    breaker.recordSuccess();
+    return result;
+  } catch (err) {
+    if (isTransientError(err)) {
+      breaker.recordFailure();
+    } else if (err.name === 'AbortError') {
+      breaker.release();
+    } else {
+      // The service answered (e.g. "not found"), so it is healthy.
+      breaker.recordSuccess();
     }
+    throw err;
   }
 }
+
+function getCircuitBreaker(id) {
+  if (!circuitBreakers.has(id)) {
+    circuitBreakers.set(
+      id,
+      createCircuitBreaker({
+        threshold: WEATHER_CONFIG.breakerThreshold,
+        cooldownMs: WEATHER_CONFIG.breakerCooldownMs
+      })
+    );
+  }
+  return circuitBreakers.get(id);
+}
+
+/**
+ * Reports each provider's circuit state ("closed", "open" or "half-open").
+ */
+export function getWeatherCircuitStates() {
+  return getWeatherProviders().map(provider => {
+    const breaker = getCircuitBreaker(provider.id);
+    return { provider: provider.id, state: breaker.state, retryAt: breaker.retryAt };
+  });
+}
+
+export function resetWeatherCircuits() {
+  circuitBreakers.clear();
+}
+
+/**
+ * Lists the cached forecasts, newest first, for display in the cache panel.
+ */
+export function inspectWeatherCache() {
+  hydrateCache();
+  const now = Date.now();
+  return Array.from(cache.entries())
+    .reverse()
+    .map(([key, entry]) => ({
+      key,
+      location: entry.data.location?.name ?? '',
+      country: entry.data.location?.country ?? '',
+      startDate: entry.data.startDate ?? '',
+      endDate: entry.data.endDate ?? '',
+      provider: entry.data.provider ?? '',
+      storedAt: entry.storedAt,
+      expiresAt: entry.expiresAt,
+      staleUntil: entry.staleUntil,
+      stale: entry.expiresAt <= now
+    }))
+    .sort((a, b) => b.storedAt - a.storedAt);
+}
+
+export function removeWeatherCacheEntry(key) {
+  hydrateCache();
+  const removed = cache.delete(key);
+  persistCache();
+  return removed;
+}
+
+/**
+ * Empties the forecast and location caches. With `persistent: false` only the in-memory
+ * copy is dropped, so the next lookup reloads what was saved (as after a page reload).
+ */
+export function clearWeatherCache({ persistent = true } = {}) {
+  cache.clear();
+  locationCache.clear();
+  revalidating.clear();
+  cacheHydrated = false;
+  if (persistent) {
+    removeStored(WEATHER_CACHE_STORAGE_KEY);
+  }
+}
+
+function readCacheEntry(key) {
+  hydrateCache();
+  return cache.get(key) ?? null;
+}
+
+function writeCacheEntry(key, data) {
+  hydrateCache();
+  const now = Date.now();
+  cache.delete(key);
+  cache.set(key, {
+    data,
+    storedAt: now,
+    expiresAt: now + WEATHER_CACHE_TTL,
+    staleUntil: now + WEATHER_STALE_TTL
+  });
+  persistCache();
+}
+
+function hydrateCache() {
+  if (cacheHydrated) {
+    return;
+  }
+  cacheHydrated = true;
+  try {
+    const saved = readStored(WEATHER_CACHE_STORAGE_KEY, []);
+    const now = Date.now();
+    (Array.isArray(saved) ? saved : []).forEach(([key, entry]) => {
+      if (typeof key === 'string' && entry?.data && entry.staleUntil > now && !cache.has(key)) {
+        cache.set(key, entry);
+      }
+    });
+  } catch (err) {
+    console.warn('Ignoring unreadable saved forecasts.', err);
+  }
+}
+
+function persistCache() {
+  const now = Date.now();
+  Array.from(cache.entries()).forEach(([key, entry]) => {
+    if (entry.staleUntil <= now) {
+      cache.delete(key);
+    }
+  });
+  // Map order is insertion order and writes re-insert, so the oldest entries go first.
+  const overflow = cache.size - WEATHER_CACHE_MAX_ENTRIES;
+  Array.from(cache.keys())
+    .slice(0, Math.max(overflow, 0))
+    .forEach(key => cache.delete(key));
+  writeStored(WEATHER_CACHE_STORAGE_KEY, Array.from(cache.entries()));
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { attachAutocomplete } from '../src/autocomplete.js';
+import { countryFlag } from '../src/services/countries.js';
+
+const cities = [
+  { name: 'Frankfurt am Main', countryCode: 'DE' },
+  { name: 'Frankfort', countryCode: 'US' }
+];
+
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('input'));
+}
+
+function press(input, key) {
+  input.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('autocomplete combobox', () => {
+  let input;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '<label for="city">City</label><input id="city" />';
+    input = document.getElementById('city');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('exposes ARIA 1.2 combobox state and picks with the keyboard', async () => {
+    const onSelect = vi.fn();
+    attachAutocomplete(input, {
+      search: async () => cities,
+      describe: city => ({ label: city.name, icon: countryFlag(city.countryCode) }),
+      onSelect
+    });
+    input.focus();
+    const listbox = document.getElementById(input.getAttribute('aria-controls'));
+    expect(input.getAttribute('role')).toBe('combobox');
+    expect(listbox.getAttribute('role')).toBe('listbox');
+
+    type(input, 'Fra');
+    await vi.runAllTimersAsync();
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+    expect(listbox.querySelectorAll('[role="option"]')).toHaveLength(2);
+    expect(listbox.textContent).toContain('🇩🇪');
+
+    press(input, 'ArrowDown');
+    press(input, 'ArrowDown');
+    const active = document.getElementById(input.getAttribute('aria-activedescendant'));
+    expect(active.getAttribute('aria-selected')).toBe('true');
+    expect(active.textContent).toContain('Frankfort');
+
+    press(input, 'Enter');
+    expect(onSelect).toHaveBeenCalledWith(cities[1]);
+    expect(input.getAttribute('aria-expanded')).toBe('false');
+    expect(listbox.hidden).toBe(true);
+  });
+
+  it('aborts stale searches when the query changes', async () => {
+    const signals = [];
+    attachAutocomplete(input, {
+      search: (query, { signal }) => {
+        signals.push(signal);
+        return new Promise(resolve => setTimeout(() => resolve(query === 'Portl' ? cities : []), 1000));
+      },
+      describe: city => ({ label: city.name })
+    });
+    input.focus();
+
+    type(input, 'Port');
+    await vi.advanceTimersByTimeAsync(300);
+    type(input, 'Portl');
+    await vi.runAllTimersAsync();
+    expect(signals).toHaveLength(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+  });
+});
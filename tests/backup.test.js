@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BackupError,
+  createBackup,
+  serializeBackup,
+  getBackupFileName,
+  parseBackup,
+  previewRestore,
+  restoreBackup
+} from '../src/backup.js';
+import { createTrip, getActiveTripId, listTrips, loadActiveTripState, saveActiveTripState } from '../src/trips.js';
+import { loadTemplates, saveTemplates } from '../src/utils.js';
+import { getActiveRules, loadSavedRuleSets, resetRuleSets, saveRuleSets, useRuleSets } from '../src/rules.js';
+import { getPreferredUnits, loadUnitsPreference, setUnits } from '../src/units.js';
+
+const lyonState = {
+  trip: { city: 'Lyon', startDate: '2030-02-03', endDate: '2030-02-05' },
+  items: [{ id: 'a', label: 'Passport', group: 'documents', checked: true, bag: 'personal' }]
+};
+const conferenceTemplate = { id: 'tpl-conf', name: 'Conference', items: [{ label: 'Badge', group: 'documents', bag: 'work' }] };
+const ruleSet = {
+  id: 'team',
+  version: 1,
+  rules: [{ id: 'team.badge', scope: 'trip', add: [{ label: 'Team badge', group: 'documents' }] }]
+};
+
+function takeBackup() {
+  saveActiveTripState(lyonState);
+  saveTemplates([conferenceTemplate]);
+  saveRuleSets([ruleSet]);
+  useRuleSets([ruleSet]);
+  setUnits('imperial');
+  return serializeBackup(createBackup({ now: new Date('2030-01-20T10:00:00Z') }));
+}
+
+describe('backup and restore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetRuleSets();
+    loadUnitsPreference();
+  });
+
+  afterEach(() => {
+    resetRuleSets();
+  });
+
+  it('writes every trip, template, rule set and preference into a versioned file', () => {
+    const backup = JSON.parse(takeBackup());
+    expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: 1, exportedAt: '2030-01-20T10:00:00.000Z' });
+    expect(backup.trips.trips).toHaveLength(1);
+    expect(backup.trips.trips[0].state).toMatchObject({ schemaVersion: 4, trip: { city: 'Lyon' } });
+    expect(backup.templates).toEqual({ schemaVersion: 2, templates: [conferenceTemplate] });
+    expect(backup.rules.map(set => set.id)).toEqual(['team']);
+    expect(backup.preferences).toEqual({ units: 'imperial' });
+    expect(getBackupFileName(new Date(2030, 0, 20))).toBe('trip-checklist-backup-2030-01-20.json');
+  });
+
+  it('leaves configured rule files out of the backup', () => {
+    const remoteSet = {
+      id: 'remote',
+      version: 3,
+      rules: [{ id: 'remote.lanyard', scope: 'trip', add: [{ label: 'Lanyard', group: 'documents' }] }]
+    };
+    saveRuleSets([ruleSet]);
+    useRuleSets([remoteSet, ...loadSavedRuleSets()]);
+    expect(getActiveRules().map(rule => rule.id)).toContain('remote.lanyard');
+
+    const backup = createBackup();
+    expect(backup.rules.map(set => set.id)).toEqual(['team']);
+
+    restoreBackup(parseBackup(serializeBackup(backup)), 'merge');
+    expect(loadSavedRuleSets().map(set => set.id)).toEqual(['team']);
+  });
+
+  it('rejects files that are not valid backups and lists the problems', () => {
+    expect(() => parseBackup('{')).toThrow(BackupError);
+    expect(() => parseBackup(JSON.stringify({ trips: [] }))).toThrow(/not a checklist backup/);
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99 }))).toThrow(/newer version/);
+
+    const broken = JSON.parse(takeBackup());
+    broken.trips.trips.push({ name: 'No id' });
+    broken.templates.templates.push({ id: 'tpl-x', items: [] });
+    broken.rules.push({ id: 'bad', rules: [{ id: 'bad.rule', scope: 'moon', add: [] }] });
+    broken.preferences.units = 'furlongs';
+    try {
+      parseBackup(JSON.stringify(broken));
+      throw new Error('expected a BackupError');
+    } catch (err) {
+      expect(err).toBeInstanceOf(BackupError);
+      expect(err.code).toBe('invalid-backup');
+      expect(err.problems).toEqual([
+        'trip "No id": "id" is required',
+        'template #2: "id" and "name" are required',
+        'rule set "bad": rule "bad.rule": unknown scope "moon"',
+        'rule set "bad": rule "bad.rule": "add" must list at least one item',
+        'preferences: unknown units "furlongs"'
+      ]);
+    }
+  });
+
+  it('upgrades trips and templates saved by older versions', () => {
+    const backup = parseBackup(
+      JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: 1,
+        trips: { activeId: 'trip-old', trips: [{ id: 'trip-old', name: 'Old', state: { items: [{ label: 'Pen' }] } }] },
+        templates: [{ id: 'tpl-old', name: 'Old', items: [{ label: 'Pen' }] }]
+      })
+    );
+    expect(backup.trips.trips[0].state).toMatchObject({ schemaVersion: 4, items: [{ label: 'Pen', bag: 'carryOn' }] });
+    expect(backup.templates[0].items[0].bag).toBe('carryOn');
+    expect(backup.preferences).toEqual({ units: null });
+  });
+
+  it('previews and merges a backup into what is already here', () => {
+    const backup = parseBackup(takeBackup());
+    localStorage.clear();
+    resetRuleSets();
+    createTrip({ name: 'Tokyo' });
+    saveTemplates([{ ...conferenceTemplate, name: 'Conference (old)' }]);
+
+    const preview = previewRestore(backup, 'merge');
+    expect(preview.trips).toEqual({ added: ['Lyon'], replaced: [], removed: [] });
+    expect(preview.templates).toEqual({ added: [], replaced: ['Conference'], removed: [] });
+    expect(preview.rules.added).toEqual(['team']);
+    expect(previewRestore(backup, 'overwrite').trips.removed).toHaveLength(2);
+
+    const tokyoId = getActiveTripId();
+    expect(restoreBackup(backup, 'merge')).toBe(tokyoId);
+    expect(listTrips().map(trip => trip.name).sort()).toEqual(['Lyon', 'Tokyo', 'Untitled trip']);
+    expect(loadTemplates()).toEqual([conferenceTemplate]);
+    expect(loadSavedRuleSets().map(set => set.id)).toEqual(['team']);
+    expect(getPreferredUnits()).toBe('imperial');
+  });
+
+  it('overwrites trips, templates and rules with the backup', () => {
+    const backup = parseBackup(takeBackup());
+    localStorage.clear();
+    createTrip({ name: 'Tokyo' });
+    saveTemplates([{ id: 'tpl-other', name: 'Other', items: [] }]);
+
+    const activeId = restoreBackup(backup, 'overwrite');
+    expect(activeId).toBe(backup.trips.activeId);
+    expect(listTrips().map(trip => trip.name)).toEqual(['Lyon']);
+    expect(loadActiveTripState().items[0]).toMatchObject({ label: 'Passport', checked: true });
+    expect(loadTemplates()).toEqual([conferenceTemplate]);
+    expect(() => restoreBackup(backup, 'replace')).toThrow(BackupError);
+  });
+});
@@ -6,6 +6,9 @@ import {
   deleteItem,
   getAppState,
   reconcileWeatherItems,
+  diffWeatherItems,
+  recordForecastSnapshot,
+  getForecastHistory,
   generateChecklist,
   updateTrip,
   renderChecklistForExport,
@@ -14,8 +17,12 @@ import {
   getBuiltInTemplates,
   moveItemToBag,
   getBagSummary,
-  ensureUniqueOrMerge
+  ensureUniqueOrMerge,
+  configureChecklist,
+  getPowerAdvice,
+  mergeRemoteState
 } from '../src/checklist.js';
+import { loadActiveTripState } from '../src/trips.js';
 
 const mountMarkup = `
   <div id="checklistOutput"></div>
@@ -77,6 +84,32 @@ describe('checklist module', () => {
     expect(state.items.find(item => item.label === 'Custom Adapter')).toBeTruthy();
   });
 
+  it('previews forecast changes without applying them', () => {
+    reconcileWeatherItems([{ group: 'accessories', label: 'Sunglasses' }]);
+    const change = diffWeatherItems([{ group: 'other', label: 'Umbrella' }]);
+    expect(change.added.map(item => item.label)).toEqual(['Umbrella']);
+    expect(change.removed.map(item => item.label)).toEqual(['Sunglasses']);
+    expect(getAppState().items.find(item => item.label === 'Umbrella')).toBeUndefined();
+    expect(diffWeatherItems([{ group: 'accessories', label: 'Sunglasses' }])).toEqual({ added: [], removed: [] });
+  });
+
+  it('keeps a history of distinct forecast snapshots', () => {
+    const legWeather = [
+      { legId: 'leg-1', weather: { location: { name: 'Berlin' }, summary: 'Rain', minC: 4, maxC: 9, precipitation: 6 } }
+    ];
+    const umbrella = [{ group: 'other', label: 'Umbrella' }];
+    expect(recordForecastSnapshot(legWeather, umbrella, new Date('2030-03-01T08:00:00Z'))).toMatchObject({
+      takenAt: '2030-03-01T08:00:00.000Z',
+      items: ['Umbrella']
+    });
+    expect(recordForecastSnapshot(legWeather, umbrella)).toBeNull();
+    legWeather[0].weather = { ...legWeather[0].weather, summary: 'Clear', precipitation: 0 };
+    recordForecastSnapshot(legWeather, []);
+    const history = getForecastHistory();
+    expect(history.map(snapshot => snapshot.legs[0].summary)).toEqual(['Rain', 'Clear']);
+    expect(loadActiveTripState().forecastHistory).toHaveLength(2);
+  });
+
   it('regenerates checklist using trip data', () => {
     updateTrip({ durationDays: 5, activities: ['pitching'] });
     generateChecklist();
@@ -131,6 +164,36 @@ describe('checklist module', () => {
     expect(summary.checked.count).toBeGreaterThan(0);
   });
 
+  it('keeps worn travel-day items out of the bags', () => {
+    reconcileWeatherItems([
+      { group: 'clothing', label: 'Warm Coat', worn: true },
+      { group: 'other', label: 'Umbrella', legs: ['leg-1'] }
+    ]);
+    const before = getBagSummary();
+    expect(before.worn).toEqual({ count: 1, checked: 0 });
+    expect(document.querySelector('#bagSummary').textContent).toContain('Wear on travel day');
+
+    // The destination asks for the coat too; wearing it there covers both.
+    reconcileWeatherItems([
+      { group: 'clothing', label: 'Warm Coat', legs: ['leg-1'] },
+      { group: 'clothing', label: 'Warm Coat', worn: true }
+    ]);
+    expect(getAppState().items.filter(item => item.label === 'Warm Coat')).toMatchObject([{ worn: true }]);
+    reconcileWeatherItems([{ group: 'clothing', label: 'Warm Coat', legs: ['leg-1'] }]);
+    expect(getAppState().items.find(item => item.label === 'Warm Coat').worn).toBeUndefined();
+
+    reconcileWeatherItems([{ group: 'clothing', label: 'Warm Coat', worn: true }]);
+    const exportDoc = renderChecklistForExport(getAppState());
+    const worn = exportDoc.querySelector('.export-bag-section--worn');
+    expect(worn.querySelector('.export-bag-section__title').textContent).toBe('Wear on travel day');
+    expect(worn.textContent).toContain('Warm Coat');
+    expect(
+      Array.from(exportDoc.querySelectorAll('.export-bag-section:not(.export-bag-section--worn)')).some(section =>
+        section.textContent.includes('Warm Coat')
+      )
+    ).toBe(false);
+  });
+
   it('export groups checklist by bag with counts', () => {
     const state = getAppState();
     const target = state.items.find(item => item.source !== 'weather') || state.items[0];
@@ -161,4 +224,102 @@ describe('checklist module', () => {
     expect(item?.quantity ?? 1).toBe(1);
     confirmSpy.mockRestore();
   });
+
+  it('unions activity add-ons across legs and records the originating leg', () => {
+    updateTrip({
+      legs: [
+        { id: 'leg-1', city: 'Berlin', country: 'Germany', activities: ['pitching'] },
+        { id: 'leg-london', city: 'London', country: 'United Kingdom', activities: ['networking'] }
+      ]
+    });
+    generateChecklist();
+    const state = getAppState();
+    expect(state.trip.city).toBe('Berlin');
+    expect(state.trip.activities).toEqual(['pitching', 'networking']);
+    expect(state.items.find(item => item.label === 'Formal Outfit')?.legs).toEqual(['leg-1']);
+    expect(state.items.find(item => item.label === 'Extra Business Cards')?.legs).toEqual(['leg-london']);
+  });
+
+  it('puts items without a bag into the configured default bag', () => {
+    configureChecklist({ defaultBag: 'checked' });
+    try {
+      addCustomItem('Travel Pillow', 'other');
+      expect(getAppState().items.find(item => item.label === 'Travel Pillow').bag).toBe('checked');
+    } finally {
+      configureChecklist({ defaultBag: 'carryOn' });
+    }
+  });
+
+  it('keeps a pinned location only while the destination is unchanged', () => {
+    updateTrip({ city: 'Frankfurt', country: 'Germany', latitude: 50.11, longitude: 8.68 });
+    expect(getAppState().trip.legs[0]).toMatchObject({ latitude: 50.11, longitude: 8.68, countryCode: 'DE' });
+    updateTrip({ durationDays: 5 });
+    expect(getAppState().trip.latitude).toBe(50.11);
+    updateTrip({ city: 'Frankfurt (Oder)' });
+    expect(getAppState().trip).toMatchObject({ latitude: null, longitude: null });
+  });
+
+  it('merges weather items from several legs into one entry', () => {
+    reconcileWeatherItems([
+      { group: 'other', label: 'Umbrella', legs: ['leg-1'] },
+      { group: 'other', label: 'Umbrella', legs: ['leg-2'] }
+    ]);
+    const umbrellas = getAppState().items.filter(item => item.label === 'Umbrella');
+    expect(umbrellas).toHaveLength(1);
+    expect(umbrellas[0].legs).toEqual(['leg-1', 'leg-2']);
+  });
+
+  it('adds a plug adapter when the destination differs from the home country', () => {
+    configureChecklist({ homeCountry: 'DE' });
+    try {
+      updateTrip({ city: 'London', country: 'UK' });
+      generateChecklist();
+      const adapter = getAppState().items.find(item => item.label === 'Type G adapter');
+      expect(adapter).toMatchObject({ group: 'tech', source: 'power' });
+      expect(getPowerAdvice()[0]).toMatchObject({ countryCode: 'GB', voltage: 230 });
+      const exportDoc = renderChecklistForExport(getAppState());
+      expect(exportDoc.querySelector('.export-card--power')?.textContent).toContain('Type G');
+    } finally {
+      configureChecklist({ homeCountry: '' });
+    }
+  });
+
+  it('merges a save from another tab field by field', () => {
+    const [passport, laptop, charger] = getAppState().items;
+    const remote = getAppState();
+    remote.items = remote.items
+      .filter(item => item.id !== charger.id)
+      .map(item => (item.id === laptop.id ? { ...item, bag: 'work' } : item));
+    remote.items.push({ ...passport, id: 'custom-umbrella', label: 'Umbrella', source: 'custom' });
+    toggleItem(laptop.id, true);
+
+    const { changed, conflicts } = mergeRemoteState(remote);
+    expect(changed).toBe(true);
+    expect(conflicts).toEqual([]);
+    const items = getAppState().items;
+    expect(items.find(item => item.id === laptop.id)).toMatchObject({ checked: true, bag: 'work' });
+    expect(items.find(item => item.id === charger.id)).toBeUndefined();
+    expect(items.some(item => item.label === 'Umbrella')).toBe(true);
+    expect(loadActiveTripState().items.find(item => item.id === laptop.id)).toMatchObject({ checked: true, bag: 'work' });
+  });
+
+  it('lets the newer save win when both tabs change the same field', () => {
+    const [first, second] = getAppState().items;
+    const remoteWith = (id, bag) => ({
+      ...getAppState(),
+      items: getAppState().items.map(item => (item.id === id ? { ...item, bag } : item))
+    });
+    const remote = remoteWith(first.id, 'work');
+    moveItemToBag(first.id, 'checked');
+    expect(mergeRemoteState(remote, { remoteWins: false }).conflicts).toEqual([first.label]);
+    expect(getAppState().items[0].bag).toBe('checked');
+
+    const nextRemote = remoteWith(second.id, 'work');
+    moveItemToBag(second.id, 'personal');
+    deleteItem(first.id);
+    const { conflicts } = mergeRemoteState({ ...nextRemote, items: nextRemote.items.slice(1) });
+    expect(conflicts).toEqual([second.label]);
+    expect(getAppState().items.find(item => item.id === second.id).bag).toBe('work');
+    expect(getAppState().items.find(item => item.id === first.id)).toBeUndefined();
+  });
 });
@@ -0,0 +1,84 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createClimateProvider, formatMonthSpan } from '../src/services/weather/climate.js';
+import {
+  configureWeather,
+  fetchWeather,
+  searchLocations,
+  clearWeatherCache,
+  extractWeatherChecklistItems
+} from '../src/weather.js';
+import { toISODate, addDays } from '../src/utils.js';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+// The first day of the month that is at least `monthsAhead` months away.
+function firstOfMonthAhead(monthsAhead) {
+  const today = new Date();
+  return toISODate(new Date(today.getFullYear(), today.getMonth() + monthsAhead, 1));
+}
+
+describe('climate normals', () => {
+  afterEach(() => {
+    configureWeather({ providers: ['open-meteo'], climateFallback: true });
+    clearWeatherCache();
+    vi.restoreAllMocks();
+  });
+
+  it('spreads monthly normals over the trip days', async () => {
+    const provider = createClimateProvider();
+    const location = { name: 'Berlin', latitude: 52.52, longitude: 13.405 };
+    const range = { startDate: '2030-03-30', endDate: '2030-04-02' };
+    const station = await provider.forecast(location, range);
+    const weather = provider.normalize(location, station, range);
+    expect(weather.climate).toMatchObject({ label: 'Typical for March–April', months: [3, 4], station: 'Berlin' });
+    expect(weather.days).toHaveLength(4);
+    expect(weather.days[0]).toMatchObject({ minC: 1.4, maxC: 8.8, precipitation: 1.3 });
+    expect(weather).toMatchObject({ minC: 1.4, maxC: 14.3, provider: 'climate' });
+    expect(formatMonthSpan([3])).toBe('March');
+  });
+
+  it('fetches the normals the first time they are consulted', async () => {
+    const normals = JSON.parse(readFileSync(resolve('assets/data/climate-normals.json'), 'utf8'));
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, json: async () => normals });
+    // A fresh module graph, so the copy the test setup provides is not used.
+    vi.resetModules();
+    const climate = await import('../src/services/weather/climate.js');
+    const provider = climate.createClimateProvider();
+    expect(fetchMock).not.toHaveBeenCalled();
+    await provider.geocode('Berlin');
+    await provider.forecast({ name: 'Berlin', latitude: 52.52, longitude: 13.405 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0].href).toMatch(/\/assets\/data\/climate-normals\.json$/);
+  });
+
+  it('uses climate normals for trips beyond the forecast horizon', async () => {
+    const fetchMock = vi.spyOn(globalThis, 'fetch');
+    const startDate = firstOfMonthAhead(3);
+    const endDate = addDays(startDate, 4);
+    const weather = await fetchWeather('Oslo', { startDate, endDate, latitude: 59.91, longitude: 10.75 });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(weather.summary).toBe(weather.climate.label);
+    expect(weather.climate.label).toMatch(/^Typical for [A-Z][a-z]+$/);
+    expect(weather).toMatchObject({ startDate, endDate });
+    expect(Array.isArray(extractWeatherChecklistItems(weather))).toBe(true);
+  });
+
+  it('still reports far-future trips as out of range when the fallback is off', async () => {
+    configureWeather({ providers: ['open-meteo'], climateFallback: false });
+    const startDate = firstOfMonthAhead(3);
+    await expect(
+      fetchWeather('Oslo', { startDate, endDate: startDate, latitude: 59.91, longitude: 10.75 })
+    ).rejects.toHaveProperty('code', 'out-of-range');
+  });
+
+  it('resolves bundled cities while the geocoder is unreachable', async () => {
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('Failed to fetch'));
+    configureWeather({ providers: ['open-meteo'], retries: 0 });
+    try {
+      const [tokyo] = await searchLocations('Tokyo');
+      expect(tokyo).toMatchObject({ name: 'Tokyo', countryCode: 'JP' });
+    } finally {
+      configureWeather({ providers: ['open-meteo'], retries: 2 });
+    }
+  });
+});
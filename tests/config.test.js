@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  loadConfig,
+  normalizeConfig,
+  readMetaConfig,
+  validateConfig,
+  getDefaultConfig,
+  ConfigError
+} from '../src/config.js';
+
+function createMockResponse(payload, { ok = true, status = 200 } = {}) {
+  return {
+    ok,
+    status,
+    json: async () => payload
+  };
+}
+
+function createDoc(metaTags) {
+  const doc = document.implementation.createHTMLDocument('config');
+  Object.entries(metaTags).forEach(([name, content]) => {
+    const meta = doc.createElement('meta');
+    meta.name = name;
+    meta.content = content;
+    doc.head.append(meta);
+  });
+  return doc;
+}
+
+describe('configuration', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reads the documented meta tags', () => {
+    const config = readMetaConfig(
+      createDoc({
+        'weather-api-key': 'secret',
+        'weather-providers': 'met-norway, open-meteo',
+        'home-country': 'Deutschland',
+        'weather-thresholds': 'uvIndex=8',
+        features: 'autocomplete=off, share'
+      })
+    );
+    expect(normalizeConfig(config).config.weatherThresholds).toEqual({ uvIndex: 8 });
+    expect(config).toMatchObject({
+      apiKey: 'secret',
+      providers: ['met-norway', 'open-meteo'],
+      homeCountry: 'Deutschland',
+      features: { autocomplete: false, share: true }
+    });
+  });
+
+  it('keeps defaults for invalid values and reports each problem', () => {
+    const { config, problems } = normalizeConfig({
+      units: 'kelvin',
+      homeCountry: 'Atlantis',
+      defaultBag: 'Checked bag',
+      features: { export: false, teleport: true }
+    });
+    expect(config).toMatchObject({
+      units: 'metric',
+      homeCountry: '',
+      defaultBag: 'checked',
+      features: { ...getDefaultConfig().features, export: false }
+    });
+    expect(problems).toHaveLength(3);
+    expect(() => validateConfig({ units: 'kelvin' })).toThrow(ConfigError);
+  });
+
+  it('layers meta tags over config.json', async () => {
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(
+      createMockResponse({
+        apiKey: 'from-file',
+        units: 'imperial',
+        rules: ['rules/team.json'],
+        features: { share: false, export: false }
+      })
+    );
+    const { config, problems } = await loadConfig({
+      doc: createDoc({ 'app-config': 'settings/app.json', 'weather-api-key': 'from-meta', features: 'export=on' })
+    });
+    expect(fetchMock.mock.calls[0][0]).toBe('settings/app.json');
+    expect(problems).toEqual([]);
+    expect(config).toMatchObject({
+      apiKey: 'from-meta',
+      units: 'imperial',
+      rules: ['rules/team.json'],
+      features: { share: false, export: true }
+    });
+  });
+
+  it('treats a missing config.json as empty', async () => {
+    vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(createMockResponse(null, { ok: false, status: 404 }));
+    const { config, problems } = await loadConfig({ doc: createDoc({}) });
+    expect(config).toEqual(getDefaultConfig());
+    expect(problems).toEqual([]);
+  });
+});
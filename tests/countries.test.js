@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { findCountry, getCountry, listCountries, resolveCountryCode } from '../src/services/countries.js';
+import { buildRuleContext } from '../src/rules.js';
+
+describe('country registry', () => {
+  it('finds countries by name, alias and ISO code ignoring case and diacritics', () => {
+    expect(findCountry('Czech Republic').iso2).toBe('CZ');
+    expect(findCountry('cesko').iso2).toBe('CZ');
+    expect(findCountry('OSTERREICH').iso2).toBe('AT');
+    expect(findCountry('deu').name).toBe('Germany');
+    expect(resolveCountryCode('gbr')).toBe('GB');
+    expect(findCountry('')).toBeNull();
+  });
+
+  it('exposes the travel facts for a country', () => {
+    expect(getCountry('GB')).toMatchObject({ iso3: 'GBR', currency: 'GBP', drivingSide: 'left' });
+    expect(getCountry('jpn')).toMatchObject({ iso2: 'JP', emergency: '110', plugs: ['A', 'B'] });
+    expect(getCountry('XX')).toBeNull();
+  });
+
+  it('lists countries sorted by name', () => {
+    const names = listCountries().map(country => country.name);
+    expect(names.length).toBeGreaterThan(50);
+    expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b)));
+  });
+
+  it('offers the resolved country code as a rule fact', () => {
+    const context = buildRuleContext({ leg: { id: 'leg-1', country: 'Japan', countryCode: 'JP', activities: [] } });
+    expect(context.countryCode).toBe('JP');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import process from 'node:process';
+import { loadBundledData } from '../src/services/data.js';
+
+// Modules the page loads unbundled; plain Node refuses bare JSON imports just like browsers.
+const BROWSER_MODULES = ['src/rules.js', 'src/services/countries.js', 'src/config.js', 'src/weather.js'];
+
+describe('bundled data', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fetches a data file once and tries again after a failure', async () => {
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ value: 1 }) });
+    await expect(loadBundledData('example.json')).rejects.toThrow(/HTTP 503/);
+    await expect(loadBundledData('example.json')).resolves.toEqual({ value: 1 });
+    await expect(loadBundledData('example.json')).resolves.toEqual({ value: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0].href).toMatch(/\/assets\/data\/example\.json$/);
+  });
+
+  it('loads the app modules without a bundler', () => {
+    const imports = BROWSER_MODULES.map(path => `await import(${JSON.stringify(pathToFileURL(resolve(path)).href)});`);
+    expect(() =>
+      execFileSync(process.execPath, ['--input-type=module', '-e', imports.join('\n')], { stdio: 'pipe' })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  readLegacyChecklist,
+  convertLegacyLists,
+  mapLegacyGroup,
+  markLegacyChecklistImported,
+  clearLegacyChecklist
+} from '../src/legacy.js';
+
+const toPack = [
+  { isHeader: true, name: 'Documents & Work Essentials' },
+  { isHeader: false, name: 'Work ID', checked: false },
+  { isHeader: false, name: 'Credit Cards', checked: false },
+  { isHeader: true, name: 'Electronics' },
+  { isHeader: false, name: 'Laptop and Charger', checked: false },
+  { isHeader: false, name: 'Spare Adapter', checked: false },
+  { name: 'Sweater', checked: false }
+];
+const packed = [
+  { name: 'Toothbrush', checked: true },
+  { name: 'Phone and Charger', checked: true }
+];
+
+describe('legacy checklist import', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('maps legacy categories to the current groups', () => {
+    expect(mapLegacyGroup('Socks and underwear')).toBe('clothing');
+    expect(mapLegacyGroup('headphones')).toBe('tech');
+    expect(mapLegacyGroup('Client Contact Info (Name, Phone, Email)')).toBe('documents');
+    expect(mapLegacyGroup('Wallet')).toBe('other');
+    expect(mapLegacyGroup('Something new', 'tech')).toBe('tech');
+    expect(mapLegacyGroup('Something new')).toBe('other');
+  });
+
+  it('converts both lists with their packed status', () => {
+    const items = convertLegacyLists(toPack, [...packed, { name: 'Work ID', checked: true }]);
+    expect(items).toHaveLength(7);
+    expect(items.find(item => item.label === 'Work ID')).toMatchObject({ group: 'documents', checked: true });
+    expect(items.find(item => item.label === 'Credit Cards').group).toBe('documents');
+    expect(items.find(item => item.label === 'Spare Adapter').group).toBe('tech');
+    expect(items.find(item => item.label === 'Toothbrush')).toMatchObject({ group: 'clothing', checked: true });
+    expect(items.every(item => item.source === 'custom')).toBe(true);
+  });
+
+  it('reads the stored lists once and forgets them on cleanup', () => {
+    expect(readLegacyChecklist()).toBeNull();
+    localStorage.setItem('trip_toPack', JSON.stringify(toPack));
+    localStorage.setItem('trip_packed', JSON.stringify(packed));
+
+    expect(readLegacyChecklist()).toMatchObject({ total: 7, packed: 2 });
+    markLegacyChecklistImported();
+    expect(readLegacyChecklist()).toBeNull();
+
+    localStorage.setItem('trip_packed', JSON.stringify([...packed, { name: 'Keys', checked: true }]));
+    expect(readLegacyChecklist()).toMatchObject({ total: 8, packed: 3 });
+
+    clearLegacyChecklist();
+    expect(localStorage.getItem('trip_toPack')).toBeNull();
+    expect(localStorage.getItem('trip_packed')).toBeNull();
+    expect(readLegacyChecklist()).toBeNull();
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { resolveCountryCode, assessPower, getPowerInfo } from '../src/services/power.js';
+
+describe('power service', () => {
+  it('resolves free-text country names and codes to ISO alpha-2', () => {
+    expect(resolveCountryCode('Germany')).toBe('DE');
+    expect(resolveCountryCode('  deutschland ')).toBe('DE');
+    expect(resolveCountryCode('UK')).toBe('GB');
+    expect(resolveCountryCode('us')).toBe('US');
+    expect(resolveCountryCode('Atlantis')).toBeNull();
+  });
+
+  it('recommends an adapter when no home plug fits', () => {
+    const power = assessPower('DE', 'United Kingdom');
+    expect(power.adapterLabel).toBe('Type G adapter');
+    expect(power.voltageMismatch).toBe(false);
+    expect(assessPower('DE', 'Germany').adapterLabel).toBeNull();
+  });
+
+  it('warns about single-voltage devices on a voltage mismatch', () => {
+    const power = assessPower('Germany', 'USA', [
+      { label: 'Hair Dryer' },
+      { label: 'Laptop' },
+      { label: 'Travel Kettle', singleVoltage: true }
+    ]);
+    expect(power.voltageMismatch).toBe(true);
+    expect(power.singleVoltageDevices).toEqual(['Hair Dryer', 'Travel Kettle']);
+    expect(power.warnings[0]).toContain('230 V');
+  });
+
+  it('reports facts without advice when no home country is configured', () => {
+    const power = assessPower('', 'Japan');
+    expect(power).toMatchObject({ countryCode: 'JP', voltage: 100, adapterLabel: null, warnings: [] });
+    expect(getPowerInfo('jp').hz).toBe(50);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  configureWeather,
+  fetchWeather,
+  searchLocations,
+  clearWeatherCache,
+  WeatherError
+} from '../src/weather.js';
+import { createMetNorwayProvider } from '../src/services/weather/met-norway.js';
+import { createOpenMeteoProvider } from '../src/services/weather/open-meteo.js';
+import { toISODate, addDays } from '../src/utils.js';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+function createMockResponse(payload, ok = true) {
+  return {
+    ok,
+    json: async () => payload
+  };
+}
+
+function metEntry(time, temperature, precipitation, symbol = 'rain') {
+  return {
+    time,
+    data: {
+      instant: { details: { air_temperature: temperature, wind_speed: 5 } },
+      next_1_hours: { summary: { symbol_code: symbol }, details: { precipitation_amount: precipitation } }
+    }
+  };
+}
+
+describe('weather providers', () => {
+  afterEach(() => {
+    configureWeather({ providers: ['open-meteo'] });
+    clearWeatherCache();
+    vi.restoreAllMocks();
+  });
+
+  it('normalizes MET Norway timeseries into daily aggregates', () => {
+    const provider = createMetNorwayProvider();
+    const date = addDays(toISODate(), 1);
+    const weather = provider.normalize(
+      { name: 'Oslo', latitude: 59.91, longitude: 10.75 },
+      {
+        properties: {
+          timeseries: [
+            metEntry(`${date}T06:00:00Z`, 2, 0.4, 'lightrain'),
+            metEntry(`${date}T12:00:00Z`, 7, 1.1),
+            metEntry(`${date}T18:00:00Z`, 4, 0)
+          ]
+        }
+      },
+      { startDate: date, endDate: date }
+    );
+    expect(weather).toMatchObject({
+      summary: 'Rain',
+      tempC: 2,
+      windKph: 18,
+      minC: 2,
+      maxC: 7,
+      precipitation: 1.5,
+      provider: 'met-norway',
+      source: 'MET Norway'
+    });
+  });
+
+  it('reads gusts, UV, humidity, snowfall and air quality from Open-Meteo', async () => {
+    const startDate = addDays(toISODate(), 1);
+    const endDate = addDays(startDate, 1);
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      if (new URL(url).hostname.startsWith('air-quality-api')) {
+        return createMockResponse({
+          hourly: {
+            time: [`${startDate}T08:00`, `${startDate}T18:00`, `${endDate}T08:00`],
+            european_aqi: [35, 64, 22]
+          }
+        });
+      }
+      return createMockResponse({
+        current_weather: { temperature: 1, weathercode: 73, windspeed: 30 },
+        daily: {
+          time: [startDate, endDate],
+          temperature_2m_min: [-3, -5],
+          temperature_2m_max: [2, 0],
+          precipitation_sum: [3, 1],
+          wind_gusts_10m_max: [48, 71],
+          uv_index_max: [1.5, 2],
+          relative_humidity_2m_mean: [88, 79],
+          snowfall_sum: [2.1, 0.7]
+        }
+      });
+    });
+    const provider = createOpenMeteoProvider();
+    const location = { name: 'Oslo', latitude: 59.91, longitude: 10.75 };
+    const range = { startDate, endDate };
+    const weather = provider.normalize(location, await provider.forecast(location, range), range);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(new URL(fetchMock.mock.calls[0][0]).searchParams.get('daily')).toContain('uv_index_max');
+    expect(weather).toMatchObject({ windGustKph: 71, uvIndex: 2, humidity: 88, snowfallCm: 2.8, airQuality: 64 });
+    expect(weather.days[1]).toMatchObject({ windGustKph: 71, airQuality: 22 });
+  });
+
+  it('falls back to the next provider when the primary fails', async () => {
+    configureWeather({ providers: ['met-norway', 'open-meteo'] });
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      const { hostname, pathname } = new URL(url);
+      if (hostname === 'api.met.no') {
+        return createMockResponse({}, false);
+      }
+      if (pathname.endsWith('/search')) {
+        return createMockResponse({
+          results: [{ name: 'Oslo', country: 'Norway', latitude: 59.91, longitude: 10.75 }]
+        });
+      }
+      return createMockResponse({
+        current_weather: { temperature: 3, weathercode: 71, windspeed: 9 },
+        daily: { temperature_2m_min: [-2, -4], temperature_2m_max: [3, 1], precipitation_sum: [0, 2] }
+      });
+    });
+
+    const weather = await fetchWeather('Oslo');
+    expect(weather).toMatchObject({ provider: 'open-meteo', summary: 'Snow', minC: -4 });
+    expect(fetchMock.mock.calls.some(([url]) => url.startsWith('https://api.met.no/'))).toBe(true);
+  });
+
+  it('serves fixtures without any weather service, loading them on first use', async () => {
+    const fixtures = JSON.parse(readFileSync(resolve('assets/data/weather-fixtures.json'), 'utf8'));
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValue(createMockResponse(fixtures));
+    configureWeather({ providers: ['fixture'] });
+    expect(fetchMock).not.toHaveBeenCalled();
+    const candidates = await searchLocations('portland');
+    expect(candidates.map(candidate => candidate.admin1)).toEqual(['Oregon', 'Maine']);
+
+    const startDate = addDays(toISODate(), 2);
+    const weather = await fetchWeather('Portland', {
+      startDate,
+      endDate: addDays(startDate, 1),
+      latitude: candidates[1].latitude,
+      longitude: candidates[1].longitude
+    });
+    expect(weather).toMatchObject({ summary: 'Snow', minC: -9, maxC: 0, precipitation: 4.2 });
+    expect(weather.days).toHaveLength(2);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0].href).toMatch(/\/assets\/data\/weather-fixtures\.json$/);
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => configureWeather({ providers: ['accuweather'] })).toThrow(WeatherError);
+  });
+});
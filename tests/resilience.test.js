@@ -0,0 +1,128 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  computeBackoffDelay,
+  createCircuitBreaker,
+  withRetry
+} from '../src/services/weather/resilience.js';
+import {
+  configureWeather,
+  fetchWeather,
+  clearWeatherCache,
+  getWeatherCircuitStates,
+  resetWeatherCircuits,
+  searchLocations,
+  WeatherError
+} from '../src/weather.js';
+
+function httpError(status) {
+  const error = new WeatherError(`HTTP ${status}`, 'forecast-error');
+  error.status = status;
+  return error;
+}
+
+const forecastPayload = {
+  current_weather: { temperature: 10, weathercode: 3, windspeed: 12 },
+  daily: { temperature_2m_min: [8, 6], temperature_2m_max: [12, 14], precipitation_sum: [0, 1] }
+};
+
+describe('weather resilience helpers', () => {
+  it('caps jittered backoff delays', () => {
+    expect(computeBackoffDelay(0, { baseDelay: 100, random: () => 1 })).toBe(100);
+    expect(computeBackoffDelay(3, { baseDelay: 100, random: () => 1 })).toBe(800);
+    expect(computeBackoffDelay(10, { baseDelay: 100, maxDelay: 1000, random: () => 1 })).toBe(1000);
+    expect(computeBackoffDelay(2, { baseDelay: 100, random: () => 0.5 })).toBe(200);
+  });
+
+  it('retries transient failures only', async () => {
+    const flaky = vi.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValueOnce('ok');
+    await expect(withRetry(flaky, { baseDelay: 0 })).resolves.toBe('ok');
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const missing = vi.fn().mockRejectedValue(httpError(404));
+    await expect(withRetry(missing, { baseDelay: 0 })).rejects.toHaveProperty('status', 404);
+    expect(missing).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens after repeated failures and closes after a successful trial', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => now });
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAt).toBe(1000);
+
+    now = 1000;
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+  });
+});
+
+describe('weather requests with retries', () => {
+  afterEach(() => {
+    configureWeather({
+      providers: ['open-meteo'],
+      retries: 2,
+      retryBaseDelay: 500,
+      breakerThreshold: 3,
+      airQuality: true
+    });
+    resetWeatherCircuits();
+    clearWeatherCache();
+    vi.restoreAllMocks();
+  });
+
+  it('recovers from a temporary server error', async () => {
+    configureWeather({ providers: ['open-meteo'], retryBaseDelay: 0, airQuality: false });
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({}) })
+      .mockResolvedValueOnce({ ok: true, json: async () => forecastPayload });
+
+    const weather = await fetchWeather('Berlin', { latitude: 52.52, longitude: 13.405 });
+    expect(weather.maxC).toBe(14);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops calling a provider that keeps failing', async () => {
+    configureWeather({ providers: ['open-meteo'], retries: 0, breakerThreshold: 2, airQuality: false });
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValue({ ok: false, status: 502, json: async () => ({}) });
+    const place = { latitude: 52.52, longitude: 13.405 };
+
+    await expect(fetchWeather('Berlin', place)).rejects.toHaveProperty('status', 502);
+    await expect(fetchWeather('Berlin', place)).rejects.toHaveProperty('status', 502);
+    const paused = await fetchWeather('Berlin', place).catch(err => err);
+    expect(paused).toMatchObject({ code: 'circuit-open' });
+    expect(paused.retryAt).toBeGreaterThan(Date.now());
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(getWeatherCircuitStates()).toEqual([
+      expect.objectContaining({ provider: 'open-meteo', state: 'open' })
+    ]);
+  });
+
+  it('neither retries nor trips the breaker for suggestions while typing', async () => {
+    configureWeather({ providers: ['open-meteo'], retryBaseDelay: 0, breakerThreshold: 2, airQuality: false });
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValue({ ok: false, status: 502, json: async () => ({}) });
+    const suggest = query => searchLocations(query, '', { retries: 0, breaker: false });
+
+    await expect(suggest('Springf')).rejects.toHaveProperty('status', 502);
+    await expect(suggest('Springfi')).rejects.toHaveProperty('status', 502);
+    await expect(suggest('Springfie')).rejects.toHaveProperty('status', 502);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(getWeatherCircuitStates()).toEqual([
+      expect.objectContaining({ provider: 'open-meteo', state: 'closed' })
+    ]);
+
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => forecastPayload });
+    const weather = await fetchWeather('Springfield', { latitude: 39.8, longitude: -89.64 });
+    expect(weather.maxC).toBe(14);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  buildRuleContext,
+  evaluateRules,
+  compileFormula,
+  validateRuleSet,
+  loadRuleSet,
+  useRuleSets,
+  resetRuleSets,
+  getActiveRules,
+  configureWeatherThresholds,
+  RuleError
+} from '../src/rules.js';
+import { mapDurationToItems, mapWeatherToItems } from '../src/utils.js';
+
+describe('rules engine', () => {
+  afterEach(() => {
+    resetRuleSets();
+    configureWeatherThresholds({});
+    vi.restoreAllMocks();
+  });
+
+  it('expresses the built-in duration behaviour as rules', () => {
+    const items = mapDurationToItems(5);
+    const byLabel = Object.fromEntries(items.map(item => [item.label, item]));
+    expect(byLabel.Socks.quantity).toBe(5);
+    expect(byLabel['Casual Shirts'].quantity).toBe(3);
+    expect(byLabel['Spare Jacket']).toBeTruthy();
+    expect(byLabel['Light Sweater']).toBeUndefined();
+    expect(byLabel['Extension Cord'].rule).toBe('duration.extension-cord');
+  });
+
+  it('maps weather metrics through the default rule set', () => {
+    const labels = mapWeatherToItems({ minC: 2, maxC: 8, precipitation: 4 }).map(item => item.label);
+    expect(labels).toEqual(['Umbrella', 'Raincoat', 'Gloves', 'Wool Beanie']);
+    expect(mapWeatherToItems({ precipitation_sum: 0, temperatureMax: 30 }).map(item => item.label)).toEqual([
+      'Sunscreen',
+      'Sunglasses'
+    ]);
+  });
+
+  it('maps gusts, UV, humidity, snowfall and air quality against configurable thresholds', () => {
+    const weather = { windGustKph: 62, uvIndex: 8, humidity: 85, snowfallCm: 4, airQuality: 72 };
+    expect(mapWeatherToItems(weather).map(item => item.label)).toEqual([
+      'Windproof Jacket',
+      'SPF 50 Sunscreen',
+      'Anti-frizz Kit',
+      'Winter Boots',
+      'FFP2 Masks'
+    ]);
+    configureWeatherThresholds({ uvIndex: 9, airQuality: 80 });
+    const labels = mapWeatherToItems(weather).map(item => item.label);
+    expect(labels).not.toContain('SPF 50 Sunscreen');
+    expect(labels).not.toContain('FFP2 Masks');
+    expect(() => configureWeatherThresholds({ pollen: 3 })).toThrow(RuleError);
+  });
+
+  it('marks items from travel-day rules as worn', () => {
+    const rules = validateRuleSet({
+      rules: [
+        {
+          id: 'team.return-flight',
+          scope: 'travel',
+          when: { fact: 'travelDay', op: 'eq', value: 'return' },
+          add: [{ label: 'Neck Pillow', group: 'other' }]
+        },
+        { id: 'team.badge', scope: 'trip', add: [{ label: 'Lanyard', group: 'work', worn: true }] }
+      ]
+    }).rules;
+    expect(evaluateRules(rules, buildRuleContext({ travelDay: 'departure' }), { scope: 'travel' })).toEqual([]);
+    expect(evaluateRules(rules, buildRuleContext({ travelDay: 'return' }), { scope: 'travel' })[0]).toMatchObject({
+      label: 'Neck Pillow',
+      worn: true
+    });
+    expect(evaluateRules(rules, buildRuleContext(), { scope: 'trip' })[0]).toMatchObject({ worn: true });
+    expect(mapWeatherToItems({ minC: -4 }).some(item => item.worn)).toBe(false);
+  });
+
+  it('evaluates nested conditions over country and activities', () => {
+    const { rules } = validateRuleSet({
+      rules: [
+        {
+          id: 'uk.pitch',
+          scope: 'leg',
+          when: {
+            all: [
+              { fact: 'country', op: 'in', value: ['United Kingdom', 'UK'] },
+              { any: [{ fact: 'activities', op: 'includes', value: 'pitching' }, { not: true }] }
+            ]
+          },
+          add: [{ label: 'Umbrella', group: 'other', bag: 'personal' }]
+        }
+      ]
+    });
+    const leg = { id: 'leg-1', country: 'united kingdom', activities: ['pitching'] };
+    const items = evaluateRules(rules, buildRuleContext({ leg }), { scope: 'leg' });
+    expect(items).toEqual([
+      { group: 'other', label: 'Umbrella', bag: 'personal', source: 'rule:uk.pitch', rule: 'uk.pitch' }
+    ]);
+    expect(evaluateRules(rules, buildRuleContext({ leg: { ...leg, country: 'France' } }), { scope: 'leg' })).toEqual(
+      []
+    );
+  });
+
+  it('computes quantity formulas without eval', () => {
+    const context = buildRuleContext({ trip: { durationDays: 7 } });
+    expect(compileFormula('max(ceil(trip.durationDays / 3), 1) + 1')(context)).toBe(4);
+    expect(compileFormula('-(2 - trip.durationDays) * 2')(context)).toBe(10);
+    expect(() => compileFormula('alert(1)')).toThrow(RuleError);
+    expect(() => compileFormula('trip.durationDays;')).toThrow(RuleError);
+  });
+
+  it('reports every problem in an invalid rule set', () => {
+    try {
+      validateRuleSet({
+        rules: [{ scope: 'trip', add: [] }, { id: 'x', scope: 'moon', add: [{ label: 'A', quantity: '2 +' }] }]
+      });
+      throw new Error('expected validation to fail');
+    } catch (err) {
+      expect(err).toBeInstanceOf(RuleError);
+      expect(err.problems).toHaveLength(3);
+    }
+  });
+
+  it('layers custom rule sets over the defaults', () => {
+    useRuleSets([
+      validateRuleSet({
+        rules: [
+          { id: 'weather.hot', disabled: true },
+          {
+            id: 'duration.socks',
+            scope: 'trip',
+            source: 'duration',
+            add: [{ label: 'Socks', group: 'clothing', quantity: 'trip.durationDays + 1' }]
+          }
+        ]
+      })
+    ]);
+    expect(getActiveRules().some(rule => rule.id === 'weather.hot')).toBe(false);
+    expect(mapDurationToItems(3).find(item => item.label === 'Socks').quantity).toBe(4);
+    expect(mapWeatherToItems({ maxC: 30 })).toEqual([]);
+  });
+
+  it('loads and validates a rule file', async () => {
+    vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ id: 'team', rules: [{ id: 'team.badge', add: [{ label: 'Office Badge' }] }] })
+    });
+    const ruleSet = await loadRuleSet('rules/team.json');
+    expect(ruleSet.id).toBe('team');
+    expect(ruleSet.rules[0]).toMatchObject({ scope: 'trip', source: 'rule:team.badge' });
+  });
+});
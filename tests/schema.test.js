@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SCHEMA_VERSIONS, SchemaError, migratePayload, stampSchemaVersion } from '../src/schema.js';
+import { loadActiveTripState } from '../src/trips.js';
+import { loadTemplates, saveTemplates } from '../src/utils.js';
+
+// The state written before bags, legs or schema versions existed.
+const versionOneState = {
+  trip: { city: 'Lyon', country: 'France', latitude: 45.76, longitude: 4.84, activities: ['meetings'] },
+  items: [
+    { id: 'a', label: 'Passport', group: 'documents', checked: true },
+    { id: 'b', label: 'Laptop', group: 'tech', checked: false, bag: 'checked' }
+  ]
+};
+
+const versionTwoState = {
+  schemaVersion: 2,
+  trip: { city: 'Oslo', startDate: '2030-01-10', endDate: '2030-01-12' },
+  items: [{ id: 'c', label: 'Gloves', group: 'clothing', bag: 'checked' }]
+};
+
+const versionThreeState = {
+  schemaVersion: 3,
+  trip: {
+    city: 'Rome',
+    startDate: '2030-03-01',
+    endDate: '2030-03-04',
+    legs: [{ id: 'leg-1', city: 'Rome', startDate: '2030-03-01', endDate: '2030-03-04', activities: [] }]
+  },
+  items: [{ id: 'd', label: 'Umbrella', group: 'weather', bag: 'carryOn', legs: ['leg-1'] }],
+  legWeather: []
+};
+
+describe('storage schema migrations', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('upgrades an unversioned state with bag-less items to the current version', () => {
+    const { data, fromVersion, migrated } = migratePayload('state', versionOneState);
+    expect(fromVersion).toBe(1);
+    expect(migrated).toBe(true);
+    expect(data.schemaVersion).toBe(SCHEMA_VERSIONS.state);
+    expect(data.items.map(item => item.bag)).toEqual(['carryOn', 'checked']);
+    expect(data.items.every(item => Array.isArray(item.legs))).toBe(true);
+    expect(data.trip.legs).toEqual([
+      expect.objectContaining({ id: 'leg-1', city: 'Lyon', latitude: 45.76, activities: ['meetings'] })
+    ]);
+    expect(data.trip.origin).toEqual({ city: '', country: '', latitude: null, longitude: null });
+    expect(data).toMatchObject({ legWeather: [], travelWeather: [], forecastHistory: [] });
+  });
+
+  it('upgrades version 2 and 3 states step by step', () => {
+    const fromTwo = migratePayload('state', versionTwoState).data;
+    expect(fromTwo.trip.legs[0]).toMatchObject({ city: 'Oslo', startDate: '2030-01-10', endDate: '2030-01-12' });
+    expect(fromTwo.items[0]).toMatchObject({ bag: 'checked', legs: [] });
+
+    const fromThree = migratePayload('state', versionThreeState).data;
+    expect(fromThree.trip.legs).toEqual(versionThreeState.trip.legs);
+    expect(fromThree.items).toEqual(versionThreeState.items);
+    expect(fromThree).toMatchObject({ schemaVersion: SCHEMA_VERSIONS.state, travelWeather: [], forecastHistory: [] });
+  });
+
+  it('leaves current payloads alone and refuses newer ones', () => {
+    const current = migratePayload('state', versionOneState).data;
+    expect(migratePayload('state', current)).toMatchObject({ data: current, migrated: false });
+
+    const future = { ...current, schemaVersion: SCHEMA_VERSIONS.state + 1 };
+    expect(() => migratePayload('state', future)).toThrow(SchemaError);
+    expect(() => migratePayload('unknown', {})).toThrow(SchemaError);
+  });
+
+  it('wraps a bare template array and gives its items a bag', () => {
+    const { data } = migratePayload('templates', [
+      { id: 'tpl-1', name: 'Conference', items: [{ label: 'Badge', group: 'documents' }] }
+    ]);
+    expect(data).toEqual({
+      schemaVersion: SCHEMA_VERSIONS.templates,
+      templates: [{ id: 'tpl-1', name: 'Conference', items: [{ label: 'Badge', group: 'documents', bag: 'carryOn' }] }]
+    });
+  });
+
+  it('upgrades stored trips and templates on load and saves them versioned', () => {
+    localStorage.setItem(
+      'trips.v1',
+      JSON.stringify({ activeId: 'trip-old', trips: [{ id: 'trip-old', name: 'Lyon', state: versionOneState }] })
+    );
+    expect(loadActiveTripState()).toMatchObject({ schemaVersion: SCHEMA_VERSIONS.state });
+    const stored = JSON.parse(localStorage.getItem('trips.v1'));
+    expect(stored.trips[0].state.schemaVersion).toBe(SCHEMA_VERSIONS.state);
+    expect(stored.trips[0].state.items[0].bag).toBe('carryOn');
+
+    localStorage.setItem('templates.v1', JSON.stringify([{ id: 'tpl-1', name: 'Old', items: [{ label: 'Pen' }] }]));
+    const templates = loadTemplates();
+    expect(templates[0].items[0].bag).toBe('carryOn');
+    saveTemplates(templates);
+    expect(JSON.parse(localStorage.getItem('templates.v1'))).toEqual(
+      stampSchemaVersion('templates', { templates })
+    );
+  });
+});
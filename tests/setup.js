@@ -0,0 +1,11 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { provideBundledData } from '../src/services/data.js';
+import { loadDefaultRules } from '../src/rules.js';
+import { loadCountries } from '../src/services/countries.js';
+
+// There is no server to fetch assets/data from here; hand the files over from disk.
+['default-rules.json', 'countries.json', 'climate-normals.json'].forEach(name => {
+  provideBundledData(name, JSON.parse(readFileSync(resolve('assets/data', name), 'utf8')));
+});
+await Promise.all([loadDefaultRules(), loadCountries()]);
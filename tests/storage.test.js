@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  StorageError,
+  initStorage,
+  createLocalStorageBackend,
+  createIndexedDbBackend,
+  readStored,
+  writeStored,
+  removeStored,
+  onStorageError,
+  onStoredChange,
+  getStorageUsage,
+  getStorageBackendName,
+  formatBytes
+} from '../src/storage.js';
+import { loadTemplates, saveTemplates } from '../src/utils.js';
+
+function createMemoryBackend(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    name: 'memory',
+    cached: true,
+    data,
+    failWith: null,
+    async entries() {
+      return Array.from(data.entries());
+    },
+    async set(key, value) {
+      if (this.failWith) {
+        throw this.failWith;
+      }
+      data.set(key, JSON.parse(JSON.stringify(value)));
+    },
+    async remove(key) {
+      data.delete(key);
+    }
+  };
+}
+
+describe('storage', () => {
+  let stopListening = null;
+  const errors = [];
+
+  beforeEach(() => {
+    localStorage.clear();
+    errors.length = 0;
+    stopListening = onStorageError(error => errors.push(error));
+  });
+
+  afterEach(async () => {
+    stopListening();
+    await initStorage({ backend: createLocalStorageBackend() });
+  });
+
+  it('falls back to localStorage when IndexedDB is missing', async () => {
+    await expect(createIndexedDbBackend({ factory: null })).rejects.toMatchObject({ code: 'unavailable' });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(initStorage()).resolves.toBe(globalThis.indexedDB ? 'IndexedDB' : 'localStorage');
+    warn.mockRestore();
+
+    await expect(writeStored('preferences.v1', { units: 'imperial' })).resolves.toBe(true);
+    expect(JSON.parse(localStorage.getItem('preferences.v1'))).toEqual({ units: 'imperial' });
+    expect(readStored('preferences.v1')).toEqual({ units: 'imperial' });
+    expect(readStored('missing.v1', [])).toEqual([]);
+  });
+
+  it('reports a full quota instead of failing silently', async () => {
+    const store = {
+      getItem: () => null,
+      removeItem: () => {},
+      setItem: () => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      }
+    };
+    await initStorage({ backend: createLocalStorageBackend(store) });
+    await expect(writeStored('trips.v1', { trips: [] })).resolves.toBe(false);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(StorageError);
+    expect(errors[0].code).toBe('quota-exceeded');
+  });
+
+  it('serves a cached backend from memory and persists writes in order', async () => {
+    const backend = createMemoryBackend({ 'templates.v1': { schemaVersion: 2, templates: [] } });
+    await expect(initStorage({ backend })).resolves.toBe('memory');
+    expect(getStorageBackendName()).toBe('memory');
+    expect(loadTemplates()).toEqual([]);
+
+    const template = { id: 'tpl-1', name: 'Conference', items: [{ label: 'Badge', bag: 'work' }] };
+    const saved = saveTemplates([template]);
+    expect(loadTemplates()).toEqual([template]);
+    await expect(saved).resolves.toBe(true);
+    expect(backend.data.get('templates.v1').templates).toEqual([template]);
+
+    const copy = readStored('templates.v1');
+    copy.templates = [];
+    expect(loadTemplates()).toEqual([template]);
+
+    await removeStored('templates.v1');
+    expect(backend.data.has('templates.v1')).toBe(false);
+    expect(readStored('templates.v1')).toBeNull();
+
+    backend.failWith = new DOMException('Quota exceeded', 'QuotaExceededError');
+    await expect(writeStored('trips.v1', { trips: [] })).resolves.toBe(false);
+    expect(errors.map(error => error.code)).toEqual(['quota-exceeded']);
+  });
+
+  it('moves values saved in localStorage into the new backend on first read', async () => {
+    localStorage.setItem('preferences.v1', JSON.stringify({ units: 'imperial' }));
+    const backend = createMemoryBackend();
+    await initStorage({ backend });
+    expect(readStored('preferences.v1')).toEqual({ units: 'imperial' });
+    await writeStored('other.v1', 1);
+    expect(backend.data.get('preferences.v1')).toEqual({ units: 'imperial' });
+    expect(localStorage.getItem('preferences.v1')).toBeNull();
+  });
+
+  it.skipIf(typeof BroadcastChannel === 'undefined')('picks up values another tab saved', async () => {
+    await initStorage({ backend: createMemoryBackend() });
+    const otherTab = new BroadcastChannel('business-trip-checklist');
+    const changed = new Promise(resolve => {
+      const stop = onStoredChange(key => {
+        stop();
+        resolve(key);
+      });
+    });
+    otherTab.postMessage({ key: 'preferences.v1', value: { units: 'imperial' } });
+    await expect(changed).resolves.toBe('preferences.v1');
+    expect(readStored('preferences.v1')).toEqual({ units: 'imperial' });
+    otherTab.close();
+  });
+
+  it('reads out how much is stored', async () => {
+    await writeStored('preferences.v1', { units: 'metric' });
+    const usage = await getStorageUsage();
+    expect(usage).toMatchObject({ backend: 'localStorage', quotaBytes: null });
+    expect(usage.usedBytes).toBe(('preferences.v1'.length + '{"units":"metric"}'.length) * 2);
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(25 * 1024 * 1024)).toBe('25 MB');
+  });
+});
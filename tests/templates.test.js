@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TEMPLATE_FILE_FORMAT,
+  TEMPLATE_ITEM_LIMIT,
+  TemplateError,
+  createTemplateFile,
+  serializeTemplateFile,
+  getTemplateFileName,
+  parseTemplateFile,
+  planTemplateImport,
+  normalizeTemplateItems,
+  serializeTemplateToURL,
+  deserializeTemplateFromURL,
+  TEMPLATE_SHARE_PARAM
+} from '../src/templates.js';
+import { base64UrlEncode } from '../src/utils.js';
+
+const conference = {
+  id: 'tpl-conf',
+  name: 'Conference',
+  items: [{ label: 'Badge', group: 'documents', bag: 'work' }],
+  meta: { createdAtISO: '2030-01-01T00:00:00.000Z' }
+};
+const beach = { id: 'tpl-beach', name: 'Beach', items: [{ label: 'Sunscreen', group: 'toiletries', bag: 'checked' }] };
+
+describe('template files', () => {
+  it('normalizes items the way applying a template does', () => {
+    const items = normalizeTemplateItems(
+      {
+        items: [
+          { label: ' Badge ', bag: 'work', quantity: 2 },
+          { label: 'badge', bag: 'work' },
+          { label: 'Badge', group: 'documents' },
+          { label: '' },
+          null
+        ]
+      },
+      { defaultBag: 'checked' }
+    );
+    expect(items).toEqual([
+      { label: 'Badge', group: 'other', bag: 'work', qty: 2 },
+      { label: 'Badge', group: 'documents', bag: 'checked', qty: undefined }
+    ]);
+    const many = { items: Array.from({ length: TEMPLATE_ITEM_LIMIT + 5 }, (_, index) => ({ label: `Item ${index}` })) };
+    expect(normalizeTemplateItems(many)).toHaveLength(TEMPLATE_ITEM_LIMIT);
+  });
+
+  it('exports templates to a versioned file and reads it back', () => {
+    const now = new Date(2030, 0, 20);
+    const text = serializeTemplateFile(createTemplateFile([conference, beach], { now }));
+    expect(JSON.parse(text)).toMatchObject({ format: TEMPLATE_FILE_FORMAT, version: 1, schemaVersion: 2 });
+    expect(getTemplateFileName([conference, beach], now)).toBe('trip-checklist-templates-2030-01-20.json');
+    expect(getTemplateFileName([conference], now)).toBe('template-conference.json');
+
+    const { templates, problems } = parseTemplateFile(text);
+    expect(problems).toEqual([]);
+    expect(templates.map(template => template.name)).toEqual(['Conference', 'Beach']);
+    expect(templates[0]).toMatchObject({ items: [{ label: 'Badge', bag: 'work' }], meta: conference.meta, skipped: 0 });
+  });
+
+  it('accepts bare lists and single templates and reports what it leaves out', () => {
+    const list = parseTemplateFile(
+      JSON.stringify([
+        { name: 'Old', items: [{ label: 'Pen' }, { label: 'Pen' }] },
+        { name: '', items: [{ label: 'Pen' }] },
+        { name: 'Empty', items: [{ group: 'other' }] }
+      ])
+    );
+    expect(list.templates).toHaveLength(1);
+    expect(list.templates[0]).toMatchObject({ name: 'Old', items: [{ label: 'Pen', bag: 'carryOn' }], skipped: 1 });
+    expect(list.problems).toEqual(['template #2: "name" is required', 'template "Empty": no item has a label']);
+
+    const single = parseTemplateFile(JSON.stringify({ name: 'Solo', items: [{ label: 'Cable' }] }), { defaultBag: 'work' });
+    expect(single.templates[0].items[0].bag).toBe('work');
+
+    expect(() => parseTemplateFile('{')).toThrow(TemplateError);
+    expect(() => parseTemplateFile(JSON.stringify({ format: 'other', templates: [] }))).toThrow(/not a template file/);
+    expect(() => parseTemplateFile(JSON.stringify({ format: TEMPLATE_FILE_FORMAT, version: 9, templates: [] }))).toThrow(
+      /newer version/
+    );
+    try {
+      parseTemplateFile(JSON.stringify({ templates: [{ name: 'Nothing', items: [] }] }));
+      throw new Error('expected a TemplateError');
+    } catch (err) {
+      expect(err.code).toBe('invalid-templates');
+      expect(err.problems).toEqual(['template "Nothing": no item has a label']);
+    }
+  });
+
+  it('keeps both or replaces templates whose name is already taken', () => {
+    const now = new Date('2030-01-20T10:00:00Z');
+    const { templates: incoming } = parseTemplateFile(
+      JSON.stringify([
+        { name: 'conference', items: [{ label: 'Lanyard' }] },
+        { name: 'Hiking', items: [{ label: 'Boots' }] }
+      ])
+    );
+    const existing = [conference, { ...conference, id: 'tpl-copy', name: 'Conference (2)' }];
+
+    const kept = planTemplateImport(incoming, existing, { now });
+    expect(kept.renamed).toEqual([{ from: 'conference', to: 'conference (3)' }]);
+    expect(kept.added).toEqual(['Hiking']);
+    expect(kept.templates).toHaveLength(4);
+    expect(kept.templates[2].meta.importedAtISO).toBe(now.toISOString());
+
+    const replaced = planTemplateImport(incoming, existing, { onDuplicate: 'replace', now });
+    expect(replaced.replaced).toEqual(['conference']);
+    expect(replaced.templates[0]).toMatchObject({ id: 'tpl-conf', name: 'conference', items: [{ label: 'Lanyard' }] });
+    expect(replaced.templates).toHaveLength(3);
+    expect(() => planTemplateImport(incoming, existing, { onDuplicate: 'merge' })).toThrow(TemplateError);
+  });
+});
+
+describe('template links', () => {
+  it('round-trips a template through a compact, versioned link', () => {
+    const url = serializeTemplateToURL(
+      { name: 'Conference', items: [...conference.items, { label: 'Notebook', qty: 2 }, { label: '' }] },
+      'https://example.com/app/',
+      { defaultBag: 'personal' }
+    );
+    const { search } = new URL(url);
+    expect(search.startsWith(`?${TEMPLATE_SHARE_PARAM}=`)).toBe(true);
+    expect(deserializeTemplateFromURL(search)).toEqual({
+      name: 'Conference',
+      items: [
+        { label: 'Badge', group: 'documents', bag: 'work', qty: undefined },
+        { label: 'Notebook', group: 'other', bag: 'personal', qty: 2 }
+      ]
+    });
+    expect(deserializeTemplateFromURL('?s=abc')).toBeNull();
+  });
+
+  it('rejects damaged, empty and newer template links', () => {
+    const link = payload => `?${TEMPLATE_SHARE_PARAM}=${base64UrlEncode(JSON.stringify(payload))}`;
+    expect(() => deserializeTemplateFromURL(`?${TEMPLATE_SHARE_PARAM}=%%%`)).toThrow(TemplateError);
+    expect(() => deserializeTemplateFromURL(link({ v: 2, n: 'Later', i: [{ l: 'Pen' }] }))).toThrow(/newer version/);
+    expect(() => deserializeTemplateFromURL(link({ v: 1, n: 'Empty', i: [{ g: 'other' }] }))).toThrow(/no items/);
+    expect(() => deserializeTemplateFromURL(link({ v: 1, i: [{ l: 'Pen' }] }))).toThrow(/damaged/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  describeTimeZone,
+  formatTimeDifference,
+  formatTimeZoneSummary,
+  formatUtcOffset,
+  getZoneOffsetMinutes
+} from '../src/services/timezone.js';
+import { createOpenMeteoProvider } from '../src/services/weather/open-meteo.js';
+
+describe('time zone service', () => {
+  const now = new Date('2030-01-15T12:00:00Z');
+
+  it('follows daylight saving time for IANA zones', () => {
+    expect(getZoneOffsetMinutes('Europe/Berlin', now)).toBe(60);
+    expect(getZoneOffsetMinutes('Europe/Berlin', new Date('2030-07-15T12:00:00Z'))).toBe(120);
+    expect(getZoneOffsetMinutes('Asia/Kolkata', now)).toBe(330);
+    expect(getZoneOffsetMinutes('Mars/Olympus_Mons', now)).toBeNull();
+  });
+
+  it('describes the destination relative to the home zone', () => {
+    const zone = describeTimeZone(
+      { id: 'Asia/Kolkata', abbreviation: 'IST', utcOffsetSeconds: 19800 },
+      { now, homeTimeZone: 'America/New_York' }
+    );
+    expect(zone).toMatchObject({ offsetMinutes: 330, differenceMinutes: 630 });
+    expect(zone.localTime).toMatch(/(17|05):30/);
+    expect(formatTimeZoneSummary(zone)).toBe('Asia/Kolkata (IST, UTC+5:30, 10 h 30 min ahead of you)');
+  });
+
+  it('falls back to the reported offset and formats differences', () => {
+    const zone = describeTimeZone({ utcOffsetSeconds: -10800 }, { now, homeTimeZone: 'UTC' });
+    expect(zone).toMatchObject({ id: '', offsetMinutes: -180, differenceMinutes: -180 });
+    expect(formatUtcOffset(-180)).toBe('UTC−3');
+    expect(formatTimeDifference(0)).toBe('same time as you');
+    expect(formatTimeDifference(-180)).toBe('3 h behind you');
+    expect(describeTimeZone(null)).toBeNull();
+  });
+
+  it('keeps the zone and sun times Open-Meteo returns', () => {
+    const provider = createOpenMeteoProvider();
+    const weather = provider.normalize(
+      { name: 'Berlin' },
+      {
+        timezone: 'Europe/Berlin',
+        timezone_abbreviation: 'CET',
+        utc_offset_seconds: 3600,
+        current_weather: { temperature: 3, weathercode: 3, windspeed: 10 },
+        daily: {
+          time: ['2030-01-15'],
+          temperature_2m_min: [-1],
+          temperature_2m_max: [4],
+          precipitation_sum: [0],
+          sunrise: ['2030-01-15T08:10'],
+          sunset: ['2030-01-15T16:20']
+        }
+      },
+      { startDate: '2030-01-15', endDate: '2030-01-15' }
+    );
+    expect(weather.timeZone).toEqual({ id: 'Europe/Berlin', abbreviation: 'CET', utcOffsetSeconds: 3600 });
+    expect(weather).toMatchObject({ sunrise: '08:10', sunset: '16:20' });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  loadTripLibrary,
+  listTrips,
+  getActiveTripId,
+  loadActiveTripState,
+  saveActiveTripState,
+  createTrip,
+  duplicateTrip,
+  renameTrip,
+  archiveTrip,
+  deleteTrip,
+  switchTrip,
+  onTripLibraryChange,
+  TripError
+} from '../src/trips.js';
+import { initStorage, createLocalStorageBackend } from '../src/storage.js';
+import { migratePayload } from '../src/schema.js';
+
+vi.mock('../src/schema.js', async importOriginal => {
+  const schema = await importOriginal();
+  return { ...schema, migratePayload: vi.fn(schema.migratePayload) };
+});
+
+const berlin = {
+  trip: { city: 'Berlin', startDate: '2030-05-06', endDate: '2030-05-09', legs: [{ id: 'leg-1', city: 'Berlin' }] },
+  items: [
+    { id: 'a', label: 'Passport', group: 'documents', checked: true },
+    { id: 'b', label: 'Laptop', group: 'tech', checked: false }
+  ],
+  forecastHistory: [{ takenAt: '2030-05-01T08:00:00.000Z', legs: [], items: [] }]
+};
+
+describe('trip library', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it('moves the legacy single state into the library on first load', () => {
+    localStorage.setItem('business-trip-checklist-state', JSON.stringify(berlin));
+    const library = loadTripLibrary();
+    expect(library.trips).toHaveLength(1);
+    expect(library.trips[0]).toMatchObject({ name: 'Berlin', archived: false, state: { trip: berlin.trip } });
+    expect(localStorage.getItem('business-trip-checklist-state')).toBeNull();
+    expect(loadActiveTripState()).toMatchObject({ schemaVersion: 4, forecastHistory: berlin.forecastHistory });
+  });
+
+  it('upgrades saved trips once instead of on every read', () => {
+    localStorage.setItem(
+      'trips.v1',
+      JSON.stringify({ activeId: 'trip-old', trips: [{ id: 'trip-old', name: 'Old', state: { items: [{ label: 'Pen' }] } }] })
+    );
+    migratePayload.mockClear();
+    expect(loadActiveTripState()).toMatchObject({ schemaVersion: 4, items: [{ label: 'Pen', bag: 'carryOn' }] });
+    expect(migratePayload).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem('trips.v1')).trips[0].state.schemaVersion).toBe(4);
+
+    listTrips();
+    loadActiveTripState();
+    getActiveTripId();
+    expect(migratePayload).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates, switches and summarises trips', () => {
+    saveActiveTripState(berlin);
+    const berlinId = getActiveTripId();
+    const madridId = createTrip({ name: 'Madrid offsite' });
+    expect(getActiveTripId()).toBe(madridId);
+    expect(loadActiveTripState()).toBeNull();
+
+    expect(switchTrip(berlinId)).toEqual({ ...berlin, schemaVersion: 4 });
+    const [summary] = listTrips().filter(trip => trip.id === berlinId);
+    expect(summary).toMatchObject({ name: 'Berlin', destination: 'Berlin', packed: 1, total: 2, active: true });
+    expect(summary.dates).not.toBe('');
+  });
+
+  it('duplicates a trip with nothing packed', () => {
+    saveActiveTripState(berlin);
+    const copyId = duplicateTrip(getActiveTripId());
+    expect(getActiveTripId()).toBe(copyId);
+    const copy = loadActiveTripState();
+    expect(copy.items.every(item => !item.checked)).toBe(true);
+    expect(copy.forecastHistory).toEqual([]);
+    expect(listTrips().find(trip => trip.id === copyId).name).toBe('Berlin (copy)');
+  });
+
+  it('renames, archives and deletes trips', () => {
+    saveActiveTripState(berlin);
+    const berlinId = getActiveTripId();
+    const otherId = createTrip({ name: 'Tokyo' });
+    renameTrip(berlinId, '  Berlin trade fair ');
+    expect(listTrips().find(trip => trip.id === berlinId).name).toBe('Berlin trade fair');
+    expect(() => renameTrip(berlinId, ' ')).toThrow(TripError);
+
+    expect(archiveTrip(otherId)).toBe(berlinId);
+    expect(listTrips().map(trip => trip.id)).toEqual([berlinId]);
+    expect(listTrips({ includeArchived: true })).toHaveLength(2);
+    archiveTrip(otherId, false);
+    expect(listTrips()).toHaveLength(2);
+
+    deleteTrip(otherId);
+    const freshId = deleteTrip(berlinId);
+    expect(listTrips().map(trip => trip.id)).toEqual([freshId]);
+    expect(() => switchTrip(berlinId)).toThrow(TripError);
+  });
+
+  it('reports what another tab saved and the state it started from', async () => {
+    await initStorage({ backend: createLocalStorageBackend() });
+    saveActiveTripState(berlin);
+    const changes = [];
+    const stop = onTripLibraryChange(change => changes.push(change));
+    const saveFromOtherTab = library => {
+      localStorage.setItem('trips.v1', JSON.stringify(library));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'trips.v1' }));
+    };
+
+    const library = JSON.parse(localStorage.getItem('trips.v1'));
+    const [trip] = library.trips;
+    const edited = {
+      ...trip,
+      state: { ...trip.state, items: trip.state.items.slice(1) },
+      parent: { revision: trip.revision, writer: trip.writer },
+      revision: trip.revision + 1,
+      writer: 'tab-other'
+    };
+    saveFromOtherTab({ ...library, trips: [edited] });
+    expect(changes).toEqual([expect.objectContaining({ removed: false, stateChanged: true, remoteWins: true })]);
+    expect(changes[0].base).toEqual(trip.state);
+    expect(changes[0].state.items).toHaveLength(1);
+
+    saveFromOtherTab({ activeId: 'trip-tokyo', trips: [edited, { ...edited, id: 'trip-tokyo', name: 'Tokyo' }] });
+    expect(changes[1]).toMatchObject({ removed: false, stateChanged: false });
+    expect(getActiveTripId()).toBe(trip.id);
+    stop();
+  });
+
+  it('keeps a separate active trip in each tab', async () => {
+    await initStorage({ backend: createLocalStorageBackend() });
+    saveActiveTripState(berlin);
+    const berlinId = getActiveTripId();
+    const changes = [];
+    const stop = onTripLibraryChange(change => changes.push(change));
+    const notifyThisTab = () => window.dispatchEvent(new StorageEvent('storage', { key: 'trips.v1' }));
+
+    // A second copy of the module, with a session of its own, stands in for another tab.
+    sessionStorage.clear();
+    vi.resetModules();
+    const otherTab = await import('../src/trips.js');
+    expect(otherTab.getActiveTripId()).toBe(berlinId);
+    const sharedId = otherTab.createTrip({ name: 'Shared trip', state: { trip: { city: 'Oslo' }, items: [] } });
+    notifyThisTab();
+
+    expect(changes).toEqual([expect.objectContaining({ removed: false, stateChanged: false })]);
+    expect(getActiveTripId()).toBe(berlinId);
+    expect(loadActiveTripState().trip.city).toBe('Berlin');
+    expect(listTrips().find(entry => entry.active).id).toBe(berlinId);
+    expect(otherTab.getActiveTripId()).toBe(sharedId);
+
+    saveActiveTripState({ ...berlin, items: [] });
+    expect(otherTab.loadActiveTripState().trip.city).toBe('Oslo');
+
+    otherTab.deleteTrip(berlinId);
+    notifyThisTab();
+    expect(changes[1]).toMatchObject({ removed: true, stateChanged: false });
+    expect(getActiveTripId()).toBe(sharedId);
+    stop();
+  });
+});
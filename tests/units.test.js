@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  configureUnits,
+  getUnits,
+  setUnits,
+  loadUnitsPreference,
+  formatTemperature,
+  formatPrecipitation,
+  formatWind
+} from '../src/units.js';
+import { renderWeatherStatus, extractWeatherChecklistItems } from '../src/weather.js';
+import { initChecklist, getAppState, renderChecklistForExport } from '../src/checklist.js';
+
+const weather = {
+  location: { name: 'Chicago', country: 'United States' },
+  summary: 'Clear',
+  tempC: 30,
+  windKph: 16.1,
+  minC: -5,
+  maxC: 30,
+  precipitation: 12.7,
+  startDate: '',
+  endDate: '',
+  days: []
+};
+
+describe('units', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    configureUnits({ units: 'metric' });
+    loadUnitsPreference();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    loadUnitsPreference();
+  });
+
+  it('converts metric values only when formatting', () => {
+    expect(formatTemperature(30, { units: 'imperial' })).toBe('86°F');
+    expect(formatTemperature(-5, { units: 'metric' })).toBe('-5°C');
+    expect(formatPrecipitation(12.7, { units: 'imperial' })).toBe('0.5 in');
+    expect(formatWind(16.1, { units: 'imperial' })).toBe('10 mph');
+    expect(formatWind(null)).toBe('—');
+  });
+
+  it('persists the preference over the configured default', () => {
+    configureUnits({ units: 'imperial' });
+    expect(getUnits()).toBe('imperial');
+    setUnits('metric');
+    configureUnits({ units: 'imperial' });
+    expect(loadUnitsPreference()).toBe('metric');
+    expect(JSON.parse(localStorage.getItem('preferences.v1'))).toEqual({ units: 'metric' });
+  });
+
+  it('renders the weather card and export in imperial without touching rule thresholds', () => {
+    document.body.innerHTML = '<div id="weatherOutput"></div>';
+    const metricItems = extractWeatherChecklistItems(weather).map(item => item.label);
+    setUnits('imperial');
+    renderWeatherStatus({ status: 'success', data: weather });
+    const card = document.querySelector('#weatherOutput').textContent;
+    expect(card).toContain('86°F');
+    expect(card).toContain('0.5 in');
+    expect(card).not.toContain('°C');
+    expect(extractWeatherChecklistItems(weather).map(item => item.label)).toEqual(metricItems);
+
+    initChecklist();
+    const exportDoc = renderChecklistForExport({ ...getAppState(), weather });
+    expect(exportDoc.querySelector('.export-weather__temp').textContent).toBe('86°F');
+  });
+});
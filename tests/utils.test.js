@@ -8,7 +8,10 @@ import {
   loadTemplates,
   saveTemplates,
   normalizeLabel,
-  makeItemKey
+  makeItemKey,
+  calculateTripDays,
+  parseISODate,
+  pickWeatherCacheKey
 } from '../src/utils.js';
 
 const baseState = {
@@ -16,6 +19,8 @@ const baseState = {
     city: 'Berlin',
     country: 'Germany',
     durationDays: 4,
+    startDate: '2024-05-06',
+    endDate: '2024-05-09',
     activities: ['pitching', 'networking'],
     generatedAt: '2024-05-01T08:00:00.000Z'
   },
@@ -83,6 +88,17 @@ describe('share serialization', () => {
     expect(parsed.weather).toEqual(baseState.weather);
   });
 
+  it('shares the origin and worn items', () => {
+    const state = {
+      ...baseState,
+      trip: { ...baseState.trip, origin: { city: 'Helsinki', country: 'Finland', latitude: 60.17, longitude: 24.94 } },
+      items: [{ id: 'weather-clothing-warm-coat', group: 'clothing', label: 'Warm Coat', source: 'weather', worn: true }]
+    };
+    const parsed = deserializeStateFromURL(new URL(serializeStateToURL(state, 'https://example.com/')).search);
+    expect(parsed.trip.origin).toEqual(state.trip.origin);
+    expect(parsed.items[0].worn).toBe(true);
+  });
+
   it('supports large lists', () => {
     const largeState = {
       ...baseState,
@@ -99,6 +115,42 @@ describe('share serialization', () => {
     expect(parsed.items.length).toBe(largeState.items.length);
   });
 
+  it('round-trips itinerary legs and item leg references', () => {
+    const state = {
+      ...baseState,
+      trip: {
+        ...baseState.trip,
+        legs: [
+          { id: 'leg-1', city: 'Berlin', country: 'Germany', startDate: '2024-05-06', endDate: '2024-05-07', activities: ['pitching'] },
+          { id: 'leg-2', city: 'Madrid', country: 'Spain', startDate: '2024-05-08', endDate: '2024-05-09', activities: [] }
+        ]
+      },
+      items: [{ ...baseState.items[0], legs: ['leg-2'] }]
+    };
+    const url = serializeStateToURL(state, 'https://example.com');
+    const parsed = deserializeStateFromURL(new URL(url).search);
+    expect(parsed.trip.legs).toEqual(state.trip.legs);
+    expect(parsed.items[0].legs).toEqual(['leg-2']);
+  });
+
+  it('round-trips pinned coordinates for the trip and its legs', () => {
+    const state = {
+      ...baseState,
+      trip: {
+        ...baseState.trip,
+        latitude: 50.11,
+        longitude: 8.68,
+        legs: [
+          { id: 'leg-1', city: 'Frankfurt', country: 'Germany', latitude: 50.11, longitude: 8.68, startDate: '2024-05-06', endDate: '2024-05-07', activities: [] },
+          { id: 'leg-2', city: 'Portland', country: 'United States', latitude: 43.66, longitude: -70.26, startDate: '2024-05-08', endDate: '2024-05-09', activities: [] }
+        ]
+      }
+    };
+    const parsed = deserializeStateFromURL(new URL(serializeStateToURL(state, 'https://example.com')).search);
+    expect(parsed.trip.latitude).toBe(50.11);
+    expect(parsed.trip.legs[1]).toMatchObject({ latitude: 43.66, longitude: -70.26 });
+  });
+
   it('returns null for invalid payloads', () => {
     const result = deserializeStateFromURL('?s=invalidpayload');
     expect(result).toBeNull();
@@ -141,3 +193,25 @@ describe('label normalization helpers', () => {
     expect(makeItemKey('Travel Mug', 'work')).toBe('travel mug|work');
   });
 });
+
+describe('trip date helpers', () => {
+  it('counts trip days inclusively', () => {
+    expect(calculateTripDays('2024-05-06', '2024-05-09')).toBe(4);
+    expect(calculateTripDays('2024-05-06', '2024-05-06')).toBe(1);
+  });
+
+  it('rejects reversed or malformed ranges', () => {
+    expect(calculateTripDays('2024-05-09', '2024-05-06')).toBeNull();
+    expect(calculateTripDays('2024-02-30', '2024-03-02')).toBeNull();
+    expect(parseISODate('05/06/2024')).toBeNull();
+  });
+});
+
+describe('weather cache keys', () => {
+  it('separates entries for pinned locations with the same city name', () => {
+    const oregon = pickWeatherCacheKey('Portland', '', { latitude: 45.52, longitude: -122.68 });
+    const maine = pickWeatherCacheKey('Portland', '', { latitude: 43.66, longitude: -70.26 });
+    expect(oregon).not.toBe(maine);
+    expect(pickWeatherCacheKey('Portland', '')).not.toContain('@');
+  });
+});
@@ -1,5 +1,21 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { fetchWeather, clearWeatherCache, WeatherError } from '../src/weather.js';
+import {
+  fetchWeather,
+  fetchItineraryWeather,
+  fetchTravelDayWeather,
+  extractTravelDayItems,
+  searchLocations,
+  clearWeatherCache,
+  inspectWeatherCache,
+  removeWeatherCacheEntry,
+  configureWeather,
+  renderForecastChangeNotice,
+  renderWeatherStatus,
+  extractWeatherChecklistItems,
+  WeatherError
+} from '../src/weather.js';
+import { toISODate, addDays } from '../src/utils.js';
+import { configureWeatherThresholds } from '../src/rules.js';
 
 function createMockResponse(payload, ok = true) {
   return {
@@ -10,6 +26,8 @@ function createMockResponse(payload, ok = true) {
 
 describe('weather module', () => {
   beforeEach(() => {
+    // These tests count forecast requests; air quality has its own test.
+    configureWeather({ providers: ['open-meteo'], airQuality: false });
     clearWeatherCache();
   });
 
@@ -67,4 +85,277 @@ describe('weather module', () => {
 
     await expect(fetchWeather('Nowhere')).rejects.toBeInstanceOf(WeatherError);
   });
+
+  it('aggregates daily forecasts across the trip dates', async () => {
+    const startDate = addDays(toISODate(), 2);
+    const endDate = addDays(startDate, 2);
+    const geocodePayload = {
+      results: [{ name: 'Oslo', country: 'Norway', latitude: 59.91, longitude: 10.75 }]
+    };
+    const forecastPayload = {
+      current_weather: { temperature: 4, weathercode: 61, windspeed: 20 },
+      daily: {
+        time: [startDate, addDays(startDate, 1), endDate],
+        temperature_2m_min: [2, -1, 3],
+        temperature_2m_max: [7, 5, 9],
+        precipitation_sum: [0.5, 0, 2]
+      }
+    };
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce(createMockResponse(geocodePayload))
+      .mockResolvedValueOnce(createMockResponse(forecastPayload));
+
+    const weather = await fetchWeather('Oslo', { startDate, endDate });
+    const forecastUrl = new URL(fetchMock.mock.calls[1][0]);
+    expect(forecastUrl.searchParams.get('start_date')).toBe(startDate);
+    expect(forecastUrl.searchParams.get('end_date')).toBe(endDate);
+    expect(weather.minC).toBe(-1);
+    expect(weather.maxC).toBe(9);
+    expect(weather.precipitation).toBe(2);
+    expect(weather.precipitationTotal).toBe(2.5);
+    expect(weather.days).toHaveLength(3);
+  });
+
+  it('asks the rain rules about the wettest day, not the whole stay', async () => {
+    const startDate = addDays(toISODate(), 1);
+    const endDate = addDays(startDate, 9);
+    const time = Array.from({ length: 10 }, (_, index) => addDays(startDate, index));
+    vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(
+      createMockResponse({
+        daily: {
+          time,
+          temperature_2m_min: time.map(() => 12),
+          temperature_2m_max: time.map(() => 18),
+          precipitation_sum: time.map(() => 1.5)
+        }
+      })
+    );
+    configureWeatherThresholds({ rainMm: 4 });
+    try {
+      const weather = await fetchWeather('Oslo', { startDate, endDate, latitude: 59.91, longitude: 10.75 });
+      expect(weather).toMatchObject({ precipitation: 1.5, precipitationTotal: 15 });
+      expect(extractWeatherChecklistItems(weather).map(item => item.label)).not.toContain('Umbrella');
+      expect(extractWeatherChecklistItems({ ...weather, precipitation: 6 }).map(item => item.label)).toContain('Umbrella');
+    } finally {
+      configureWeatherThresholds({});
+    }
+  });
+
+  it('rejects trips beyond the forecast horizon without climate normals nearby', async () => {
+    const fetchMock = vi.spyOn(globalThis, 'fetch');
+    const startDate = addDays(toISODate(), 40);
+    await expect(
+      fetchWeather('Azores', { startDate, endDate: startDate, latitude: 37.74, longitude: -25.67 })
+    ).rejects.toHaveProperty('code', 'out-of-range');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('reports per-leg failures without failing the whole itinerary', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      const { searchParams, pathname } = new URL(url);
+      if (pathname.endsWith('/search')) {
+        return searchParams.get('name') === 'Atlantis'
+          ? createMockResponse({ results: [] })
+          : createMockResponse({ results: [{ name: 'Madrid', country: 'Spain', latitude: 40.4, longitude: -3.7 }] });
+      }
+      return createMockResponse({
+        current_weather: { temperature: 28, weathercode: 0, windspeed: 5 },
+        daily: { temperature_2m_min: [18, 19], temperature_2m_max: [30, 31], precipitation_sum: [0, 0] }
+      });
+    });
+
+    const results = await fetchItineraryWeather([
+      { id: 'leg-1', city: 'Madrid' },
+      { id: 'leg-2', city: 'Atlantis' }
+    ]);
+    expect(results[0].weather.maxC).toBe(31);
+    expect(results[1].weather).toBeNull();
+    expect(results[1].error).toBeInstanceOf(WeatherError);
+  });
+
+  it('returns several geocoding candidates and skips geocoding for pinned legs', async () => {
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      const { searchParams, pathname } = new URL(url);
+      if (pathname.endsWith('/search')) {
+        expect(searchParams.get('count')).toBe('5');
+        return createMockResponse({
+          results: [
+            {
+              id: 1,
+              name: 'Portland',
+              admin1: 'Oregon',
+              country: 'United States',
+              country_code: 'US',
+              population: 632309,
+              latitude: 45.52,
+              longitude: -122.68
+            },
+            {
+              id: 2,
+              name: 'Portland',
+              admin1: 'Maine',
+              country: 'United States',
+              country_code: 'US',
+              population: 66194,
+              latitude: 43.66,
+              longitude: -70.26
+            }
+          ]
+        });
+      }
+      return createMockResponse({
+        current_weather: { temperature: 12, weathercode: 3, windspeed: 5 },
+        daily: { temperature_2m_min: [4, 5], temperature_2m_max: [11, 12], precipitation_sum: [0, 2] }
+      });
+    });
+
+    const candidates = await searchLocations('Portland');
+    expect(candidates.map(candidate => candidate.admin1)).toEqual(['Oregon', 'Maine']);
+    expect(candidates[1]).toMatchObject({ countryCode: 'US', population: 66194 });
+
+    fetchMock.mockClear();
+    const [result] = await fetchItineraryWeather([
+      { id: 'leg-1', city: 'Portland', latitude: 43.66, longitude: -70.26 }
+    ]);
+    expect(result.candidates).toEqual([]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const forecastParams = new URL(fetchMock.mock.calls[0][0]).searchParams;
+    expect(forecastParams.get('latitude')).toBe('43.66');
+    expect(result.weather.location).toMatchObject({ latitude: 43.66, longitude: -70.26 });
+  });
+
+  it('fetches the origin weather for the departure and return days', async () => {
+    const startDate = addDays(toISODate(), 3);
+    const endDate = addDays(startDate, 4);
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      const { searchParams } = new URL(url);
+      const departure = searchParams.get('start_date') === startDate;
+      return createMockResponse({
+        current_weather: { temperature: -6, weathercode: 3, windspeed: 15 },
+        daily: {
+          time: [searchParams.get('start_date')],
+          temperature_2m_min: [departure ? -9 : 6],
+          temperature_2m_max: [departure ? -3 : 11],
+          precipitation_sum: [departure ? 0 : 3]
+        }
+      });
+    });
+
+    const days = await fetchTravelDayWeather(
+      { city: 'Helsinki', country: 'Finland', latitude: 60.17, longitude: 24.94 },
+      { startDate, endDate }
+    );
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(days.map(entry => [entry.day, entry.date])).toEqual([
+      ['departure', startDate],
+      ['return', endDate]
+    ]);
+    expect(extractTravelDayItems(days[0].weather, 'departure').map(item => [item.label, item.worn])).toEqual([
+      ['Warm Coat', true],
+      ['Scarf', true]
+    ]);
+    expect(extractTravelDayItems(days[1].weather, 'return').map(item => item.label)).toEqual(['Raincoat']);
+    expect(await fetchTravelDayWeather({ city: '' }, { startDate })).toEqual([]);
+  });
+});
+
+describe('forecast change notice', () => {
+  it('offers a changed forecast and reports the choice', () => {
+    document.body.innerHTML = '<div id="forecastChangeNotice" hidden></div>';
+    const onAccept = vi.fn();
+    renderForecastChangeNotice(
+      { added: [{ label: 'Umbrella' }], removed: [{ label: 'Sunglasses' }] },
+      { onAccept, onDismiss: vi.fn() }
+    );
+    const notice = document.querySelector('#forecastChangeNotice');
+    expect(notice.hidden).toBe(false);
+    expect(notice.textContent).toContain('Forecast changed: +Umbrella, −Sunglasses');
+    notice.querySelector('button').click();
+    expect(onAccept).toHaveBeenCalledTimes(1);
+
+    renderForecastChangeNotice({ added: [], removed: [] });
+    expect(notice.hidden).toBe(true);
+    expect(notice.textContent).toBe('');
+  });
+});
+
+describe('weather card', () => {
+  it('escapes the place and summary it shows', () => {
+    document.body.innerHTML = '<div id="weatherOutput"></div>';
+    const name = 'Bad <img src=x onerror="alert(1)"> & Co';
+    renderWeatherStatus({
+      status: 'success',
+      data: {
+        location: { name, country: '<b>"DE"</b>' },
+        summary: 'Rain" onmouseover="alert(1)',
+        tempC: 10,
+        minC: 5,
+        maxC: 12,
+        precipitation: 1
+      }
+    });
+    const output = document.querySelector('#weatherOutput');
+    expect(output.querySelector('img, b')).toBeNull();
+    expect(output.querySelector('.weather-card__city').textContent).toBe(name);
+    expect(output.querySelector('.weather-card__country').textContent).toBe('<b>"DE"</b>');
+    const icon = output.querySelector('.weather-card__icon');
+    expect(icon.getAttribute('aria-label')).toBe('Rain" onmouseover="alert(1)');
+    expect(icon.hasAttribute('onmouseover')).toBe(false);
+  });
+});
+
+describe('persistent weather cache', () => {
+  const forecastPayload = {
+    current_weather: { temperature: 10, weathercode: 61, windspeed: 12 },
+    daily: { temperature_2m_min: [8, 6], temperature_2m_max: [12, 14], precipitation_sum: [0, 1] }
+  };
+
+  beforeEach(() => {
+    // These tests count forecast requests; air quality has its own test.
+    configureWeather({ providers: ['open-meteo'], airQuality: false });
+    clearWeatherCache();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('serves saved forecasts after a reload and revalidates stale ones in the background', async () => {
+    const fetchMock = vi
+      .spyOn(globalThis, 'fetch')
+      .mockImplementation(async () => createMockResponse(forecastPayload));
+    const place = { latitude: 52.52, longitude: 13.405 };
+    await fetchWeather('Berlin', place);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    clearWeatherCache({ persistent: false });
+    const reloaded = await fetchWeather('Berlin', place);
+    expect(reloaded).toMatchObject({ fromCache: true, maxC: 14 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    const later = Date.now() + 60 * 60 * 1000;
+    vi.spyOn(Date, 'now').mockReturnValue(later);
+    const onRevalidated = vi.fn();
+    const stale = await fetchWeather('Berlin', { ...place, onRevalidated });
+    expect(stale).toMatchObject({ stale: true, maxC: 14 });
+    await vi.waitFor(() => expect(onRevalidated).toHaveBeenCalledTimes(1));
+    expect(onRevalidated.mock.calls[0][0].stale).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(inspectWeatherCache()).toEqual([expect.objectContaining({ location: 'Berlin', stale: false })]);
+  });
+
+  it('removes single entries and clears saved forecasts', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => createMockResponse(forecastPayload));
+    await fetchWeather('Berlin', { latitude: 52.52, longitude: 13.405 });
+    await fetchWeather('Madrid', { latitude: 40.4, longitude: -3.7 });
+    const [newest] = inspectWeatherCache();
+    expect(newest.location).toBe('Madrid');
+    expect(removeWeatherCacheEntry(newest.key)).toBe(true);
+    expect(inspectWeatherCache()).toHaveLength(1);
+
+    clearWeatherCache();
+    expect(localStorage.getItem('weather-cache.v1')).toBeNull();
+    expect(inspectWeatherCache()).toEqual([]);
+  });
 });